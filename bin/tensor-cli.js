@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * tensor-cli: inspect, transform, compare and export tensors without a
+ * browser. Run `tensor-cli --help` for the commands.
+ */
+
+import { tf } from '../js/node.js';
+import { runCli } from '../js/cli.js';
+
+// Keeps TensorFlow.js's backend notice off stderr
+tf.enableProdMode();
+process.exitCode = runCli(process.argv.slice(2));
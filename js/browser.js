@@ -0,0 +1,73 @@
+/**
+ * Browser glue
+ * Loads the core modules and exposes them as the globals the demo pages
+ * use, together with the page-wide performance monitor. Include it with
+ * <script type="module" src="../js/browser.js"></script> after tf.min.js.
+ */
+
+import { TensorUtils, ExportUtils, PerformanceMonitor } from './index.js';
+import SessionStore from './utils/session-store.js';
+import TensorWorker from './utils/tensor-worker.js';
+
+// Global performance monitor instance
+const performanceMonitor = new PerformanceMonitor();
+
+// Global session store instance
+const sessionStore = new SessionStore();
+
+// Global function for the budget input
+function setMemoryBudget(megabytes) {
+    try {
+        performanceMonitor.setBudget({ limitBytes: megabytes === '' ? null : Number(megabytes) * 1024 * 1024 });
+    } catch (error) {
+        console.error(error.message);
+    }
+    renderMemoryBudget();
+}
+
+function exportPerformance(format) {
+    ExportUtils.exportPerformanceData(performanceMonitor.getPerformanceData(), format);
+}
+
+function renderMemoryBudget() {
+    const input = document.getElementById('memory-budget');
+    if (!input) return;
+    try {
+        const budget = TensorUtils.memory.getBudget();
+        input.value = budget.source === 'saved' ? +(budget.limitBytes / (1024 * 1024)).toFixed(1) : '';
+    } catch (error) {
+        console.error(`Could not read the memory budget: ${error.message}`);
+    }
+}
+
+Object.assign(window, {
+    TensorUtils,
+    ExportUtils,
+    PerformanceMonitor,
+    performanceMonitor,
+    SessionStore,
+    sessionStore,
+    TensorWorker,
+    setMemoryBudget,
+    exportPerformance,
+    renderMemoryBudget
+});
+
+// Start monitoring when page loads. Modules run before DOMContentLoaded,
+// unless this one was added to an already loaded page. Monitoring starts
+// first, so a problem with the budget input cannot keep it from running.
+function startMonitoring() {
+    performanceMonitor.start();
+    renderMemoryBudget();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', startMonitoring);
+} else {
+    startMonitoring();
+}
+
+// Stop monitoring when page unloads
+window.addEventListener('beforeunload', () => {
+    performanceMonitor.stop();
+});
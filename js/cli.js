@@ -0,0 +1,268 @@
+/**
+ * Command-line tool
+ * Loads tensors from JSON, CSV or .npy files, prints their info, applies
+ * reshape, cast and reduction operations, compares them and exports them,
+ * using TensorUtils and ExportUtils. bin/tensor-cli.js runs it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { tf, TensorUtils, ExportUtils } from './node.js';
+
+export const usage = `Usage: tensor-cli <command> <file...> [options]
+
+Commands:
+  info <file>                   Print the shape, dtype, size and rank
+  show <file>                   Print the info and the values
+  export <file>                 Write the tensor in the CSV layout of
+                                ExportUtils.exportTensorCSV, as JSON or as .npy
+  compare <actual> <expected>   Compare two tensors (TensorUtils.compareTensors);
+                                exits with 1 when they are not allclose
+
+Input files: .json (nested arrays), .csv or .tsv (see ExportUtils.parseTensorCSV), .npy
+
+Operations, applied in the order given (compare applies them to both tensors):
+  --reshape <shape>             New shape, e.g. 2,3 or -1,4
+  --cast <dtype>                float32, int32 or bool
+  --reduce <op>[:<axes>]        sum, mean, min, max, prod, any or all,
+                                over all axes or the given ones, e.g. sum:0
+
+Options:
+  --format <csv|json|npy|text>  export: csv (default), json or npy (the
+                                default for an --output ending in .json or .npy);
+                                compare: text (default) or json
+  -o, --output <file>           Write the result to a file instead of stdout
+  --rtol <n>, --atol <n>        compare: tolerances (default 1e-5 and 1e-8)
+  --max-failures <n>            compare: failing elements to list (default 20)
+  -h, --help                    Show this help
+`;
+
+const valueOptions = ['reshape', 'cast', 'reduce', 'format', 'output', 'rtol', 'atol', 'max-failures'];
+const aliases = { o: 'output', h: 'help' };
+
+/**
+ * Tensor operations the command line can apply, by option name.
+ * Each takes a tensor and the option's value and returns a new tensor.
+ */
+export const operations = {
+    reshape: (tensor, value) => tensor.reshape(TensorUtils.parseShape(value)),
+
+    cast: (tensor, value) => {
+        if (!['float32', 'int32', 'bool'].includes(value)) {
+            throw new Error(`Cannot cast to "${value}": use float32, int32 or bool`);
+        }
+        return tensor.cast(value);
+    },
+
+    reduce: (tensor, value) => {
+        const [name, axes] = value.split(':');
+        if (!['sum', 'mean', 'min', 'max', 'prod', 'any', 'all'].includes(name)) {
+            throw new Error(`Unknown reduction "${name}": use sum, mean, min, max, prod, any or all`);
+        }
+        return tf[name](tensor, axes === undefined ? null : TensorUtils.parseShape(axes));
+    }
+};
+
+/**
+ * Split command-line arguments into command, files, operations and options
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {Object} { command, files, operations: [{ name, value }], options }
+ */
+export function parseArgs(argv) {
+    const args = { command: null, files: [], operations: [], options: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const match = arg.match(/^--?([^=]+)(?:=(.*))?$/s);
+        if (!match) {
+            if (args.command === null) {
+                args.command = arg;
+            } else {
+                args.files.push(arg);
+            }
+            continue;
+        }
+
+        const name = aliases[match[1]] || match[1];
+        if (name === 'help') {
+            args.options.help = true;
+            continue;
+        }
+        if (!valueOptions.includes(name)) {
+            throw new Error(`Unknown option "${arg}"`);
+        }
+        let value = match[2];
+        if (value === undefined) {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Option "${arg}" needs a value`);
+            }
+            value = argv[++i];
+        }
+        if (name in operations) {
+            args.operations.push({ name, value });
+        } else {
+            args.options[name] = value;
+        }
+    }
+    return args;
+}
+
+/**
+ * Load a tensor from a file; the format follows the extension
+ * @param {string} file - Path of a .json, .csv, .tsv or .npy file
+ * @returns {tf.Tensor} Loaded tensor
+ */
+export function loadTensor(file) {
+    const extension = path.extname(file).toLowerCase();
+    try {
+        switch (extension) {
+            case '.json':
+                return TensorUtils.createTensorFromInput(fs.readFileSync(file, 'utf8'));
+            case '.csv':
+            case '.tsv':
+                return ExportUtils.parseTensorCSV(fs.readFileSync(file, 'utf8'));
+            case '.npy':
+                return ExportUtils.parseNpy(fs.readFileSync(file));
+            default:
+                throw new Error('unsupported format; use .json, .csv, .tsv or .npy');
+        }
+    } catch (error) {
+        throw new Error(`Cannot load ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Apply operations in order, disposing the intermediate tensors
+ * @param {tf.Tensor} tensor - Input tensor (not disposed)
+ * @param {Object[]} steps - { name, value } from parseArgs
+ * @returns {tf.Tensor} Result (the input itself when there are no steps)
+ */
+export function applyOperations(tensor, steps) {
+    return tf.tidy(() => steps.reduce((current, { name, value }) => {
+        try {
+            return operations[name](current, value);
+        } catch (error) {
+            throw new Error(`--${name} ${value}: ${error.message}`);
+        }
+    }, tensor));
+}
+
+/**
+ * Parse a non-negative number option
+ * @param {string|undefined} value - Option value
+ * @param {number} fallback - Value when the option is missing
+ * @param {string} name - Option name for the error message
+ * @returns {number} The number
+ */
+function numberOption(value, fallback, name) {
+    if (value === undefined) {
+        return fallback;
+    }
+    const number = Number(value);
+    if (value.trim() === '' || !(number >= 0)) {
+        throw new Error(`--${name} must be a non-negative number, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Run the command line
+ * @param {string[]} argv - Arguments after the program name
+ * @param {Object} io - stdout and stderr streams
+ * @returns {number} Exit code: 0 on success, 1 when compared tensors differ, 2 on errors
+ */
+export function runCli(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    const tensors = [];
+    const writer = ExportUtils.writer;
+    try {
+        const args = parseArgs(argv);
+        if (args.options.help) {
+            stdout.write(usage);
+            return 0;
+        }
+        if (args.command === null) {
+            stderr.write(usage);
+            return 2;
+        }
+
+        const { command, files, options } = args;
+        const expected = command === 'compare' ? 2 : 1;
+        if (!['info', 'show', 'export', 'compare'].includes(command)) {
+            throw new Error(`Unknown command "${command}"; run tensor-cli --help for the commands`);
+        }
+        if (files.length !== expected) {
+            throw new Error(`${command} takes ${expected} file${expected > 1 ? 's' : ''}, got ${files.length}`);
+        }
+
+        const output = content => {
+            // Binary content (.npy) is written as is
+            const text = typeof content !== 'string' || content.endsWith('\n') ? content : `${content}\n`;
+            if (options.output) {
+                fs.writeFileSync(options.output, text);
+            } else {
+                stdout.write(text);
+            }
+        };
+        const results = files.map(file => {
+            const loaded = loadTensor(file);
+            tensors.push(loaded);
+            const result = applyOperations(loaded, args.operations);
+            tensors.push(result);
+            return result;
+        });
+        const [tensor] = results;
+
+        switch (command) {
+            case 'info':
+                output(TensorUtils.getTensorInfo(tensor));
+                return 0;
+
+            case 'show':
+                output(`${TensorUtils.getTensorInfo(tensor)}\n\n${tensor.toString()}`);
+                return 0;
+
+            case 'export': {
+                const extension = options.output ? path.extname(options.output).toLowerCase() : '';
+                const format = options.format || ({ '.json': 'json', '.npy': 'npy' })[extension] || 'csv';
+                ExportUtils.writer = output;
+                if (format === 'csv') {
+                    ExportUtils.exportTensorCSV(tensor);
+                } else if (format === 'json') {
+                    ExportUtils.exportJSON(tensor.arraySync(), 'tensor-data.json');
+                } else if (format === 'npy') {
+                    ExportUtils.exportTensorNpy(tensor);
+                } else {
+                    throw new Error(`Unknown export format "${format}": use csv, json or npy`);
+                }
+                return 0;
+            }
+
+            case 'compare': {
+                const [actual, expectedTensor] = results;
+                const comparison = TensorUtils.compareTensors(actual, expectedTensor, {
+                    rtol: numberOption(options.rtol, 1e-5, 'rtol'),
+                    atol: numberOption(options.atol, 1e-8, 'atol'),
+                    maxFailures: numberOption(options['max-failures'], 20, 'max-failures')
+                });
+                const format = options.format || 'text';
+                if (format === 'json') {
+                    // The per-element arrays are left out; failures lists the elements that differ
+                    const { absoluteDifferences, withinTolerance, ...summary } = comparison;
+                    output(JSON.stringify({ actual: files[0], expected: files[1], ...summary }, null, 2));
+                } else if (format === 'text') {
+                    output(`A: ${files[0]}\n${TensorUtils.getTensorInfo(actual)}\n\n` +
+                           `B: ${files[1]}\n${TensorUtils.getTensorInfo(expectedTensor)}\n\n` +
+                           TensorUtils.describeComparison(comparison));
+                } else {
+                    throw new Error(`Unknown compare format "${format}": use text or json`);
+                }
+                return comparison.allClose ? 0 : 1;
+            }
+        }
+    } catch (error) {
+        stderr.write(`tensor-cli: ${error.message}\n`);
+        return 2;
+    } finally {
+        ExportUtils.writer = writer;
+        TensorUtils.safeDispose(...tensors);
+    }
+}
@@ -3,26 +3,53 @@
  * Provides common operations and helper functions for tensor manipulation
  */
 
-class TensorUtils {
+import { tf } from './tensorflow.js';
+
+export class TensorUtils {
     /**
      * Create a tensor from user input
      * @param {string} input - String representation of tensor data
      * @param {string} shape - Optional shape specification
+     * @param {string} dtype - Optional data type ('float32', 'int32' or 'bool');
+     *     inferred from the data when omitted
      * @returns {tf.Tensor} Created tensor
      */
-    static createTensorFromInput(input, shape = null) {
+    static createTensorFromInput(input, shape = null, dtype = null) {
         try {
-            let data = JSON.parse(input);
-            if (shape) {
-                const shapeArray = shape.split(',').map(s => parseInt(s.trim()));
-                return tf.tensor(data, shapeArray);
-            }
-            return tf.tensor(data);
+            return this.createTensor(JSON.parse(input), shape, dtype);
         } catch (error) {
             throw new Error(`Invalid tensor input: ${error.message}`);
         }
     }
 
+    /**
+     * Create a tensor from parsed values; the shared path of
+     * createTensorFromInput and the file importers
+     * @param {Array|number|boolean} data - Nested arrays or a scalar
+     * @param {string|number[]} shape - Optional shape specification or array
+     * @param {string} dtype - Optional data type; inferred from the data when omitted
+     * @returns {tf.Tensor} Created tensor
+     */
+    static createTensor(data, shape = null, dtype = null) {
+        if (shape) {
+            shape = Array.isArray(shape) ? shape : this.parseShape(shape);
+        }
+        return tf.tensor(data, shape || undefined, dtype || undefined);
+    }
+
+    /**
+     * Parse a comma-separated shape specification
+     * @param {string} shape - Shape specification (e.g. "2,2" or "-1, 4")
+     * @returns {number[]} Shape array
+     */
+    static parseShape(shape) {
+        const shapeArray = String(shape).split(',').map(s => parseInt(s.trim(), 10));
+        if (shapeArray.some(dim => isNaN(dim))) {
+            throw new Error(`Invalid shape "${shape}"`);
+        }
+        return shapeArray;
+    }
+
     /**
      * Get tensor information in a formatted string
      * @param {tf.Tensor} tensor - Input tensor
@@ -50,45 +77,317 @@ class TensorUtils {
     /**
      * Generate random tensor with specified parameters
      * @param {number[]} shape - Tensor shape
-     * @param {string} distribution - Distribution type ('normal', 'uniform', 'random')
+     * @param {string} distribution - Distribution type (a key of TensorUtils.distributions:
+     *                                'normal', 'uniform', 'random', 'truncatedNormal', 'gamma',
+     *                                'bernoulli', 'categorical')
      * @param {number} min - Minimum value for uniform distribution
      * @param {number} max - Maximum value for uniform distribution
+     * @param {Object} options - Distribution parameters (mean, stdDev, alpha, beta, p, probs)
+     *                           and an optional integer seed for reproducible samples
+     *                           (defaults to the next seed from TensorUtils.random)
      * @returns {tf.Tensor} Random tensor
      */
-    static createRandomTensor(shape, distribution = 'normal', min = 0, max = 1) {
-        switch (distribution) {
-            case 'normal':
-                return tf.randomNormal(shape);
-            case 'uniform':
-                return tf.randomUniform(shape, min, max);
-            case 'random':
-                return tf.randomUniform(shape, 0, 1);
-            default:
-                return tf.randomNormal(shape);
+    static createRandomTensor(shape, distribution = 'normal', min = 0, max = 1, options = {}) {
+        const spec = this.distributions[distribution] || this.distributions.normal;
+        const seeded = options.seed === undefined ? { ...options, seed: this.random.nextSeed() } : options;
+        return spec.sample(shape, this.distributionParams(distribution, min, max, seeded));
+    }
+
+    /**
+     * Merge distribution parameters with their defaults
+     * @param {string} distribution - Distribution type
+     * @param {number} min - Minimum value for uniform distribution
+     * @param {number} max - Maximum value for uniform distribution
+     * @param {Object} options - Explicit parameters
+     * @returns {Object} Complete parameter set
+     */
+    static distributionParams(distribution, min = 0, max = 1, options = {}) {
+        const params = {
+            min: distribution === 'random' ? 0 : min,
+            max: distribution === 'random' ? 1 : max,
+            mean: 0,
+            stdDev: 1,
+            alpha: 1,
+            beta: 1,
+            p: 0.5,
+            probs: [0.25, 0.25, 0.25, 0.25],
+            seed: undefined,
+            ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+        };
+        if (params.seed !== undefined && params.seed !== null && !Number.isInteger(params.seed)) {
+            throw new Error(`Seed must be an integer, got ${params.seed}`);
+        }
+        return params;
+    }
+
+    /**
+     * Supported random distributions.
+     * Each entry samples a tensor and describes the theoretical
+     * density (or probability mass), mean and variance. Discrete
+     * distributions also report their number of outcomes.
+     */
+    static distributions = {
+        normal: {
+            discrete: false,
+            sample: (shape, p) => tf.randomNormal(shape, p.mean, p.stdDev, 'float32', p.seed),
+            density: (x, p) => Math.exp(-0.5 * ((x - p.mean) / p.stdDev) ** 2) / (p.stdDev * Math.sqrt(2 * Math.PI)),
+            mean: p => p.mean,
+            variance: p => p.stdDev ** 2
+        },
+        uniform: {
+            discrete: false,
+            sample: (shape, p) => tf.randomUniform(shape, p.min, p.max, 'float32', p.seed),
+            density: (x, p) => (x >= p.min && x <= p.max ? 1 / (p.max - p.min) : 0),
+            mean: p => (p.min + p.max) / 2,
+            variance: p => (p.max - p.min) ** 2 / 12
+        },
+        random: {
+            discrete: false,
+            sample: (shape, p) => tf.randomUniform(shape, 0, 1, 'float32', p.seed),
+            density: x => (x >= 0 && x <= 1 ? 1 : 0),
+            mean: () => 0.5,
+            variance: () => 1 / 12
+        },
+        // tf.truncatedNormal re-draws values more than two standard deviations from the mean
+        truncatedNormal: {
+            discrete: false,
+            sample: (shape, p) => tf.truncatedNormal(shape, p.mean, p.stdDev, 'float32', p.seed),
+            density: (x, p) => {
+                const z = (x - p.mean) / p.stdDev;
+                return Math.abs(z) > 2 ? 0 : Math.exp(-0.5 * z * z) / (p.stdDev * Math.sqrt(2 * Math.PI) * 0.9544997361);
+            },
+            mean: p => p.mean,
+            variance: p => p.stdDev ** 2 * 0.7737413
+        },
+        // Shape alpha, scale beta
+        gamma: {
+            discrete: false,
+            sample: (shape, p) => tf.randomGamma(shape, p.alpha, p.beta, 'float32', p.seed),
+            density: (x, p) => (x <= 0 ? 0 : Math.exp((p.alpha - 1) * Math.log(x) - x / p.beta -
+                                                         TensorUtils.logGamma(p.alpha) - p.alpha * Math.log(p.beta))),
+            mean: p => p.alpha * p.beta,
+            variance: p => p.alpha * p.beta ** 2
+        },
+        bernoulli: {
+            discrete: true,
+            sample: (shape, p) => tf.tidy(() =>
+                tf.randomUniform(shape, 0, 1, 'float32', p.seed).less(p.p).cast('int32')),
+            outcomes: () => 2,
+            density: (k, p) => (k === 1 ? p.p : k === 0 ? 1 - p.p : 0),
+            mean: p => p.p,
+            variance: p => p.p * (1 - p.p)
+        },
+        // Class indices drawn with probabilities probs (normalized to sum to 1)
+        categorical: {
+            discrete: true,
+            sample: (shape, p) => tf.tidy(() => {
+                const size = shape.reduce((a, b) => a * b, 1);
+                const probs = TensorUtils.normalizeProbs(p.probs);
+                return tf.multinomial(tf.tensor1d(probs), size, p.seed, true).reshape(shape);
+            }),
+            outcomes: p => p.probs.length,
+            density: (k, p) => TensorUtils.normalizeProbs(p.probs)[k] || 0,
+            mean: p => TensorUtils.normalizeProbs(p.probs).reduce((sum, q, k) => sum + k * q, 0),
+            variance: p => {
+                const probs = TensorUtils.normalizeProbs(p.probs);
+                const mean = probs.reduce((sum, q, k) => sum + k * q, 0);
+                return probs.reduce((sum, q, k) => sum + q * (k - mean) ** 2, 0);
+            }
+        }
+    };
+
+    /**
+     * Normalize category probabilities so they sum to 1
+     * @param {number[]} probs - Non-negative weights
+     * @returns {number[]} Probabilities
+     */
+    static normalizeProbs(probs) {
+        const total = probs.reduce((a, b) => a + b, 0);
+        if (!(total > 0) || probs.some(q => q < 0)) {
+            throw new Error('Category probabilities must be non-negative and not all zero');
         }
+        return probs.map(q => q / total);
     }
 
     /**
-     * Compare two tensors and return similarity metrics
-     * @param {tf.Tensor} tensor1 - First tensor
-     * @param {tf.Tensor} tensor2 - Second tensor
+     * Natural logarithm of the gamma function (Lanczos approximation)
+     * @param {number} x - Positive number
+     * @returns {number} ln(Γ(x))
+     */
+    static logGamma(x) {
+        const coefficients = [676.5203681218851, -1259.1392167224028, 771.32342877765313,
+                              -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+                              9.9843695780195716e-6, 1.5056327351493116e-7];
+        if (x < 0.5) {
+            return Math.log(Math.PI / Math.sin(Math.PI * x)) - this.logGamma(1 - x);
+        }
+        x -= 1;
+        let sum = 0.99999999999980993;
+        coefficients.forEach((c, i) => {
+            sum += c / (x + i + 1);
+        });
+        const t = x + coefficients.length - 0.5;
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+
+    /**
+     * Shape two tensors broadcast to (NumPy / TensorFlow rules)
+     * @param {number[]} shape1 - First shape
+     * @param {number[]} shape2 - Second shape
+     * @returns {number[]|null} Broadcast shape, or null if the shapes are incompatible
+     */
+    static broadcastShape(shape1, shape2) {
+        const rank = Math.max(shape1.length, shape2.length);
+        const shape = [];
+        for (let i = 0; i < rank; i++) {
+            const dim1 = i < rank - shape1.length ? 1 : shape1[i - (rank - shape1.length)];
+            const dim2 = i < rank - shape2.length ? 1 : shape2[i - (rank - shape2.length)];
+            if (dim1 !== dim2 && dim1 !== 1 && dim2 !== 1) {
+                return null;
+            }
+            shape.push(dim1 === 1 ? dim2 : dim1);
+        }
+        return shape;
+    }
+
+    /**
+     * Convert a flat (row-major) index into per-axis indices
+     * @param {number} flatIndex - Flat index
+     * @param {number[]} shape - Tensor shape
+     * @returns {number[]} Index for every axis
+     */
+    static unravelIndex(flatIndex, shape) {
+        const index = new Array(shape.length);
+        for (let axis = shape.length - 1; axis >= 0; axis--) {
+            index[axis] = flatIndex % shape[axis];
+            flatIndex = Math.floor(flatIndex / shape[axis]);
+        }
+        return index;
+    }
+
+    /**
+     * Compare two tensors and return similarity metrics.
+     * Tensors are compared after broadcasting; shapes that cannot be
+     * broadcast give { comparable: false, message } instead of throwing.
+     * The tolerance check follows NumPy's allclose:
+     * |a - b| <= atol + rtol * |b|, with NaN never close.
+     * @param {tf.Tensor} tensor1 - First tensor (actual)
+     * @param {tf.Tensor} tensor2 - Second tensor (expected)
+     * @param {Object} options - rtol, atol and maxFailures (number of failing elements to list)
      * @returns {Object} Comparison results
      */
-    static compareTensors(tensor1, tensor2) {
-        const diff = tensor1.sub(tensor2);
-        const mse = diff.square().mean();
-        const mae = diff.abs().mean();
-        
-        return {
-            meanSquaredError: mse.dataSync()[0],
-            meanAbsoluteError: mae.dataSync()[0],
-            maxDifference: diff.abs().max().dataSync()[0],
-            shapesMatch: JSON.stringify(tensor1.shape) === JSON.stringify(tensor2.shape)
-        };
+    static compareTensors(tensor1, tensor2, options = {}) {
+        const { rtol = 1e-5, atol = 1e-8, maxFailures = 20 } = options;
+        const shapesMatch = JSON.stringify(tensor1.shape) === JSON.stringify(tensor2.shape);
+        const shape = this.broadcastShape(tensor1.shape, tensor2.shape);
+
+        if (!shape) {
+            return {
+                comparable: false,
+                message: `Shapes [${tensor1.shape.join(', ')}] and [${tensor2.shape.join(', ')}] cannot be broadcast together`,
+                shapesMatch,
+                shape: null,
+                meanSquaredError: NaN,
+                meanAbsoluteError: NaN,
+                maxDifference: NaN,
+                cosineSimilarity: NaN,
+                allClose: false,
+                failureCount: 0,
+                failures: []
+            };
+        }
+
+        const [mse, mae, maxDiff, dot, norm1, norm2, absDiff, close, values1, values2] = tf.tidy(() => {
+            const a = tensor1.toFloat().broadcastTo(shape);
+            const b = tensor2.toFloat().broadcastTo(shape);
+            const diff = a.sub(b);
+            const abs = diff.abs();
+            return [
+                diff.square().mean(), abs.mean(), abs.max(),
+                a.mul(b).sum(), a.norm(), b.norm(),
+                abs, abs.lessEqual(b.abs().mul(rtol).add(atol)), a, b
+            ];
+        });
+
+        try {
+            const absoluteDifferences = absDiff.dataSync();
+            const withinTolerance = close.dataSync();
+            const actual = values1.dataSync();
+            const expected = values2.dataSync();
+            const failures = [];
+            let failureCount = 0;
+            withinTolerance.forEach((isClose, i) => {
+                if (isClose) return;
+                failureCount++;
+                if (failures.length < maxFailures) {
+                    failures.push({
+                        index: this.unravelIndex(i, shape),
+                        actual: actual[i],
+                        expected: expected[i],
+                        difference: absoluteDifferences[i]
+                    });
+                }
+            });
+
+            const normProduct = norm1.dataSync()[0] * norm2.dataSync()[0];
+            return {
+                comparable: true,
+                shapesMatch,
+                shape,
+                meanSquaredError: mse.dataSync()[0],
+                meanAbsoluteError: mae.dataSync()[0],
+                maxDifference: maxDiff.dataSync()[0],
+                // Undefined (NaN) when either tensor is all zeros
+                cosineSimilarity: normProduct === 0 ? NaN : Math.max(-1, Math.min(1, dot.dataSync()[0] / normProduct)),
+                allClose: failureCount === 0,
+                rtol,
+                atol,
+                failureCount,
+                failures,
+                absoluteDifferences,
+                withinTolerance
+            };
+        } finally {
+            this.safeDispose(mse, mae, maxDiff, dot, norm1, norm2, absDiff, close, values1, values2);
+        }
+    }
+
+    /**
+     * Describe a comparison in the results text format
+     * @param {Object} comparison - Result of compareTensors
+     * @returns {string} Metrics, allclose verdict and the listed failures
+     */
+    static describeComparison(comparison) {
+        if (!comparison.comparable) {
+            return `Cannot compare: ${comparison.message}`;
+        }
+
+        const format = value => (isNaN(value) ? 'undefined' : value.toFixed(6));
+        let text = '';
+        if (!comparison.shapesMatch) {
+            text += `Shapes differ; compared after broadcasting to [${comparison.shape.join(', ')}]\n\n`;
+        }
+        text += `MSE: ${format(comparison.meanSquaredError)}\n`;
+        text += `MAE: ${format(comparison.meanAbsoluteError)}\n`;
+        text += `Max Diff: ${format(comparison.maxDifference)}\n`;
+        text += `Cosine Similarity: ${format(comparison.cosineSimilarity)}` +
+                `${isNaN(comparison.cosineSimilarity) ? ' (a tensor is all zeros or contains NaN)' : ''}\n\n`;
+        text += `allclose (rtol ${comparison.rtol}, atol ${comparison.atol}): ${comparison.allClose}`;
+        if (comparison.failureCount > 0) {
+            const listed = comparison.failures.length;
+            text += `\n${comparison.failureCount} element(s) outside tolerance` +
+                    `${comparison.failureCount > listed ? ` (first ${listed} shown)` : ''}:\n`;
+            text += comparison.failures.map(failure =>
+                `  [${failure.index.join(', ')}]: A = ${failure.actual}, B = ${failure.expected}, ` +
+                `|A - B| = ${failure.difference}`).join('\n');
+        }
+        return text;
     }
 
     /**
-     * Convert tensor to visualization data
+     * Convert tensor to visualization data.
+     * Scalars and 1D tensors become a line chart, 2D tensors a bar chart
+     * with one dataset per row, and higher ranks a histogram of their values.
      * @param {tf.Tensor} tensor - Input tensor
      * @returns {Object} Data for chart visualization
      */
@@ -96,7 +395,7 @@ class TensorUtils {
         const data = tensor.dataSync();
         const shape = tensor.shape;
         
-        if (shape.length === 1) {
+        if (shape.length <= 1) {
             return {
                 labels: Array.from({length: data.length}, (_, i) => `Index ${i}`),
                 data: Array.from(data),
@@ -113,13 +412,187 @@ class TensorUtils {
             };
         }
         
+        const histogram = this.histogram(tensor);
         return {
-            labels: ['Tensor Data'],
-            data: [data.length],
-            type: 'doughnut'
+            labels: histogram.edges.slice(0, -1).map((edge, i) =>
+                `${edge.toFixed(2)} – ${histogram.edges[i + 1].toFixed(2)}`),
+            datasets: [{
+                label: 'Value count',
+                data: histogram.counts
+            }],
+            type: 'bar'
         };
     }
 
+    /**
+     * Count tensor values in equal-width bins
+     * @param {tf.Tensor} tensor - Input tensor
+     * @param {number} bins - Number of bins
+     * @returns {Object} { edges, counts, min, max } where edges has bins + 1 entries
+     */
+    static histogram(tensor, bins = 20) {
+        const data = tensor.dataSync();
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of data) {
+            if (!Number.isFinite(value)) continue;
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        if (min > max) {
+            min = 0;
+            max = 0;
+        }
+
+        const width = (max - min) / bins || 1;
+        const edges = Array.from({length: bins + 1}, (_, i) => min + i * width);
+        const counts = new Array(bins).fill(0);
+        for (const value of data) {
+            if (!Number.isFinite(value)) continue;
+            counts[Math.min(bins - 1, Math.floor((value - min) / width))]++;
+        }
+
+        return { edges, counts, min, max };
+    }
+
+    /**
+     * Extract a 2D slice from a tensor of rank 2 or more
+     * @param {tf.Tensor} tensor - Input tensor
+     * @param {number} rowAxis - Axis shown as rows
+     * @param {number} colAxis - Axis shown as columns
+     * @param {number[]} indices - Index for every axis (entries for rowAxis and colAxis are ignored)
+     * @returns {tf.Tensor2D} Slice of shape [shape[rowAxis], shape[colAxis]]
+     */
+    static slice2D(tensor, rowAxis, colAxis, indices = []) {
+        const shape = tensor.shape;
+        if (shape.length < 2) {
+            throw new Error('slice2D needs a tensor of rank 2 or more');
+        }
+        if (rowAxis === colAxis || rowAxis < 0 || colAxis < 0 ||
+            rowAxis >= shape.length || colAxis >= shape.length) {
+            throw new Error(`Invalid axes ${rowAxis} and ${colAxis} for rank ${shape.length}`);
+        }
+
+        return tf.tidy(() => {
+            const begin = shape.map((dim, axis) =>
+                axis === rowAxis || axis === colAxis ? 0 : Math.max(0, Math.min(dim - 1, indices[axis] || 0)));
+            const size = shape.map((dim, axis) => axis === rowAxis || axis === colAxis ? dim : 1);
+            const slice = tf.slice(tensor, begin, size);
+            const matrix = slice.reshape(rowAxis < colAxis
+                ? [shape[rowAxis], shape[colAxis]]
+                : [shape[colAxis], shape[rowAxis]]);
+            return rowAxis < colAxis ? matrix : matrix.transpose();
+        });
+    }
+
+    /**
+     * Global seed control for reproducible runs.
+     * While a seed is set, every random tensor gets the next seed of a
+     * deterministic sequence (seed, seed + 1, ...), so a run that starts
+     * with reset() produces the same numbers every time.
+     */
+    static random = {
+        seed: null,
+        counter: 0,
+
+        /**
+         * Set or clear the global seed
+         * @param {number|null} seed - Integer seed, or null for unseeded randomness
+         */
+        setSeed(seed) {
+            if (seed !== null && seed !== undefined && !Number.isInteger(seed)) {
+                throw new Error(`Seed must be an integer, got ${seed}`);
+            }
+            this.seed = seed === undefined ? null : seed;
+            this.counter = 0;
+        },
+
+        /**
+         * Restart the seed sequence
+         */
+        reset() {
+            this.counter = 0;
+        },
+
+        /**
+         * Next seed of the sequence
+         * @returns {number|undefined} Seed, or undefined when no global seed is set
+         */
+        nextSeed() {
+            return this.seed === null ? undefined : this.seed + this.counter++;
+        },
+
+        /**
+         * Seeded replacement for tf.randomNormal
+         * @param {number[]} shape - Tensor shape
+         * @param {number} mean - Mean
+         * @param {number} stdDev - Standard deviation
+         * @returns {tf.Tensor} Random tensor
+         */
+        normal(shape, mean = 0, stdDev = 1) {
+            return tf.randomNormal(shape, mean, stdDev, 'float32', this.nextSeed());
+        },
+
+        /**
+         * Seeded replacement for tf.randomUniform
+         * @param {number[]} shape - Tensor shape
+         * @param {number} min - Lower bound
+         * @param {number} max - Upper bound
+         * @returns {tf.Tensor} Random tensor
+         */
+        uniform(shape, min = 0, max = 1) {
+            return tf.randomUniform(shape, min, max, 'float32', this.nextSeed());
+        }
+    };
+
+    /**
+     * Backend selection. cpu is always registered; webgl and wasm are
+     * available when their backend is bundled and the platform supports it.
+     */
+    static backends = {
+        candidates: ['cpu', 'webgl', 'wasm'],
+
+        /**
+         * Backends registered with TensorFlow.js
+         * @returns {string[]} Registered candidate backends
+         */
+        available() {
+            return this.candidates.filter(name => tf.findBackendFactory(name) != null);
+        },
+
+        /**
+         * Name of the active backend
+         * @returns {Promise<string>} Backend name, once it is initialized
+         */
+        async active() {
+            await tf.ready();
+            return tf.getBackend();
+        },
+
+        /**
+         * Switch to another backend, keeping the current one if it cannot start
+         * @param {string} name - Backend name
+         * @returns {Promise<string>} Active backend name
+         */
+        async use(name) {
+            const previous = await this.active();
+            if (!this.available().includes(name)) {
+                throw new Error(`Backend "${name}" is not available (available: ${this.available().join(', ')})`);
+            }
+            if (name === previous) {
+                return name;
+            }
+
+            const ok = await tf.setBackend(name);
+            if (!ok) {
+                await tf.setBackend(previous);
+                throw new Error(`Backend "${name}" failed to initialize; still using ${previous}`);
+            }
+            await tf.ready();
+            return name;
+        }
+    };
+
     /**
      * Memory management utilities
      */
@@ -133,21 +606,443 @@ class TensorUtils {
         },
 
         /**
-         * Clear all tensors from memory
+         * Dispose all variables and roll back to the first checkpoint, if any,
+         * disposing every tensor created since then (tensors marked with
+         * tf.keep survive). All checkpoints are released afterwards.
+         * @returns {Object|null} Rollback report, or null without checkpoints
          */
         clear() {
+            const memory = TensorUtils.memory;
             tf.disposeVariables();
-            tf.engine().endScope();
-            tf.engine().startScope();
+            if (memory.checkpoints.length === 0) {
+                return null;
+            }
+            const first = memory.checkpoints[0].name;
+            const report = memory.rollback(first);
+            memory.release(first);
+            return report;
+        },
+
+        /**
+         * Listeners called with every tensor the engine creates
+         */
+        creationListeners: new Set(),
+
+        /**
+         * Call a listener with every tensor the engine creates until the
+         * returned function is called. The engine hook is installed for
+         * the first listener and removed again with the last one.
+         * @param {Function} listener - Called with each new tensor
+         * @returns {Function} Function that removes the listener
+         */
+        onTensorCreated(listener) {
+            const listeners = TensorUtils.memory.creationListeners;
+            const engine = tf.engine();
+
+            if (listeners.size === 0) {
+                const ownTrackTensor = Object.prototype.hasOwnProperty.call(engine, 'trackTensor');
+                const trackTensor = engine.trackTensor;
+                engine.trackTensor = function trackCreatedTensor(tensor, backend) {
+                    listeners.forEach(notify => notify(tensor));
+                    return trackTensor.call(this, tensor, backend);
+                };
+                TensorUtils.memory.removeTrackingHook = () => {
+                    if (ownTrackTensor) {
+                        engine.trackTensor = trackTensor;
+                    } else {
+                        delete engine.trackTensor;
+                    }
+                };
+            }
+            listeners.add(listener);
+
+            return () => {
+                if (listeners.delete(listener) && listeners.size === 0) {
+                    TensorUtils.memory.removeTrackingHook();
+                }
+            };
+        },
+
+        /**
+         * Summary of a tensor for memory reports
+         * @param {tf.Tensor} tensor - Tensor to describe
+         * @returns {Object} id, shape, dtype and size
+         */
+        tensorSummary(tensor) {
+            return { id: tensor.id, shape: tensor.shape, dtype: tensor.dtype, size: tensor.size };
+        },
+
+        /**
+         * Run a synchronous function in a tf.tidy scope. Tensors it creates
+         * are disposed on exit, except the ones it returns, tensors marked
+         * with tf.keep and variables.
+         * @param {Function} fn - Function to run; must not return a Promise
+         * @param {Object} options - name (scope name) and onExit, called with
+         *     { name, created, disposed, survivors } where each survivor has
+         *     a reason: 'returned', 'kept' or 'variable'
+         * @returns {*} Result of fn
+         */
+        withScope(fn, { name = 'withScope', onExit = null } = {}) {
+            const memory = TensorUtils.memory;
+            const created = [];
+            const stopTracking = memory.onTensorCreated(tensor => created.push(tensor));
+
+            let result;
+            try {
+                result = tf.tidy(name, fn);
+            } finally {
+                stopTracking();
+            }
+
+            if (onExit) {
+                const returned = new Set(memory.collectTensors(result).map(tensor => tensor.id));
+                const survivors = created.filter(tensor => !tensor.isDisposed).map(tensor => ({
+                    ...memory.tensorSummary(tensor),
+                    reason: returned.has(tensor.id) ? 'returned' :
+                            tensor instanceof tf.Variable ? 'variable' :
+                            tensor.kept ? 'kept' : 'alive'
+                }));
+                onExit({ name, created: created.length, disposed: created.length - survivors.length, survivors });
+            }
+            return result;
+        },
+
+        /**
+         * Named checkpoints, oldest first
+         */
+        checkpoints: [],
+
+        /**
+         * Start a named checkpoint. Tensors created from now on can be
+         * disposed in one go with rollback(name).
+         * @param {string} name - Checkpoint name
+         * @returns {string} The checkpoint name
+         */
+        checkpoint(name) {
+            const memory = TensorUtils.memory;
+            if (typeof name !== 'string' || name === '') {
+                throw new Error('Checkpoint name must be a non-empty string');
+            }
+            if (memory.checkpoints.some(checkpoint => checkpoint.name === name)) {
+                throw new Error(`Checkpoint "${name}" already exists`);
+            }
+
+            const checkpoint = { name, created: new Map(), numTensors: tf.memory().numTensors };
+            checkpoint.stopTracking = memory.onTensorCreated(tensor => checkpoint.created.set(tensor.id, tensor));
+            memory.checkpoints.push(checkpoint);
+            return name;
+        },
+
+        /**
+         * Find a checkpoint by name
+         * @param {string} name - Checkpoint name
+         * @returns {number} Index in TensorUtils.memory.checkpoints
+         */
+        checkpointIndex(name) {
+            const index = TensorUtils.memory.checkpoints.findIndex(checkpoint => checkpoint.name === name);
+            if (index === -1) {
+                throw new Error(`Unknown checkpoint "${name}"`);
+            }
+            return index;
         },
 
         /**
-         * Get memory usage percentage
+         * Dispose every tensor and variable created since a checkpoint,
+         * except tensors marked with tf.keep. Later checkpoints are released;
+         * this one stays active so it can be rolled back to again.
+         * @param {string} name - Checkpoint name
+         * @returns {Object} { name, disposed, kept } with tensor summaries
+         */
+        rollback(name) {
+            const memory = TensorUtils.memory;
+            const index = memory.checkpointIndex(name);
+            memory.checkpoints.splice(index + 1).forEach(later => later.stopTracking());
+
+            const checkpoint = memory.checkpoints[index];
+            const disposed = [];
+            const kept = [];
+            checkpoint.created.forEach((tensor, id) => {
+                if (tensor.isDisposed) {
+                    checkpoint.created.delete(id);
+                } else if (tensor.kept) {
+                    kept.push(memory.tensorSummary(tensor));
+                } else {
+                    disposed.push(memory.tensorSummary(tensor));
+                    tensor.dispose();
+                    checkpoint.created.delete(id);
+                }
+            });
+            return { name, disposed, kept };
+        },
+
+        /**
+         * Stop a checkpoint (and any later ones) without disposing anything
+         * @param {string} name - Checkpoint name
+         */
+        release(name) {
+            const memory = TensorUtils.memory;
+            const index = memory.checkpointIndex(name);
+            memory.checkpoints.splice(index).forEach(checkpoint => checkpoint.stopTracking());
+        },
+
+        /**
+         * Get memory usage as a percentage of the memory budget
          * @returns {number} Memory usage percentage
          */
         getUsagePercentage() {
-            const memory = tf.memory();
-            return (memory.numBytes / (1024 * 1024 * 100)) * 100; // Assuming 100MB limit
+            return (tf.memory().numBytes / TensorUtils.memory.getBudget().limitBytes) * 100;
+        },
+
+        /**
+         * Budget used when none is saved and the backend reports no limit.
+         * warning and critical are fractions of limitBytes.
+         */
+        defaultBudget: { limitBytes: 100 * 1024 * 1024, warning: 0.6, critical: 0.8 },
+
+        /**
+         * localStorage key of the saved budget
+         */
+        budgetStorageKey: 'tfjs-learning-platform.memory-budget',
+
+        /**
+         * Budget saved by setBudget where there is no localStorage (e.g. in Node);
+         * it lasts until the process exits
+         */
+        savedBudget: null,
+
+        /**
+         * Get the memory budget. A limit saved with setBudget wins; otherwise
+         * the WebGL backend's texture limits are used when it is active, and
+         * the default budget when it is not.
+         * @returns {Object} { limitBytes, warning, critical, source } with
+         *     source 'saved', 'webgl' or 'default'
+         */
+        getBudget() {
+            const memory = TensorUtils.memory;
+            const saved = memory.loadBudget();
+            const budget = { ...memory.defaultBudget, ...saved, source: 'default' };
+
+            if (saved.limitBytes !== undefined) {
+                budget.source = 'saved';
+            } else {
+                const webglLimit = memory.webglLimitBytes();
+                if (webglLimit) {
+                    budget.limitBytes = webglLimit;
+                    budget.source = 'webgl';
+                }
+            }
+            return budget;
+        },
+
+        /**
+         * Change and save the memory budget for this browser
+         * @param {Object} changes - limitBytes (null to go back to the automatic limit), warning and/or critical
+         * @returns {Object} The resulting budget
+         */
+        setBudget(changes) {
+            const memory = TensorUtils.memory;
+            const saved = { ...memory.loadBudget(), ...changes };
+            if (saved.limitBytes === null) {
+                delete saved.limitBytes;
+            }
+
+            if (saved.limitBytes !== undefined && !(Number.isFinite(saved.limitBytes) && saved.limitBytes > 0)) {
+                throw new Error(`Memory budget must be a positive number of bytes, got ${saved.limitBytes}`);
+            }
+            const warning = saved.warning === undefined ? memory.defaultBudget.warning : saved.warning;
+            const critical = saved.critical === undefined ? memory.defaultBudget.critical : saved.critical;
+            if (!(warning > 0 && warning < critical && critical <= 1)) {
+                throw new Error(`Thresholds must satisfy 0 < warning < critical <= 1, got ${warning} and ${critical}`);
+            }
+
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(memory.budgetStorageKey, JSON.stringify(saved));
+            } else {
+                memory.savedBudget = saved;
+            }
+            return memory.getBudget();
+        },
+
+        /**
+         * Forget the saved budget
+         * @returns {Object} The resulting budget
+         */
+        resetBudget() {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.removeItem(TensorUtils.memory.budgetStorageKey);
+            } else {
+                TensorUtils.memory.savedBudget = null;
+            }
+            return TensorUtils.memory.getBudget();
+        },
+
+        /**
+         * Read the saved budget; unreadable entries are ignored
+         * @returns {Object} Saved budget fields (empty when nothing is saved)
+         */
+        loadBudget() {
+            if (typeof localStorage === 'undefined') {
+                return { ...TensorUtils.memory.savedBudget };
+            }
+            try {
+                const saved = JSON.parse(localStorage.getItem(TensorUtils.memory.budgetStorageKey));
+                return saved && typeof saved === 'object' ? saved : {};
+            } catch (error) {
+                return {};
+            }
+        },
+
+        /**
+         * Memory limit of the WebGL backend, when it is active: the texture
+         * deletion threshold if one is configured, otherwise the size of
+         * the largest RGBA texture the GPU supports
+         * @returns {number|null} Limit in bytes, or null for other backends
+         *     and when the WebGL flags cannot be read
+         */
+        webglLimitBytes() {
+            // Old TensorFlow.js builds have no tf.env
+            if (tf.getBackend() !== 'webgl' || typeof tf.env !== 'function') {
+                return null;
+            }
+            try {
+                const threshold = tf.env().getNumber('WEBGL_DELETE_TEXTURE_THRESHOLD');
+                if (threshold > 0) {
+                    return threshold;
+                }
+                const maxTextureSize = tf.env().getNumber('WEBGL_MAX_TEXTURE_SIZE');
+                const bytesPerChannel = tf.env().getBool('WEBGL_RENDER_FLOAT32_ENABLED') ? 4 : 2;
+                return maxTextureSize > 0 ? maxTextureSize * maxTextureSize * 4 * bytesPerChannel : null;
+            } catch (error) {
+                // Unregistered flag: fall back to the default budget
+                return null;
+            }
+        },
+
+        /**
+         * Classify memory usage against the budget
+         * @param {number} numBytes - Bytes in use
+         * @param {Object} budget - Budget from getBudget
+         * @returns {string} 'normal', 'warning' or 'critical'
+         */
+        usageLevel(numBytes, budget = TensorUtils.memory.getBudget()) {
+            const fraction = numBytes / budget.limitBytes;
+            if (fraction >= budget.critical) {
+                return 'critical';
+            }
+            return fraction >= budget.warning ? 'warning' : 'normal';
+        },
+
+        /**
+         * Run a function and report the tensors it leaves behind.
+         * While it runs, every tensor the engine creates is recorded with
+         * the stack it was created from; tensors still alive afterwards,
+         * other than the ones the function returns, are leaks.
+         * An exception thrown by the function is kept in report.error
+         * so the leaks it caused can still be inspected.
+         * @param {Function} fn - Function to check (may be async)
+         * @param {Object} options - failOnLeak (throw when tensors leak) and maxStackFrames
+         * @returns {Promise<Object>} Leak report
+         */
+        async detectLeaks(fn, { failOnLeak = false, maxStackFrames = 3 } = {}) {
+            const memory = TensorUtils.memory;
+            const created = new Map();
+            const stopTracking = memory.onTensorCreated(tensor =>
+                created.set(tensor.id, { tensor, stack: memory.captureStack(maxStackFrames) }));
+
+            const before = tf.memory();
+            let result;
+            let error = null;
+            try {
+                result = await fn();
+            } catch (caught) {
+                error = caught;
+            } finally {
+                stopTracking();
+            }
+            const after = tf.memory();
+
+            const returned = new Set(memory.collectTensors(result).map(tensor => tensor.id));
+            const leaks = [...created.values()]
+                .filter(({ tensor }) => !tensor.isDisposed && !returned.has(tensor.id))
+                .map(({ tensor, stack }) => ({
+                    ...memory.tensorSummary(tensor),
+                    createdAt: stack[0] || 'unknown',
+                    stack
+                }));
+
+            const report = {
+                passed: leaks.length === 0,
+                leakedCount: leaks.length,
+                leaks,
+                tensorsBefore: before.numTensors,
+                tensorsAfter: after.numTensors,
+                bytesDelta: after.numBytes - before.numBytes,
+                error,
+                result
+            };
+
+            if (failOnLeak && !report.passed) {
+                const failure = new Error(`${leaks.length} tensor(s) leaked, first created at ${leaks[0].createdAt}`);
+                failure.report = report;
+                throw failure;
+            }
+            return report;
+        },
+
+        /**
+         * Stack frames of the code creating a tensor, without the engine
+         * hook and TensorFlow.js internals
+         * @param {number} maxFrames - Number of frames to keep
+         * @returns {string[]} Stack frames, innermost first
+         */
+        captureStack(maxFrames = 3) {
+            // TensorFlow.js frames would fill V8's default limit of 10 before reaching user code
+            const stackTraceLimit = Error.stackTraceLimit;
+            Error.stackTraceLimit = Math.max(stackTraceLimit || 0, 50);
+            const frames = (new Error().stack || '').split('\n').map(line => line.trim().replace(/^at /, ''));
+            Error.stackTraceLimit = stackTraceLimit;
+            // Everything up to the engine hook installed by onTensorCreated is this module
+            const hook = frames.findIndex(frame => frame.includes('trackCreatedTensor'));
+            return frames.slice(hook + 1)
+                .filter(frame => frame && !/tf(\.min)?\.js|tf-core|@tensorflow|tfjs-|\((<anonymous>|native)\)/.test(frame))
+                .slice(0, maxFrames);
+        },
+
+        /**
+         * Tensors in a value: a tensor, or an array or plain object holding tensors
+         * @param {*} value - Any value
+         * @returns {tf.Tensor[]} Tensors found (one level deep)
+         */
+        collectTensors(value) {
+            if (value instanceof tf.Tensor) {
+                return [value];
+            }
+            if (value && typeof value === 'object') {
+                return Object.values(value).filter(item => item instanceof tf.Tensor);
+            }
+            return [];
+        },
+
+        /**
+         * Describe a leak report in the results text format
+         * @param {Object} report - Report from detectLeaks
+         * @returns {string} Human-readable summary
+         */
+        describeLeaks(report) {
+            const delta = report.tensorsAfter - report.tensorsBefore;
+            let text = `Tensors before: ${report.tensorsBefore}, after: ${report.tensorsAfter} ` +
+                       `(${delta >= 0 ? '+' : ''}${delta})\n`;
+            text += `Memory delta: ${(report.bytesDelta / 1024).toFixed(2)} KB\n`;
+            if (report.error) {
+                text += `Function threw: ${report.error.message}\n`;
+            }
+            if (report.passed) {
+                return `${text}No leaked tensors`;
+            }
+            text += `Leaked tensors: ${report.leakedCount}\n`;
+            text += report.leaks.map(leak =>
+                `  #${leak.id} ${leak.dtype} [${leak.shape.join(', ')}] created at ${leak.createdAt}`).join('\n');
+            return text;
         }
     };
 
@@ -209,11 +1104,74 @@ class TensorUtils {
                 memoryDelta: memoryAfter - memoryBefore,
                 times: times
             };
+        },
+
+        /**
+         * Benchmark a tensor operation on any backend. Unlike benchmark(),
+         * warmup iterations run first (shader compilation, allocation) and
+         * every iteration awaits its output's data(), so kernels queued by
+         * asynchronous backends (WebGL, WebGPU) are included in the timing.
+         * @param {Function} operation - Returns a tensor or an array of tensors; outputs are disposed
+         * @param {Object} options - iterations (default 20) and warmup (default 3)
+         * @returns {Promise<Object>} Timing statistics (see summarize), memory delta and backend
+         */
+        async benchmarkAsync(operation, options = {}) {
+            const { iterations = 20, warmup = 3 } = options;
+            const run = async () => {
+                const output = operation();
+                const outputs = Array.isArray(output) ? output : [output];
+                await Promise.all(outputs.map(tensor => tensor.data()));
+                return outputs;
+            };
+
+            for (let i = 0; i < warmup; i++) {
+                TensorUtils.safeDispose(...await run());
+            }
+
+            const times = [];
+            const memoryBefore = tf.memory().numBytes;
+            for (let i = 0; i < iterations; i++) {
+                const start = performance.now();
+                const outputs = await run();
+                times.push(performance.now() - start);
+                TensorUtils.safeDispose(...outputs);
+            }
+
+            return {
+                ...this.summarize(times),
+                iterations,
+                warmup,
+                memoryDelta: tf.memory().numBytes - memoryBefore,
+                backend: tf.getBackend(),
+                times
+            };
+        },
+
+        /**
+         * Summary statistics of timing samples
+         * @param {number[]} times - Times in milliseconds
+         * @returns {Object} mean, median, p95 (nearest rank), stdDev (sample), min and max
+         */
+        summarize(times) {
+            if (times.length === 0) {
+                return { mean: NaN, median: NaN, p95: NaN, stdDev: NaN, min: NaN, max: NaN };
+            }
+
+            const sorted = [...times].sort((a, b) => a - b);
+            const n = sorted.length;
+            const mean = sorted.reduce((a, b) => a + b, 0) / n;
+            const middle = Math.floor(n / 2);
+            const variance = n > 1 ? sorted.reduce((sum, t) => sum + (t - mean) ** 2, 0) / (n - 1) : 0;
+
+            return {
+                mean,
+                median: n % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+                p95: sorted[Math.ceil(0.95 * n) - 1],
+                stdDev: Math.sqrt(variance),
+                min: sorted[0],
+                max: sorted[n - 1]
+            };
         }
     };
 }
-
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = TensorUtils;
-} 
\ No newline at end of file
+ 
@@ -0,0 +1,19 @@
+/**
+ * TensorFlow.js provider
+ * The core modules use the `tf` exported here. In the browser it is the
+ * global loaded by the page's <script> tag; Node entry points pass the
+ * imported package to setTensorFlow before using the utilities.
+ */
+
+export let tf = globalThis.tf;
+
+/**
+ * Use a TensorFlow.js instance for all core modules
+ * @param {Object} instance - The tf namespace (e.g. `import * as tf from '@tensorflow/tfjs'`)
+ */
+export function setTensorFlow(instance) {
+    if (!instance || typeof instance.tensor !== 'function') {
+        throw new Error('setTensorFlow expects the TensorFlow.js namespace');
+    }
+    tf = instance;
+}
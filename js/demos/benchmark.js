@@ -0,0 +1,367 @@
+/**
+ * Benchmark Suite Demo
+ * Sweeps tensor operations across input sizes with warmup and
+ * awaited kernels, and plots median time against size
+ */
+
+class BenchmarkDemo {
+    /**
+     * Benchmarkable operations.
+     * setup(size) creates the inputs for one size, run(inputs) returns
+     * the output tensor, and describe(size) names the input shape.
+     */
+    static operations = {
+        matMul: {
+            label: 'matMul',
+            sizes: [32, 64, 128, 256, 512],
+            describe: size => `[${size}, ${size}] x [${size}, ${size}]`,
+            setup: size => [TensorUtils.random.normal([size, size]), TensorUtils.random.normal([size, size])],
+            run: ([a, b]) => tf.matMul(a, b)
+        },
+        conv2d: {
+            label: 'conv2d (3x3, 8 -> 16 channels)',
+            sizes: [16, 32, 64, 128],
+            describe: size => `[1, ${size}, ${size}, 8] * [3, 3, 8, 16]`,
+            setup: size => [TensorUtils.random.normal([1, size, size, 8]), TensorUtils.random.normal([3, 3, 8, 16])],
+            run: ([input, filter]) => tf.conv2d(input, filter, 1, 'same')
+        },
+        sum: {
+            label: 'sum (reduction)',
+            sizes: [128, 256, 512, 1024],
+            describe: size => `[${size}, ${size}]`,
+            setup: size => [TensorUtils.random.normal([size, size])],
+            run: ([x]) => tf.sum(x)
+        },
+        mean: {
+            label: 'mean (reduction)',
+            sizes: [128, 256, 512, 1024],
+            describe: size => `[${size}, ${size}]`,
+            setup: size => [TensorUtils.random.normal([size, size])],
+            run: ([x]) => tf.mean(x)
+        },
+        max: {
+            label: 'max along axis 1 (reduction)',
+            sizes: [128, 256, 512, 1024],
+            describe: size => `[${size}, ${size}]`,
+            setup: size => [TensorUtils.random.normal([size, size])],
+            run: ([x]) => tf.max(x, 1)
+        }
+    };
+
+    constructor() {
+        this.results = [];
+        this.metrics = [];
+        this.isRunning = false;
+        this.stopRequested = false;
+        this.chart = null;
+        this.initializeChart();
+    }
+
+    /**
+     * Initialize Chart.js line chart of time against input size
+     */
+    initializeChart() {
+        const ctx = document.getElementById('benchmark-chart');
+        if (ctx) {
+            this.chart = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    datasets: []
+                },
+                options: {
+                    responsive: true,
+                    animation: false,
+                    plugins: {
+                        title: {
+                            display: true,
+                            text: 'Time vs. Input Size'
+                        }
+                    },
+                    scales: {
+                        x: {
+                            type: 'linear',
+                            title: { display: true, text: 'Input size' }
+                        },
+                        y: {
+                            beginAtZero: true,
+                            title: { display: true, text: 'Time (ms)' }
+                        }
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Update the results display
+     * @param {string} content - Content to display
+     */
+    updateResults(content) {
+        const resultsElement = document.getElementById('results');
+        if (resultsElement) {
+            resultsElement.value = content;
+        }
+    }
+
+    /**
+     * Add result to the results array
+     * @param {string} title - Result title
+     * @param {string} content - Result content
+     */
+    addResult(title, content) {
+        this.results.push({ title, content, timestamp: new Date() });
+        this.updateResults(this.formatResults());
+    }
+
+    /**
+     * Format all results for display
+     * @returns {string} Formatted results
+     */
+    formatResults() {
+        return this.results.map(result =>
+            `=== ${result.title} ===\n${result.content}\n\n`
+        ).join('');
+    }
+
+    /**
+     * Parse a comma-separated list of input sizes
+     * @param {string} sizes - Sizes (e.g. "64, 128, 256")
+     * @returns {number[]} Positive integer sizes
+     */
+    static parseSizes(sizes) {
+        const list = String(sizes).split(',').map(s => s.trim()).filter(s => s !== '').map(Number);
+        if (list.length === 0 || list.some(size => !Number.isInteger(size) || size <= 0)) {
+            throw new Error(`Sizes must be a comma-separated list of positive integers, got "${sizes}"`);
+        }
+        return list;
+    }
+
+    /**
+     * Add one chart series (median and p95) for a sweep
+     * @param {string} label - Series label
+     * @returns {Object[]} The median and p95 datasets, filled as the sweep runs
+     */
+    addSeries(label) {
+        if (!this.chart) return [{ data: [] }, { data: [] }];
+
+        const hue = (this.chart.data.datasets.length / 2 * 67) % 360;
+        const median = {
+            label: `${label} median`,
+            data: [],
+            borderColor: `hsl(${hue}, 70%, 45%)`,
+            backgroundColor: `hsla(${hue}, 70%, 45%, 0.2)`,
+            tension: 0.1
+        };
+        const p95 = {
+            label: `${label} p95`,
+            data: [],
+            borderColor: `hsl(${hue}, 70%, 45%)`,
+            borderDash: [5, 5],
+            pointRadius: 0,
+            fill: false,
+            tension: 0.1
+        };
+        this.chart.data.datasets.push(median, p95);
+        return [median, p95];
+    }
+
+    /**
+     * Time an operation at every input size and plot the results
+     * @param {Object} options - Sweep options
+     * @param {string} options.operation - Key of BenchmarkDemo.operations
+     * @param {number[]} options.sizes - Input sizes (defaults to the operation's sizes)
+     * @param {number} options.iterations - Timed iterations per size
+     * @param {number} options.warmup - Untimed warmup iterations per size
+     */
+    async runSweep({ operation = 'matMul', sizes = null, iterations = 20, warmup = 3 } = {}) {
+        if (this.isRunning) return;
+
+        const spec = BenchmarkDemo.operations[operation];
+        const startTime = performance.now();
+
+        try {
+            if (!spec) {
+                throw new Error(`Unknown operation "${operation}"`);
+            }
+            if (!Number.isInteger(iterations) || iterations < 1 || !Number.isInteger(warmup) || warmup < 0) {
+                throw new Error('Iterations must be at least 1 and warmup at least 0');
+            }
+
+            this.isRunning = true;
+            this.stopRequested = false;
+            const backend = tf.getBackend();
+            const [medianSeries, p95Series] = this.addSeries(`${spec.label} (${backend})`);
+            const rows = [];
+
+            for (const size of sizes || spec.sizes) {
+                if (this.stopRequested) break;
+
+                const memoryBefore = tf.memory().numBytes;
+                const inputs = spec.setup(size);
+                let stats;
+                try {
+                    stats = await TensorUtils.performance.benchmarkAsync(() => spec.run(inputs), { iterations, warmup });
+                } finally {
+                    TensorUtils.safeDispose(...inputs);
+                }
+                const memoryAfter = tf.memory().numBytes;
+
+                rows.push({ size, shape: spec.describe(size), ...stats });
+                const metric = {
+                    operation: `${spec.label} ${spec.describe(size)}`,
+                    executionTime: stats.median,
+                    memoryBefore,
+                    memoryAfter,
+                    memoryDelta: memoryAfter - memoryBefore,
+                    timestamp: new Date(),
+                    stats: {
+                        size,
+                        backend,
+                        iterations,
+                        warmup,
+                        median: stats.median,
+                        p95: stats.p95,
+                        mean: stats.mean,
+                        stdDev: stats.stdDev,
+                        min: stats.min,
+                        max: stats.max
+                    }
+                };
+                this.metrics.push(metric);
+
+                if (typeof performanceMonitor !== 'undefined') {
+                    performanceMonitor.recordMetric(metric.operation, stats.median, memoryBefore, memoryAfter);
+                }
+
+                medianSeries.data.push({ x: size, y: stats.median });
+                p95Series.data.push({ x: size, y: stats.p95 });
+                if (this.chart) this.chart.update();
+                await tf.nextFrame();
+            }
+
+            let content = `=== BENCHMARK: ${spec.label.toUpperCase()} ===\n\n`;
+            content += `Backend: ${backend}\nWarmup: ${warmup}, iterations: ${iterations} per size\n\n`;
+            content += 'Size    Median (ms)    p95 (ms)    Std dev (ms)    Input\n';
+            content += rows.map(row =>
+                `${String(row.size).padEnd(8)}${row.median.toFixed(3).padEnd(15)}${row.p95.toFixed(3).padEnd(12)}` +
+                `${row.stdDev.toFixed(3).padEnd(16)}${row.shape}`).join('\n');
+            if (this.stopRequested) {
+                content += '\n\nStopped before all sizes were measured';
+            }
+
+            const endTime = performance.now();
+            content += `\n\nExecution time: ${(endTime - startTime).toFixed(2)}ms\n`;
+            content += `Memory usage: ${(tf.memory().numBytes / 1024).toFixed(2)} KB`;
+
+            this.addResult(`Benchmark: ${spec.label}`, content);
+
+        } catch (error) {
+            this.addResult('Error', `Error in benchmark: ${error.message}`);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Stop the running sweep after the current size
+     */
+    stop() {
+        this.stopRequested = this.isRunning;
+    }
+
+    /**
+     * Collect the benchmark metrics in the format of PerformanceMonitor.exportData
+     * @returns {Object} Performance data with summary and metrics
+     */
+    getPerformanceData() {
+        const times = this.metrics.map(metric => metric.executionTime);
+        return {
+            summary: {
+                totalOperations: this.metrics.length,
+                averageExecutionTime: times.length ? times.reduce((a, b) => a + b, 0) / times.length : 0,
+                totalMemoryUsed: this.metrics.reduce((sum, metric) => sum + metric.memoryDelta, 0),
+                peakMemoryUsage: this.metrics.length ? Math.max(...this.metrics.map(metric => metric.memoryAfter)) : 0
+            },
+            metrics: this.metrics,
+            exportTimestamp: new Date()
+        };
+    }
+
+    /**
+     * Export benchmark metrics through ExportUtils.exportPerformanceData
+     * @param {string} format - Export format ('json', 'csv')
+     */
+    exportMetrics(format = 'json') {
+        if (this.metrics.length === 0) {
+            this.addResult('Error', 'Run a benchmark before exporting');
+            return;
+        }
+        ExportUtils.exportPerformanceData(this.getPerformanceData(), format);
+    }
+
+    /**
+     * Remove all chart series and recorded metrics
+     */
+    clear() {
+        this.results = [];
+        this.metrics = [];
+        this.updateResults('');
+        if (this.chart) {
+            this.chart.data.datasets = [];
+            this.chart.update();
+        }
+    }
+}
+
+// Global instance
+const benchmarkDemo = new BenchmarkDemo();
+
+// Global functions for HTML onclick handlers
+function selectBenchmarkOperation(operation) {
+    const spec = BenchmarkDemo.operations[operation];
+    const sizesElement = document.getElementById('bench-sizes');
+    if (spec && sizesElement) {
+        sizesElement.value = spec.sizes.join(', ');
+    }
+}
+
+function runBenchmark() {
+    const value = id => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+
+    let sizes;
+    try {
+        sizes = BenchmarkDemo.parseSizes(value('bench-sizes'));
+    } catch (error) {
+        benchmarkDemo.addResult('Error', error.message);
+        return;
+    }
+
+    benchmarkDemo.runSweep({
+        operation: value('bench-operation'),
+        sizes,
+        iterations: parseInt(value('bench-iterations'), 10) || 20,
+        warmup: value('bench-warmup') === '' ? 3 : parseInt(value('bench-warmup'), 10)
+    });
+}
+
+function stopBenchmark() {
+    benchmarkDemo.stop();
+}
+
+function clearResults() {
+    benchmarkDemo.clear();
+}
+
+function exportBenchmark(format) {
+    benchmarkDemo.exportMetrics(format);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const operationElement = document.getElementById('bench-operation');
+    if (operationElement) {
+        selectBenchmarkOperation(operationElement.value);
+    }
+});
@@ -0,0 +1,654 @@
+/**
+ * Data Visualization Demo
+ * Heatmaps, histograms, slice browsing and image views for tensors of any rank
+ */
+
+class DataVisualizationDemo {
+    /**
+     * Sample tensors for the sample buttons
+     */
+    static samples = {
+        matrix: {
+            label: 'Random matrix [16, 16]',
+            create: () => TensorUtils.createRandomTensor([16, 16], 'normal')
+        },
+        volume: {
+            label: 'Random volume [4, 12, 12]',
+            create: () => TensorUtils.createRandomTensor([4, 12, 12], 'uniform', -1, 1)
+        },
+        batch: {
+            label: 'Random batch [2, 3, 10, 10]',
+            create: () => TensorUtils.createRandomTensor([2, 3, 10, 10], 'uniform', 0, 1)
+        },
+        image: {
+            label: 'Gradient image [32, 32, 3]',
+            create: () => tf.tidy(() => {
+                const ramp = tf.linspace(0, 1, 32);
+                const red = ramp.reshape([1, 32]).tile([32, 1]);
+                const green = ramp.reshape([32, 1]).tile([1, 32]);
+                const blue = tf.onesLike(red).sub(red).mul(tf.onesLike(green).sub(green));
+                return tf.stack([red, green, blue], 2);
+            })
+        }
+    };
+
+    /**
+     * Colour stops of a viridis-like colormap, from low to high
+     */
+    static colormap = [
+        [68, 1, 84],
+        [59, 82, 139],
+        [33, 145, 140],
+        [94, 201, 98],
+        [253, 231, 37]
+    ];
+
+    constructor() {
+        this.results = [];
+        this.tensor = null;
+        this.rowAxis = 0;
+        this.colAxis = 1;
+        this.indices = [];
+        this.bins = 20;
+        this.heatmap = null;
+        this.chart = null;
+        this.histogramChart = null;
+        this.distributionChart = null;
+        this.initializeCharts();
+        this.initializeDistributionChart();
+        this.initializeHeatmap();
+    }
+
+    /**
+     * Initialize Chart.js charts for the default view and the histogram
+     */
+    initializeCharts() {
+        const chartCtx = document.getElementById('tensor-chart');
+        if (chartCtx) {
+            this.chart = new Chart(chartCtx, {
+                type: 'line',
+                data: { labels: [], datasets: [] },
+                options: {
+                    responsive: true,
+                    plugins: {
+                        title: {
+                            display: true,
+                            text: 'Tensor Chart'
+                        }
+                    }
+                }
+            });
+        }
+
+        const histogramCtx = document.getElementById('histogram-chart');
+        if (histogramCtx) {
+            this.histogramChart = new Chart(histogramCtx, {
+                type: 'bar',
+                data: {
+                    labels: [],
+                    datasets: [{
+                        label: 'Value count',
+                        data: [],
+                        borderColor: 'rgb(75, 192, 192)',
+                        backgroundColor: 'rgba(75, 192, 192, 0.5)'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    plugins: {
+                        title: {
+                            display: true,
+                            text: 'Value Distribution'
+                        }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true
+                        }
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Initialize the histogram-versus-density chart of the distribution panel
+     */
+    initializeDistributionChart() {
+        const ctx = document.getElementById('distribution-chart');
+        if (!ctx) return;
+
+        this.distributionChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [{
+                    type: 'bar',
+                    label: 'Empirical',
+                    data: [],
+                    borderColor: 'rgb(75, 192, 192)',
+                    backgroundColor: 'rgba(75, 192, 192, 0.5)'
+                }, {
+                    type: 'line',
+                    label: 'Theoretical',
+                    data: [],
+                    borderColor: 'rgb(255, 99, 132)',
+                    backgroundColor: 'rgba(255, 99, 132, 0.2)',
+                    pointRadius: 0,
+                    tension: 0.3
+                }]
+            },
+            options: {
+                responsive: true,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: 'Sample Histogram vs. Density'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Show the value under the cursor on the heatmap
+     */
+    initializeHeatmap() {
+        const canvas = document.getElementById('heatmap-canvas');
+        const label = document.getElementById('heatmap-value');
+        if (!canvas || !label) return;
+
+        canvas.addEventListener('mousemove', event => {
+            if (!this.heatmap) return;
+            const rect = canvas.getBoundingClientRect();
+            const { rows, cols, values, cellWidth, cellHeight } = this.heatmap;
+            const x = (event.clientX - rect.left) * (canvas.width / rect.width);
+            const y = (event.clientY - rect.top) * (canvas.height / rect.height);
+            const col = Math.floor(x / cellWidth);
+            const row = Math.floor(y / cellHeight);
+            if (row >= 0 && row < rows && col >= 0 && col < cols) {
+                label.textContent = `[${row}, ${col}] = ${values[row * cols + col].toFixed(4)}`;
+            }
+        });
+        canvas.addEventListener('mouseleave', () => {
+            label.textContent = '';
+        });
+    }
+
+    /**
+     * Update the results display
+     * @param {string} content - Content to display
+     */
+    updateResults(content) {
+        const resultsElement = document.getElementById('results');
+        if (resultsElement) {
+            resultsElement.value = content;
+        }
+    }
+
+    /**
+     * Add result to the results array
+     * @param {string} title - Result title
+     * @param {string} content - Result content
+     */
+    addResult(title, content) {
+        this.results.push({ title, content, timestamp: new Date() });
+        this.updateResults(this.formatResults());
+    }
+
+    /**
+     * Format all results for display
+     * @returns {string} Formatted results
+     */
+    formatResults() {
+        return this.results.map(result =>
+            `=== ${result.title} ===\n${result.content}\n\n`
+        ).join('');
+    }
+
+    /**
+     * Visualize a tensor parsed from user input
+     * @param {string} input - JSON tensor data
+     * @param {string} shape - Optional shape specification
+     */
+    loadFromInput(input, shape) {
+        try {
+            if (!input || !input.trim()) {
+                throw new Error('Enter tensor data or pick a sample');
+            }
+            this.setTensor(TensorUtils.createTensorFromInput(input, shape ? shape.trim() : null), 'Custom tensor');
+        } catch (error) {
+            this.addResult('Error', `Error in data visualization: ${error.message}`);
+        }
+    }
+
+    /**
+     * Visualize one of the built-in sample tensors
+     * @param {string} name - Key of DataVisualizationDemo.samples
+     */
+    loadSample(name) {
+        const sample = DataVisualizationDemo.samples[name];
+        if (!sample) {
+            this.addResult('Error', `Unknown sample "${name}"`);
+            return;
+        }
+        try {
+            this.setTensor(sample.create(), sample.label);
+        } catch (error) {
+            this.addResult('Error', `Error in data visualization: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the current tensor and redraw every view.
+     * The demo takes ownership of the tensor and disposes it when replaced.
+     * @param {tf.Tensor} tensor - Tensor to visualize
+     * @param {string} label - Description for the results log
+     */
+    setTensor(tensor, label) {
+        TensorUtils.safeDispose(this.tensor);
+        this.tensor = tensor;
+        this.rowAxis = Math.max(0, tensor.rank - 2);
+        this.colAxis = Math.max(0, tensor.rank - 1);
+        // [.., H, W, 3] tensors show height x width, browsing the channel axis
+        if (this.isImage()) {
+            this.rowAxis = tensor.rank - 3;
+            this.colAxis = tensor.rank - 2;
+        }
+        this.indices = new Array(tensor.rank).fill(0);
+
+        try {
+            this.renderChart();
+            this.renderHistogram();
+            this.renderSliceControls();
+            this.renderSlice();
+
+            const histogram = TensorUtils.histogram(tensor, this.bins);
+            let content = `${label}\n\n${TensorUtils.getTensorInfo(tensor)}\n`;
+            content += `Min: ${histogram.min.toFixed(4)}\nMax: ${histogram.max.toFixed(4)}`;
+            this.addResult('Tensor Loaded', content);
+        } catch (error) {
+            this.addResult('Error', `Error in data visualization: ${error.message}`);
+        }
+    }
+
+    /**
+     * Whether the current tensor can be shown as an RGB image
+     * @returns {boolean} True for [.., H, W, 3] tensors
+     */
+    isImage() {
+        return !!this.tensor && this.tensor.rank >= 3 && this.tensor.shape[this.tensor.rank - 1] === 3;
+    }
+
+    /**
+     * Draw TensorUtils.tensorToChartData output on the main chart
+     */
+    renderChart() {
+        if (!this.chart) return;
+
+        const chartData = TensorUtils.tensorToChartData(this.tensor);
+        this.chart.config.type = chartData.type;
+        this.chart.data.labels = chartData.labels;
+        this.chart.data.datasets = chartData.datasets || [{
+            label: 'Tensor Values',
+            data: chartData.data,
+            borderColor: 'rgb(75, 192, 192)',
+            backgroundColor: 'rgba(75, 192, 192, 0.2)',
+            tension: 0.1
+        }];
+        this.chart.update();
+    }
+
+    /**
+     * Draw the histogram of all tensor values
+     */
+    renderHistogram() {
+        if (!this.histogramChart || !this.tensor) return;
+
+        const { edges, counts } = TensorUtils.histogram(this.tensor, this.bins);
+        this.histogramChart.data.labels = edges.slice(0, -1).map(edge => edge.toFixed(2));
+        this.histogramChart.data.datasets[0].data = counts;
+        this.histogramChart.update();
+    }
+
+    /**
+     * Draw a large sample from a distribution, plot its histogram against
+     * the theoretical density and report empirical vs. theoretical moments
+     * @param {Object} config - Sampling configuration
+     * @param {string} config.distribution - Key of TensorUtils.distributions
+     * @param {number} config.size - Number of samples
+     * @param {number} config.bins - Histogram bins (continuous distributions)
+     * @param {Object} config.params - Distribution parameters and optional seed
+     */
+    sampleDistribution({ distribution = 'normal', size = 10000, bins = 40, params = {} } = {}) {
+        const startTime = performance.now();
+        let sample = null;
+
+        try {
+            const spec = TensorUtils.distributions[distribution];
+            if (!spec) {
+                throw new Error(`Unknown distribution "${distribution}"`);
+            }
+            if (!(size > 0)) {
+                throw new Error('Sample size must be positive');
+            }
+
+            const fullParams = TensorUtils.distributionParams(distribution, params.min, params.max, params);
+            sample = TensorUtils.createRandomTensor([size], distribution, fullParams.min, fullParams.max, fullParams);
+
+            const { mean, variance } = tf.tidy(() => {
+                const moments = tf.moments(sample.toFloat());
+                return { mean: moments.mean.dataSync()[0], variance: moments.variance.dataSync()[0] };
+            });
+
+            let labels;
+            let empirical;
+            let theoretical;
+            if (spec.discrete) {
+                // One bar per outcome, scaled to a probability mass
+                const values = sample.dataSync();
+                const counts = new Array(spec.outcomes(fullParams)).fill(0);
+                values.forEach(value => { counts[value]++; });
+                labels = counts.map((_, k) => `${k}`);
+                empirical = counts.map(count => count / size);
+                theoretical = counts.map((_, k) => spec.density(k, fullParams));
+            } else {
+                // Histogram scaled to a density so it is comparable to the pdf
+                const histogram = TensorUtils.histogram(sample, bins);
+                const width = histogram.edges[1] - histogram.edges[0] || 1;
+                labels = histogram.edges.slice(0, -1).map(edge => (edge + width / 2).toFixed(2));
+                empirical = histogram.counts.map(count => count / (size * width));
+                theoretical = histogram.edges.slice(0, -1).map(edge => spec.density(edge + width / 2, fullParams));
+            }
+
+            if (this.distributionChart) {
+                this.distributionChart.data.labels = labels;
+                this.distributionChart.data.datasets[0].data = empirical;
+                this.distributionChart.data.datasets[1].data = theoretical;
+                this.distributionChart.update();
+            }
+
+            const expectedMean = spec.mean(fullParams);
+            const expectedVariance = spec.variance(fullParams);
+            let content = `Distribution: ${distribution}\n`;
+            content += `Samples: ${size}${fullParams.seed !== undefined ? ` (seed ${fullParams.seed})` : ''}\n\n`;
+            content += `Empirical mean: ${mean.toFixed(4)} (theoretical ${expectedMean.toFixed(4)})\n`;
+            content += `Empirical variance: ${variance.toFixed(4)} (theoretical ${expectedVariance.toFixed(4)})\n\n`;
+            content += `Execution time: ${(performance.now() - startTime).toFixed(2)}ms`;
+            this.addResult('Distribution Sample', content);
+
+        } catch (error) {
+            this.addResult('Error', `Error in distribution sampling: ${error.message}`);
+        } finally {
+            TensorUtils.safeDispose(sample);
+        }
+    }
+
+    /**
+     * Change the number of histogram bins
+     * @param {number} bins - Number of bins
+     */
+    setBins(bins) {
+        this.bins = Math.max(1, Math.min(200, bins || 20));
+        this.renderHistogram();
+    }
+
+    /**
+     * Build the axis selectors and one slider per remaining axis
+     */
+    renderSliceControls() {
+        const container = document.getElementById('slice-controls');
+        if (!container) return;
+
+        const shape = this.tensor.shape;
+        if (shape.length < 2) {
+            container.innerHTML = '<small class="text-muted">Slicing needs a tensor of rank 2 or more.</small>';
+            return;
+        }
+
+        const axisOptions = selected => shape.map((dim, axis) =>
+            `<option value="${axis}" ${axis === selected ? 'selected' : ''}>Axis ${axis} (${dim})</option>`).join('');
+
+        let html = `
+            <div class="row mb-2">
+                <div class="col-6">
+                    <label for="row-axis" class="form-label">Rows:</label>
+                    <select class="form-select form-select-sm" id="row-axis" onchange="setSliceAxis('row', this.value)">
+                        ${axisOptions(this.rowAxis)}
+                    </select>
+                </div>
+                <div class="col-6">
+                    <label for="col-axis" class="form-label">Columns:</label>
+                    <select class="form-select form-select-sm" id="col-axis" onchange="setSliceAxis('col', this.value)">
+                        ${axisOptions(this.colAxis)}
+                    </select>
+                </div>
+            </div>`;
+
+        shape.forEach((dim, axis) => {
+            if (axis === this.rowAxis || axis === this.colAxis) return;
+            html += `
+                <label for="axis-slider-${axis}" class="form-label mb-0">
+                    Axis ${axis}: <span id="axis-value-${axis}">${this.indices[axis]}</span> / ${dim - 1}
+                </label>
+                <input type="range" class="form-range" id="axis-slider-${axis}" min="0" max="${dim - 1}"
+                    value="${this.indices[axis]}" oninput="setSliceIndex(${axis}, this.value)">`;
+        });
+
+        container.innerHTML = html;
+    }
+
+    /**
+     * Choose which axis is shown as rows or columns
+     * @param {string} which - 'row' or 'col'
+     * @param {number} axis - Axis index
+     */
+    setAxis(which, axis) {
+        if (which === 'row') {
+            if (axis === this.colAxis) this.colAxis = this.rowAxis;
+            this.rowAxis = axis;
+        } else {
+            if (axis === this.rowAxis) this.rowAxis = this.colAxis;
+            this.colAxis = axis;
+        }
+        this.renderSliceControls();
+        this.renderSlice();
+    }
+
+    /**
+     * Move the slider of one axis
+     * @param {number} axis - Axis index
+     * @param {number} index - Position along the axis
+     */
+    setIndex(axis, index) {
+        this.indices[axis] = index;
+        const label = document.getElementById(`axis-value-${axis}`);
+        if (label) {
+            label.textContent = index;
+        }
+        this.renderSlice();
+    }
+
+    /**
+     * Draw the current 2D slice as a heatmap and, for images, the current image
+     */
+    renderSlice() {
+        if (!this.tensor) return;
+
+        if (this.tensor.rank === 0) {
+            this.renderHeatmap(1, 1, this.tensor.dataSync());
+        } else {
+            const matrix = this.tensor.rank === 1
+                ? this.tensor.reshape([1, this.tensor.shape[0]])
+                : TensorUtils.slice2D(this.tensor, this.rowAxis, this.colAxis, this.indices);
+            this.renderHeatmap(matrix.shape[0], matrix.shape[1], matrix.dataSync());
+            matrix.dispose();
+        }
+
+        this.renderImage();
+    }
+
+    /**
+     * Map a value in [0, 1] to an RGB colour
+     * @param {number} t - Normalized value
+     * @returns {number[]} RGB triple
+     */
+    colorFor(t) {
+        const stops = DataVisualizationDemo.colormap;
+        const position = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.min(stops.length - 1, lower + 1);
+        const fraction = position - lower;
+        return stops[lower].map((channel, i) => Math.round(channel + (stops[upper][i] - channel) * fraction));
+    }
+
+    /**
+     * Draw a matrix as a heatmap on #heatmap-canvas
+     * @param {number} rows - Number of rows
+     * @param {number} cols - Number of columns
+     * @param {TypedArray} values - Row-major values
+     */
+    renderHeatmap(rows, cols, values) {
+        const canvas = document.getElementById('heatmap-canvas');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        let min = Infinity;
+        let max = -Infinity;
+        values.forEach(value => {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        });
+        const range = max - min || 1;
+
+        const cellWidth = canvas.width / cols;
+        const cellHeight = canvas.height / rows;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const [r, g, b] = this.colorFor((values[row * cols + col] - min) / range);
+                ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+                ctx.fillRect(col * cellWidth, row * cellHeight, Math.ceil(cellWidth), Math.ceil(cellHeight));
+            }
+        }
+
+        this.heatmap = { rows, cols, values, cellWidth, cellHeight };
+
+        const legend = document.getElementById('heatmap-legend');
+        if (legend) {
+            legend.textContent = `${rows} x ${cols} · min ${min.toFixed(4)} · max ${max.toFixed(4)}`;
+        }
+    }
+
+    /**
+     * Draw [H, W, 3] tensors (or the selected image of a batch) as an image
+     */
+    renderImage() {
+        const container = document.getElementById('image-view');
+        const canvas = document.getElementById('image-canvas');
+        if (!container || !canvas) return;
+
+        if (!this.isImage()) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = '';
+
+        const image = tf.tidy(() => {
+            const rank = this.tensor.rank;
+            const begin = this.tensor.shape.map((dim, axis) => axis < rank - 3 ? this.indices[axis] : 0);
+            const size = this.tensor.shape.map((dim, axis) => axis < rank - 3 ? 1 : dim);
+            const pixels = tf.slice(this.tensor, begin, size).reshape(this.tensor.shape.slice(-3)).toFloat();
+            // Integer images are 0-255; float images outside [0, 1] are rescaled to fit
+            if (this.tensor.dtype === 'int32') {
+                return pixels.div(255).clipByValue(0, 1);
+            }
+            const min = pixels.min();
+            const max = pixels.max();
+            const inRange = min.dataSync()[0] >= 0 && max.dataSync()[0] <= 1;
+            return inRange ? pixels : pixels.sub(min).div(max.sub(min).maximum(1e-6));
+        });
+
+        tf.browser.toPixels(image, canvas).then(() => image.dispose());
+    }
+}
+
+// Global instance
+const vizDemo = new DataVisualizationDemo();
+
+// Global functions for HTML onclick handlers
+function visualizeInput() {
+    const value = id => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+
+    vizDemo.loadFromInput(value('tensor-input'), value('tensor-shape'));
+}
+
+function loadSample(name) {
+    vizDemo.loadSample(name);
+}
+
+function setSliceAxis(which, axis) {
+    vizDemo.setAxis(which, parseInt(axis, 10));
+}
+
+function setSliceIndex(axis, index) {
+    vizDemo.setIndex(axis, parseInt(index, 10));
+}
+
+function setHistogramBins(bins) {
+    vizDemo.setBins(parseInt(bins, 10));
+}
+
+function sampleDistribution() {
+    const value = id => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+    const number = (id, fallback) => {
+        const parsed = parseFloat(value(id));
+        return isNaN(parsed) ? fallback : parsed;
+    };
+
+    const seed = value('dist-seed').trim();
+    vizDemo.sampleDistribution({
+        distribution: value('dist-type'),
+        size: parseInt(value('dist-size'), 10) || 10000,
+        bins: parseInt(value('dist-bins'), 10) || 40,
+        params: {
+            mean: number('dist-mean', 0),
+            stdDev: number('dist-stddev', 1),
+            min: number('dist-min', 0),
+            max: number('dist-max', 1),
+            alpha: number('dist-alpha', 1),
+            beta: number('dist-beta', 1),
+            p: number('dist-p', 0.5),
+            probs: value('dist-probs').split(',').map(q => parseFloat(q)).filter(q => !isNaN(q)),
+            seed: seed === '' ? undefined : Number(seed)
+        }
+    });
+}
+
+function clearResults() {
+    vizDemo.results = [];
+    vizDemo.updateResults('');
+}
+
+function exportResults() {
+    ExportUtils.exportJSON(vizDemo.results, 'data-visualization-results.json');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (typeof performanceMonitor !== 'undefined') {
+        performanceMonitor.instrumentMethods(vizDemo, ['loadFromInput', 'loadSample', 'sampleDistribution'], name => name,
+            error => vizDemo.addResult('Error', `Error in data visualization: ${error.message}`));
+    }
+    vizDemo.loadSample('matrix');
+});
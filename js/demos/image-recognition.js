@@ -0,0 +1,389 @@
+/**
+ * Image Recognition Demo
+ * Classifies drawn, dropped or uploaded digits with the locally bundled model
+ */
+
+class ImageRecognitionDemo {
+    /**
+     * @param {string} modelUrl - URL of the bundled model.json
+     */
+    constructor(modelUrl = '../models/digits/model.json') {
+        this.modelUrl = modelUrl;
+        this.model = null;
+        this.results = [];
+        this.chart = null;
+        this.topK = 3;
+        this.isDrawing = false;
+        this.lastPoint = null;
+        this.initializeChart();
+        this.initializeCanvas();
+    }
+
+    /**
+     * Initialize Chart.js bar chart for top-k predictions
+     */
+    initializeChart() {
+        const ctx = document.getElementById('prediction-chart');
+        if (ctx) {
+            this.chart = new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: [],
+                    datasets: [{
+                        label: 'Confidence (%)',
+                        data: [],
+                        borderColor: 'rgb(75, 192, 192)',
+                        backgroundColor: 'rgba(75, 192, 192, 0.5)'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    indexAxis: 'y',
+                    plugins: {
+                        title: {
+                            display: true,
+                            text: 'Top Predictions'
+                        }
+                    },
+                    scales: {
+                        x: {
+                            beginAtZero: true,
+                            max: 100
+                        }
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Set up the drawing canvas and the drag-and-drop target
+     */
+    initializeCanvas() {
+        this.canvas = document.getElementById('draw-canvas');
+        if (!this.canvas) return;
+
+        this.context = this.canvas.getContext('2d');
+        this.clearCanvas();
+
+        const position = event => {
+            const rect = this.canvas.getBoundingClientRect();
+            const point = event.touches ? event.touches[0] : event;
+            return {
+                x: (point.clientX - rect.left) * (this.canvas.width / rect.width),
+                y: (point.clientY - rect.top) * (this.canvas.height / rect.height)
+            };
+        };
+
+        const start = event => {
+            event.preventDefault();
+            this.isDrawing = true;
+            this.lastPoint = position(event);
+        };
+
+        const move = event => {
+            if (!this.isDrawing) return;
+            event.preventDefault();
+            const point = position(event);
+            this.context.beginPath();
+            this.context.moveTo(this.lastPoint.x, this.lastPoint.y);
+            this.context.lineTo(point.x, point.y);
+            this.context.stroke();
+            this.lastPoint = point;
+        };
+
+        const end = () => {
+            this.isDrawing = false;
+        };
+
+        this.canvas.addEventListener('mousedown', start);
+        this.canvas.addEventListener('mousemove', move);
+        this.canvas.addEventListener('mouseup', end);
+        this.canvas.addEventListener('mouseleave', end);
+        this.canvas.addEventListener('touchstart', start);
+        this.canvas.addEventListener('touchmove', move);
+        this.canvas.addEventListener('touchend', end);
+
+        this.canvas.addEventListener('dragover', event => event.preventDefault());
+        this.canvas.addEventListener('drop', event => {
+            event.preventDefault();
+            const file = event.dataTransfer.files[0];
+            if (file) {
+                this.loadImageFile(file);
+            }
+        });
+    }
+
+    /**
+     * Reset the drawing canvas to white ink on black, like MNIST
+     */
+    clearCanvas() {
+        if (!this.context) return;
+        this.context.fillStyle = '#000000';
+        this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.context.strokeStyle = '#ffffff';
+        this.context.lineWidth = Math.round(this.canvas.width / 14);
+        this.context.lineCap = 'round';
+        this.context.lineJoin = 'round';
+    }
+
+    /**
+     * Update the results display
+     * @param {string} content - Content to display
+     */
+    updateResults(content) {
+        const resultsElement = document.getElementById('results');
+        if (resultsElement) {
+            resultsElement.value = content;
+        }
+    }
+
+    /**
+     * Add result to the results array
+     * @param {string} title - Result title
+     * @param {string} content - Result content
+     */
+    addResult(title, content) {
+        this.results.push({ title, content, timestamp: new Date() });
+        this.updateResults(this.formatResults());
+    }
+
+    /**
+     * Format all results for display
+     * @returns {string} Formatted results
+     */
+    formatResults() {
+        return this.results.map(result =>
+            `=== ${result.title} ===\n${result.content}\n\n`
+        ).join('');
+    }
+
+    /**
+     * Load the bundled model once
+     * @returns {Promise<tf.LayersModel>} Loaded model
+     */
+    async loadModel() {
+        if (!this.model) {
+            const startTime = performance.now();
+            this.model = await tf.loadLayersModel(this.modelUrl);
+            const inputShape = this.model.inputs[0].shape;
+            this.addResult('Model Loaded',
+                `Model: ${this.modelUrl}\nInput shape: ${JSON.stringify(inputShape)}\n` +
+                `Parameters: ${this.model.countParams()}\n` +
+                `Load time: ${(performance.now() - startTime).toFixed(2)}ms`);
+        }
+        return this.model;
+    }
+
+    /**
+     * Draw an image file onto the canvas, scaled to fit
+     * @param {File} file - Image file from the file input or a drop
+     */
+    loadImageFile(file) {
+        if (!file.type.startsWith('image/')) {
+            this.addResult('Error', `"${file.name}" is not an image`);
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const image = new Image();
+            image.onload = () => {
+                this.clearCanvas();
+                const scale = Math.min(this.canvas.width / image.width, this.canvas.height / image.height);
+                const width = image.width * scale;
+                const height = image.height * scale;
+                const x = (this.canvas.width - width) / 2;
+                const y = (this.canvas.height - height) / 2;
+                this.context.drawImage(image, x, y, width, height);
+                this.invertIfLight(x, y, width, height);
+                this.classify();
+            };
+            image.onerror = () => this.addResult('Error', `Could not decode "${file.name}"`);
+            image.src = reader.result;
+        };
+        reader.readAsDataURL(file);
+    }
+
+    /**
+     * Invert the canvas when a loaded image is dark ink on a light
+     * background, so it matches the white-on-black drawing convention
+     * @param {number} x - Left edge of the drawn image
+     * @param {number} y - Top edge of the drawn image
+     * @param {number} width - Drawn image width
+     * @param {number} height - Drawn image height
+     */
+    invertIfLight(x, y, width, height) {
+        const { data } = this.context.getImageData(x, y, Math.max(1, width), Math.max(1, height));
+        let brightness = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            brightness += (data[i] + data[i + 1] + data[i + 2]) / 3;
+        }
+        if (brightness / (data.length / 4) <= 127) return;
+
+        this.context.save();
+        this.context.globalCompositeOperation = 'difference';
+        this.context.fillStyle = '#ffffff';
+        this.context.fillRect(x, y, width, height);
+        this.context.restore();
+    }
+
+    /**
+     * Convert an image source into an MNIST-style input tensor:
+     * grayscale, white ink on black, cropped to the ink and centred
+     * in a 20x20 box inside a 28x28 frame.
+     * @param {HTMLCanvasElement|HTMLImageElement|ImageData} source - Image source
+     * @returns {tf.Tensor4D} Tensor of shape [1, 28, 28, 1]
+     */
+    preprocess(source) {
+        const gray = tf.tidy(() => {
+            const pixels = tf.browser.fromPixels(source).toFloat().mean(2).div(255);
+            // Dark ink on a light background (photos, scans) gets inverted
+            return pixels.mean().dataSync()[0] > 0.5 ? tf.scalar(1).sub(pixels) : pixels;
+        });
+
+        try {
+            const [height, width] = gray.shape;
+            const values = gray.dataSync();
+            let top = height;
+            let left = width;
+            let bottom = -1;
+            let right = -1;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    if (values[y * width + x] > 0.2) {
+                        top = Math.min(top, y);
+                        bottom = Math.max(bottom, y);
+                        left = Math.min(left, x);
+                        right = Math.max(right, x);
+                    }
+                }
+            }
+            if (bottom < 0) {
+                throw new Error('No digit found: draw one or load an image first');
+            }
+
+            return tf.tidy(() => {
+                const cropHeight = bottom - top + 1;
+                const cropWidth = right - left + 1;
+                const side = Math.max(cropHeight, cropWidth);
+                const padY = side - cropHeight;
+                const padX = side - cropWidth;
+                const square = gray.slice([top, left], [cropHeight, cropWidth])
+                    .pad([[Math.floor(padY / 2), Math.ceil(padY / 2)], [Math.floor(padX / 2), Math.ceil(padX / 2)]])
+                    .expandDims(2);
+                const resized = tf.image.resizeBilinear(square, [20, 20]);
+                const normalized = resized.div(resized.max().maximum(1e-6));
+                return normalized.pad([[4, 4], [4, 4], [0, 0]]).expandDims(0);
+            });
+        } finally {
+            gray.dispose();
+        }
+    }
+
+    /**
+     * Classify the current canvas contents
+     * @param {number} topK - Number of predictions to show
+     */
+    async classify(topK = this.topK) {
+        const startTime = performance.now();
+        let input = null;
+        let probabilities = null;
+
+        try {
+            const model = await this.loadModel();
+            input = this.preprocess(this.canvas);
+            probabilities = model.predict(input);
+
+            const k = Math.max(1, Math.min(topK, probabilities.shape[1]));
+            const { values, indices } = tf.tidy(() => tf.topk(probabilities.squeeze(), k));
+            const confidences = Array.from(values.dataSync());
+            const classes = Array.from(indices.dataSync());
+            TensorUtils.safeDispose(values, indices);
+
+            this.updateChart(classes, confidences);
+            this.renderPreprocessed(input);
+
+            let content = '=== DIGIT CLASSIFICATION ===\n\n';
+            content += `Input:\n${TensorUtils.getTensorInfo(input)}\n\n`;
+            content += `Top ${k} predictions:\n`;
+            content += classes.map((digit, i) =>
+                `  ${i + 1}. Digit ${digit}: ${(confidences[i] * 100).toFixed(2)}%`).join('\n');
+
+            const endTime = performance.now();
+            content += `\n\nExecution time: ${(endTime - startTime).toFixed(2)}ms\n`;
+            content += `Memory usage: ${(tf.memory().numBytes / 1024).toFixed(2)} KB`;
+
+            this.addResult(`Prediction: ${classes[0]}`, content);
+
+        } catch (error) {
+            this.addResult('Error', `Error in image recognition: ${error.message}`);
+        } finally {
+            TensorUtils.safeDispose(input, probabilities);
+        }
+    }
+
+    /**
+     * Show the top-k predictions as a bar chart
+     * @param {number[]} classes - Predicted digits, best first
+     * @param {number[]} confidences - Matching probabilities in [0, 1]
+     */
+    updateChart(classes, confidences) {
+        if (!this.chart) return;
+
+        this.chart.data.labels = classes.map(digit => `Digit ${digit}`);
+        this.chart.data.datasets[0].data = confidences.map(value => +(value * 100).toFixed(2));
+        this.chart.update();
+    }
+
+    /**
+     * Draw the 28x28 model input so users can see what the model sees
+     * @param {tf.Tensor4D} input - Preprocessed input tensor
+     */
+    renderPreprocessed(input) {
+        const target = document.getElementById('preprocessed-canvas');
+        if (!target) return;
+
+        const image = input.squeeze([0]);
+        tf.browser.toPixels(image, target).then(() => image.dispose());
+    }
+}
+
+// Global instance
+const recognitionDemo = new ImageRecognitionDemo();
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (typeof performanceMonitor !== 'undefined') {
+        performanceMonitor.instrumentMethods(recognitionDemo, ['classify'], () => 'Digit classification',
+            error => recognitionDemo.addResult('Error', `Error in image recognition: ${error.message}`));
+    }
+});
+
+// Global functions for HTML onclick handlers
+function classifyDrawing() {
+    recognitionDemo.classify();
+}
+
+function setTopK(value) {
+    recognitionDemo.topK = parseInt(value, 10) || 3;
+}
+
+function clearDrawing() {
+    recognitionDemo.clearCanvas();
+}
+
+function uploadImage(input) {
+    if (input.files && input.files[0]) {
+        recognitionDemo.loadImageFile(input.files[0]);
+        input.value = '';
+    }
+}
+
+function clearResults() {
+    recognitionDemo.results = [];
+    recognitionDemo.updateResults('');
+}
+
+function exportResults() {
+    ExportUtils.exportJSON(recognitionDemo.results, 'image-recognition-results.json');
+}
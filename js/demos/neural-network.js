@@ -0,0 +1,586 @@
+/**
+ * Neural Network Builder Demo
+ * Stack layers, pick an optimizer and loss, and train on synthetic datasets
+ */
+
+class NeuralNetworkDemo {
+    /**
+     * Built-in synthetic datasets.
+     * Each generator returns { xs, ys, task } where task is
+     * 'classification' or 'regression'.
+     */
+    static datasets = {
+        xor: {
+            label: 'XOR (noisy corners)',
+            generate(samples) {
+                const corners = [[0, 0], [0, 1], [1, 0], [1, 1]];
+                const points = [];
+                const labels = [];
+                for (let i = 0; i < samples; i++) {
+                    const [a, b] = corners[i % corners.length];
+                    points.push([a, b]);
+                    labels.push([a ^ b]);
+                }
+                const base = tf.tensor2d(points);
+                const noise = TensorUtils.createRandomTensor([samples, 2], 'uniform', -0.15, 0.15);
+                const xs = base.add(noise);
+                TensorUtils.safeDispose(base, noise);
+                return { xs, ys: tf.tensor2d(labels), task: 'classification' };
+            }
+        },
+        spirals: {
+            label: 'Two spirals',
+            generate(samples) {
+                const points = [];
+                const labels = [];
+                const perArm = Math.ceil(samples / 2);
+                for (let arm = 0; arm < 2; arm++) {
+                    for (let i = 0; i < perArm; i++) {
+                        const r = (i / perArm) * 5;
+                        const t = 1.75 * (i / perArm) * 2 * Math.PI + arm * Math.PI;
+                        points.push([r * Math.sin(t) / 5, r * Math.cos(t) / 5]);
+                        labels.push(arm === 0 ? [1, 0] : [0, 1]);
+                    }
+                }
+                // Interleave the arms so validationSplit sees both classes
+                const order = Array.from({ length: points.length }, (_, i) => i);
+                tf.util.shuffle(order);
+                const shuffledPoints = order.map(i => points[i]);
+                const shuffledLabels = order.map(i => labels[i]);
+                const base = tf.tensor2d(shuffledPoints);
+                const noise = TensorUtils.createRandomTensor(base.shape, 'uniform', -0.02, 0.02);
+                const xs = base.add(noise);
+                TensorUtils.safeDispose(base, noise);
+                return { xs, ys: tf.tensor2d(shuffledLabels), task: 'classification' };
+            }
+        },
+        linear: {
+            label: 'Linear regression (y = 2x + 1)',
+            generate(samples) {
+                const xs = TensorUtils.createRandomTensor([samples, 1], 'uniform', -1, 1);
+                const noise = TensorUtils.createRandomTensor([samples, 1], 'uniform', -0.1, 0.1);
+                const ys = tf.tidy(() => xs.mul(2).add(1).add(noise));
+                noise.dispose();
+                return { xs, ys, task: 'regression' };
+            }
+        }
+    };
+
+    /**
+     * Optimizer factories keyed by the value of the #optimizer select
+     */
+    static optimizers = {
+        sgd: lr => tf.train.sgd(lr),
+        momentum: lr => tf.train.momentum(lr, 0.9),
+        adam: lr => tf.train.adam(lr),
+        rmsprop: lr => tf.train.rmsprop(lr),
+        adagrad: lr => tf.train.adagrad(lr)
+    };
+
+    constructor() {
+        this.results = [];
+        this.layers = [
+            { type: 'dense', units: 8, activation: 'relu' },
+            { type: 'dense', units: 8, activation: 'relu' }
+        ];
+        this.model = null;
+        this.history = [];
+        this.isTraining = false;
+        this.lossChart = null;
+        this.accuracyChart = null;
+        this.initializeCharts();
+    }
+
+    /**
+     * Initialize Chart.js line charts for loss and accuracy
+     */
+    initializeCharts() {
+        const createChart = (id, title) => {
+            const ctx = document.getElementById(id);
+            if (!ctx) return null;
+            return new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: [],
+                    datasets: [{
+                        label: 'Training',
+                        data: [],
+                        borderColor: 'rgb(75, 192, 192)',
+                        backgroundColor: 'rgba(75, 192, 192, 0.2)',
+                        tension: 0.1
+                    }, {
+                        label: 'Validation',
+                        data: [],
+                        borderColor: 'rgb(255, 159, 64)',
+                        backgroundColor: 'rgba(255, 159, 64, 0.2)',
+                        tension: 0.1
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    animation: false,
+                    plugins: {
+                        title: {
+                            display: true,
+                            text: title
+                        }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true
+                        }
+                    }
+                }
+            });
+        };
+
+        this.lossChart = createChart('loss-chart', 'Loss');
+        this.accuracyChart = createChart('accuracy-chart', 'Accuracy');
+    }
+
+    /**
+     * Update the results display
+     * @param {string} content - Content to display
+     */
+    updateResults(content) {
+        const resultsElement = document.getElementById('results');
+        if (resultsElement) {
+            resultsElement.value = content;
+        }
+    }
+
+    /**
+     * Add result to the results array
+     * @param {string} title - Result title
+     * @param {string} content - Result content
+     */
+    addResult(title, content) {
+        this.results.push({ title, content, timestamp: new Date() });
+        this.updateResults(this.formatResults());
+    }
+
+    /**
+     * Format all results for display
+     * @returns {string} Formatted results
+     */
+    formatResults() {
+        return this.results.map(result =>
+            `=== ${result.title} ===\n${result.content}\n\n`
+        ).join('');
+    }
+
+    /**
+     * Add a layer to the stack
+     * @param {Object} layer - Layer config ({ type: 'dense', units, activation } |
+     *                         { type: 'dropout', rate } | { type: 'activation', activation })
+     */
+    addLayer(layer) {
+        if (layer.type === 'dense' && !(layer.units > 0)) {
+            throw new Error('Dense layers need a positive number of units');
+        }
+        if (layer.type === 'dropout' && !(layer.rate >= 0 && layer.rate < 1)) {
+            throw new Error('Dropout rate must be between 0 and 1');
+        }
+        this.layers.push(layer);
+        this.renderLayers();
+    }
+
+    /**
+     * Remove a layer from the stack
+     * @param {number} index - Layer index
+     */
+    removeLayer(index) {
+        this.layers.splice(index, 1);
+        this.renderLayers();
+    }
+
+    /**
+     * Move a layer up or down the stack
+     * @param {number} index - Layer index
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    moveLayer(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= this.layers.length) return;
+        [this.layers[index], this.layers[target]] = [this.layers[target], this.layers[index]];
+        this.renderLayers();
+    }
+
+    /**
+     * Describe a layer config in one line
+     * @param {Object} layer - Layer config
+     * @returns {string} Description
+     */
+    describeLayer(layer) {
+        switch (layer.type) {
+            case 'dense':
+                return `Dense (${layer.units} units, ${layer.activation})`;
+            case 'dropout':
+                return `Dropout (rate ${layer.rate})`;
+            case 'activation':
+                return `Activation (${layer.activation})`;
+            default:
+                return layer.type;
+        }
+    }
+
+    /**
+     * Render the layer stack into #layer-list
+     */
+    renderLayers() {
+        const list = document.getElementById('layer-list');
+        if (!list) return;
+
+        if (this.layers.length === 0) {
+            list.innerHTML = '<li class="list-group-item text-muted">No hidden layers</li>';
+            return;
+        }
+
+        list.innerHTML = this.layers.map((layer, index) => `
+            <li class="list-group-item d-flex justify-content-between align-items-center">
+                <span>${index + 1}. ${this.describeLayer(layer)}</span>
+                <span>
+                    <button class="btn btn-sm btn-outline-secondary" onclick="moveLayer(${index}, -1)" title="Move up">
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-secondary" onclick="moveLayer(${index}, 1)" title="Move down">
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" onclick="removeLayer(${index})" title="Remove">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Build a sequential model from the layer stack.
+     * The output layer is added automatically to match the dataset labels.
+     * @param {number} inputSize - Number of input features
+     * @param {number} outputSize - Number of label columns
+     * @param {string} task - 'classification' or 'regression'
+     * @param {string} loss - Loss function name
+     * @returns {tf.Sequential} Uncompiled model
+     */
+    buildModel(inputSize, outputSize, task, loss) {
+        if (loss === 'categoricalCrossentropy' && outputSize < 2) {
+            throw new Error('categoricalCrossentropy needs a dataset with at least two classes');
+        }
+        if (task === 'regression' && loss.endsWith('Crossentropy')) {
+            throw new Error(`${loss} cannot be used with a regression dataset`);
+        }
+
+        const model = tf.sequential();
+        const firstLayerArgs = { inputShape: [inputSize] };
+
+        this.layers.forEach((layer, index) => {
+            const extra = index === 0 ? firstLayerArgs : {};
+            switch (layer.type) {
+                case 'dense':
+                    model.add(tf.layers.dense({ units: layer.units, activation: layer.activation, ...extra }));
+                    break;
+                case 'dropout':
+                    model.add(tf.layers.dropout({ rate: layer.rate, ...extra }));
+                    break;
+                case 'activation':
+                    model.add(tf.layers.activation({ activation: layer.activation, ...extra }));
+                    break;
+                default:
+                    throw new Error(`Unknown layer type "${layer.type}"`);
+            }
+        });
+
+        let outputActivation = 'linear';
+        if (task === 'classification') {
+            outputActivation = loss === 'categoricalCrossentropy' ? 'softmax' : 'sigmoid';
+        }
+        model.add(tf.layers.dense({
+            units: outputSize,
+            activation: outputActivation,
+            ...(this.layers.length === 0 ? firstLayerArgs : {})
+        }));
+
+        return model;
+    }
+
+    /**
+     * Reset the loss and accuracy charts
+     */
+    resetCharts() {
+        [this.lossChart, this.accuracyChart].forEach(chart => {
+            if (!chart) return;
+            chart.data.labels = [];
+            chart.data.datasets.forEach(dataset => { dataset.data = []; });
+            chart.update();
+        });
+    }
+
+    /**
+     * Append one epoch to the loss and accuracy charts
+     * @param {number} epoch - Epoch number (1-based)
+     * @param {Object} logs - Epoch logs from model.fit
+     */
+    updateCharts(epoch, logs) {
+        const append = (chart, train, validation) => {
+            if (!chart) return;
+            chart.data.labels.push(epoch);
+            chart.data.datasets[0].data.push(train);
+            chart.data.datasets[1].data.push(validation);
+            chart.update();
+        };
+
+        append(this.lossChart, logs.loss, logs.val_loss);
+        if (logs.acc !== undefined) {
+            append(this.accuracyChart, logs.acc, logs.val_acc);
+        }
+    }
+
+    /**
+     * Train a model built from the current layer stack
+     * @param {Object} options - Training options
+     * @param {string} options.dataset - Key of NeuralNetworkDemo.datasets
+     * @param {string} options.optimizer - Key of NeuralNetworkDemo.optimizers
+     * @param {string} options.loss - Loss function name
+     * @param {number} options.learningRate - Optimizer learning rate
+     * @param {number} options.epochs - Number of epochs
+     * @param {number} options.samples - Number of generated samples
+     */
+    async train({ dataset = 'xor', optimizer = 'adam', loss = 'binaryCrossentropy',
+                  learningRate = 0.05, epochs = 100, samples = 200 } = {}) {
+        if (this.isTraining) return;
+
+        const datasetSpec = NeuralNetworkDemo.datasets[dataset];
+        const optimizerFactory = NeuralNetworkDemo.optimizers[optimizer];
+        let data = null;
+
+        try {
+            if (!datasetSpec) {
+                throw new Error(`Unknown dataset "${dataset}"`);
+            }
+            if (!optimizerFactory) {
+                throw new Error(`Unknown optimizer "${optimizer}"`);
+            }
+
+            data = datasetSpec.generate(samples);
+            const model = this.buildModel(data.xs.shape[1], data.ys.shape[1], data.task, loss);
+            const modelOptimizer = optimizerFactory(learningRate);
+            try {
+                model.compile({
+                    optimizer: modelOptimizer,
+                    loss,
+                    metrics: data.task === 'classification' ? ['accuracy'] : []
+                });
+            } catch (error) {
+                // Not this.model yet, so disposeModel would never reach it
+                modelOptimizer.dispose();
+                model.dispose();
+                throw error;
+            }
+
+            this.disposeModel();
+            this.model = model;
+            this.history = [];
+            this.isTraining = true;
+            this.resetCharts();
+
+            let content = '=== TRAINING STARTED ===\n\n';
+            content += `Dataset: ${datasetSpec.label}\n`;
+            content += `Inputs:\n${TensorUtils.getTensorInfo(data.xs)}\n`;
+            content += `Labels:\n${TensorUtils.getTensorInfo(data.ys)}\n\n`;
+            content += `Layers:\n${this.layers.map((layer, i) => `  ${i + 1}. ${this.describeLayer(layer)}`).join('\n')}\n`;
+            content += `  Output: Dense (${data.ys.shape[1]} units)\n`;
+            content += `Trainable parameters: ${model.countParams()}\n`;
+            content += `Optimizer: ${optimizer} (learning rate ${learningRate})\n`;
+            content += `Loss: ${loss}\nEpochs: ${epochs}`;
+            this.addResult('Training Started', content);
+
+            const startTime = performance.now();
+            let epochStart = startTime;
+            let memoryBefore = tf.memory().numBytes;
+
+            await model.fit(data.xs, data.ys, {
+                epochs,
+                batchSize: 32,
+                shuffle: true,
+                validationSplit: 0.2,
+                callbacks: {
+                    onEpochBegin: async () => {
+                        epochStart = performance.now();
+                        memoryBefore = tf.memory().numBytes;
+                    },
+                    onEpochEnd: async (epoch, logs) => {
+                        const entry = { epoch: epoch + 1, ...logs };
+                        this.history.push(entry);
+                        this.updateCharts(epoch + 1, logs);
+
+                        if (typeof performanceMonitor !== 'undefined') {
+                            performanceMonitor.recordMetric(`Epoch ${epoch + 1}`, performance.now() - epochStart,
+                                                            memoryBefore, tf.memory().numBytes);
+                        }
+                        await tf.nextFrame();
+                    }
+                }
+            });
+
+            const endTime = performance.now();
+            const last = this.history[this.history.length - 1] || {};
+            let summary = '=== TRAINING FINISHED ===\n\n';
+            summary += `Epochs completed: ${this.history.length}/${epochs}\n`;
+            summary += `Final loss: ${last.loss !== undefined ? last.loss.toFixed(4) : 'n/a'}\n`;
+            if (last.val_loss !== undefined) {
+                summary += `Final validation loss: ${last.val_loss.toFixed(4)}\n`;
+            }
+            if (last.acc !== undefined) {
+                summary += `Final accuracy: ${(last.acc * 100).toFixed(1)}%\n`;
+                summary += `Final validation accuracy: ${(last.val_acc * 100).toFixed(1)}%\n`;
+            }
+            summary += `\nExecution time: ${(endTime - startTime).toFixed(2)}ms\n`;
+            summary += `Memory usage: ${(tf.memory().numBytes / 1024).toFixed(2)} KB`;
+            this.addResult('Training Finished', summary);
+
+        } catch (error) {
+            this.addResult('Error', `Error in training: ${error.message}`);
+        } finally {
+            this.isTraining = false;
+            if (data) {
+                TensorUtils.safeDispose(data.xs, data.ys);
+            }
+        }
+    }
+
+    /**
+     * Dispose the current model and its optimizer state
+     */
+    disposeModel() {
+        if (!this.model) return;
+        // Optimizers created with tf.train.* are not owned by the model
+        if (this.model.optimizer) {
+            this.model.optimizer.dispose();
+        }
+        this.model.dispose();
+        this.model = null;
+    }
+
+    /**
+     * Stop the current training run after the running epoch
+     */
+    stop() {
+        if (this.model && this.isTraining) {
+            this.model.stopTraining = true;
+        }
+    }
+
+    /**
+     * Export the training history as CSV
+     */
+    exportHistory() {
+        if (this.history.length === 0) {
+            this.addResult('Error', 'Train a model before exporting its history');
+            return;
+        }
+        ExportUtils.exportCSV(this.history, 'training-history.csv');
+    }
+
+    /**
+     * Export results and performance data as a report
+     * @param {string} format - Export format ('json', 'html', 'txt')
+     */
+    exportReport(format = 'json') {
+        const performanceData = typeof performanceMonitor !== 'undefined'
+            ? { summary: performanceMonitor.getSummary(), metrics: performanceMonitor.metrics }
+            : null;
+        ExportUtils.exportReport(this.results, performanceData, format);
+    }
+
+    /**
+     * Download the trained model topology and weights
+     */
+    async exportModel() {
+        if (!this.model) {
+            this.addResult('Error', 'Train a model before exporting it');
+            return;
+        }
+        try {
+            await this.model.save('downloads://neural-network-model');
+        } catch (error) {
+            this.addResult('Error', `Error in model export: ${error.message}`);
+        }
+    }
+}
+
+// Global instance
+const networkDemo = new NeuralNetworkDemo();
+
+// Global functions for HTML onclick handlers
+function addLayer() {
+    const value = id => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+
+    try {
+        const type = value('layer-type');
+        const layer = { type };
+        if (type === 'dense') {
+            layer.units = parseInt(value('layer-units'), 10);
+            layer.activation = value('layer-activation');
+        } else if (type === 'dropout') {
+            layer.rate = parseFloat(value('layer-rate'));
+        } else {
+            layer.activation = value('layer-activation');
+        }
+        networkDemo.addLayer(layer);
+    } catch (error) {
+        networkDemo.addResult('Error', error.message);
+    }
+}
+
+function removeLayer(index) {
+    networkDemo.removeLayer(index);
+}
+
+function moveLayer(index, direction) {
+    networkDemo.moveLayer(index, direction);
+}
+
+function trainNetwork() {
+    const value = id => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+
+    networkDemo.train({
+        dataset: value('dataset'),
+        optimizer: value('optimizer'),
+        loss: value('loss'),
+        learningRate: parseFloat(value('learning-rate')) || 0.05,
+        epochs: parseInt(value('epochs'), 10) || 100,
+        samples: parseInt(value('samples'), 10) || 200
+    });
+}
+
+function stopTraining() {
+    networkDemo.stop();
+}
+
+function clearResults() {
+    networkDemo.results = [];
+    networkDemo.updateResults('');
+}
+
+function exportHistory() {
+    networkDemo.exportHistory();
+}
+
+function exportReport() {
+    networkDemo.exportReport('json');
+}
+
+function exportModel() {
+    networkDemo.exportModel();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    networkDemo.renderLayers();
+});
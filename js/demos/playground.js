@@ -0,0 +1,472 @@
+/**
+ * Tensor Playground Demo
+ * Runs TensorFlow.js code typed into the editor in a scope that cleans up
+ * after itself, and shows the printed output, returned tensors and leaks
+ */
+
+class PlaygroundDemo {
+    /**
+     * localStorage keys of the saved snippets and the last code that was run
+     */
+    static snippetStorageKey = 'tfjs-learning-platform.playground-snippets';
+    static draftStorageKey = 'tfjs-learning-platform.playground-draft';
+
+    /**
+     * Returned tensors with more values are charted but not printed
+     */
+    static maxPrintedValues = 200;
+
+    /**
+     * Built-in examples, listed before the saved snippets
+     */
+    static examples = {
+        basics: {
+            label: 'Basics: add and matMul',
+            code: [
+                'const a = tf.tensor2d([[1, 2], [3, 4]]);',
+                'const b = tf.tensor2d([[5, 6], [7, 8]]);',
+                "print('a + b =', a.add(b));",
+                'return a.matMul(b);'
+            ].join('\n')
+        },
+        activation: {
+            label: 'Activation curve',
+            code: [
+                'const x = tf.linspace(-6, 6, 61);',
+                "print('sigmoid(0) =', tf.sigmoid(0).dataSync()[0]);",
+                'return tf.sigmoid(x);'
+            ].join('\n')
+        },
+        histogram: {
+            label: 'Random normal histogram',
+            code: [
+                'const sample = tf.randomNormal([10, 10, 10], 0, 1);',
+                "print('mean:', sample.mean().dataSync()[0], 'std:', tf.moments(sample).variance.sqrt().dataSync()[0]);",
+                'return sample;'
+            ].join('\n')
+        },
+        async: {
+            label: 'Async code (leaks a tensor)',
+            code: [
+                'const x = tf.tensor1d([1, 2, 3]);',
+                '// Outside tf.tidy, the result of square() is never disposed',
+                'const squares = await x.square().data();',
+                "console.log('squares:', Array.from(squares));",
+                'x.dispose();'
+            ].join('\n')
+        }
+    };
+
+    constructor() {
+        this.results = [];
+        this.snippets = this.loadSnippets();
+        this.isRunning = false;
+        this.chart = null;
+        this.initializeChart();
+        this.initializeEditor();
+        this.renderSnippets();
+    }
+
+    /**
+     * Initialize Chart.js chart for returned tensors
+     */
+    initializeChart() {
+        const ctx = document.getElementById('playground-chart');
+        if (ctx) {
+            this.chart = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: [],
+                    datasets: []
+                },
+                options: {
+                    responsive: true,
+                    animation: false,
+                    plugins: {
+                        title: {
+                            display: true,
+                            text: 'Returned Tensor'
+                        }
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Restore the last code that was run, indent with Tab and run with Ctrl+Enter
+     */
+    initializeEditor() {
+        this.editor = document.getElementById('code-editor');
+        if (!this.editor) return;
+
+        let draft = null;
+        try {
+            draft = localStorage.getItem(PlaygroundDemo.draftStorageKey);
+        } catch (error) {
+            // Storage may be disabled; start from the first example
+        }
+        this.editor.value = draft || PlaygroundDemo.examples.basics.code;
+
+        this.editor.addEventListener('keydown', event => {
+            if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                event.preventDefault();
+                this.runCode(this.editor.value);
+            } else if (event.key === 'Tab' && !event.shiftKey) {
+                event.preventDefault();
+                const { selectionStart, selectionEnd, value } = this.editor;
+                this.editor.value = value.slice(0, selectionStart) + '    ' + value.slice(selectionEnd);
+                this.editor.selectionStart = this.editor.selectionEnd = selectionStart + 4;
+            }
+        });
+    }
+
+    /**
+     * Update the results display
+     * @param {string} content - Content to display
+     */
+    updateResults(content) {
+        const resultsElement = document.getElementById('results');
+        if (resultsElement) {
+            resultsElement.value = content;
+        }
+    }
+
+    /**
+     * Add result to the results array
+     * @param {string} title - Result title
+     * @param {string} content - Result content
+     */
+    addResult(title, content) {
+        this.results.push({ title, content, timestamp: new Date() });
+        this.updateResults(this.formatResults());
+    }
+
+    /**
+     * Format all results for display
+     * @returns {string} Formatted results
+     */
+    formatResults() {
+        return this.results.map(result =>
+            `=== ${result.title} ===\n${result.content}\n\n`
+        ).join('');
+    }
+
+    /**
+     * Compile playground code into a function of (tf, TensorUtils, print, console).
+     * Code that mentions await becomes an async function, since await(x) is also
+     * valid, but wrong, as a plain function. It is compiled as a plain function
+     * only if that is the one way it compiles (await used as a name).
+     * @param {string} code - Function body; a returned value is shown after the run
+     * @returns {Object} { fn, isAsync }
+     */
+    static compile(code) {
+        const params = ['tf', 'TensorUtils', 'print', 'console', `"use strict";\n${code}`];
+        if (!/\bawait\b/.test(code)) {
+            return { fn: new Function(...params), isAsync: false };
+        }
+
+        const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+        try {
+            return { fn: new AsyncFunction(...params), isAsync: true };
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) throw error;
+            try {
+                return { fn: new Function(...params), isAsync: false };
+            } catch (plainError) {
+                // Report the async compile's error: as a plain function, code
+                // using await fails on the await rather than on the actual mistake
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Format a printed value: tensors with their values, other objects as JSON
+     * @param {*} value - Value passed to print or console.log
+     * @returns {string} Text for the output
+     */
+    static formatValue(value) {
+        if (value instanceof tf.Tensor) {
+            return value.isDisposed ? `Tensor #${value.id} (disposed)` : value.toString();
+        }
+        if (typeof value === 'string') {
+            return value;
+        }
+        try {
+            const json = JSON.stringify(value);
+            return json === undefined ? String(value) : json;
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    /**
+     * Run playground code. Synchronous code runs inside tf.tidy; code that
+     * uses await cannot, so its intermediate tensors show up as leaks.
+     * Either way every tensor the code created is disposed once the
+     * results are shown, except tensors marked with tf.keep.
+     * @param {string} code - Code to run
+     */
+    async runCode(code) {
+        if (this.isRunning) return;
+
+        const startTime = performance.now();
+        const output = [];
+        const print = (...values) => output.push(values.map(PlaygroundDemo.formatValue).join(' '));
+        const sandboxConsole = {
+            log: print,
+            info: print,
+            debug: print,
+            warn: (...values) => print('[warn]', ...values),
+            error: (...values) => print('[error]', ...values)
+        };
+        const checkpoint = TensorUtils.memory.checkpoint(`playground-${Date.now()}`);
+        this.isRunning = true;
+
+        try {
+            try {
+                localStorage.setItem(PlaygroundDemo.draftStorageKey, code);
+            } catch (error) {
+                // Storage may be disabled; the run does not depend on it
+            }
+
+            const { fn, isAsync } = PlaygroundDemo.compile(code);
+            const args = [tf, TensorUtils, print, sandboxConsole];
+            const report = await TensorUtils.memory.detectLeaks(() => (isAsync ?
+                fn(...args) :
+                TensorUtils.memory.withScope(() => fn(...args), { name: 'playground' })));
+
+            let content = `Mode: ${isAsync ? 'async (no tf.tidy, uses await)' : 'synchronous (tf.tidy)'}\n\n`;
+            content += `Output:\n${output.length ? output.join('\n') : '(nothing printed)'}\n\n`;
+            if (!report.error) {
+                content += `Returned:\n${this.describeResult(report.result)}\n\n`;
+            }
+            content += `Leak check:\n${TensorUtils.memory.describeLeaks(report)}\n\n`;
+
+            const cleanup = TensorUtils.memory.rollback(checkpoint);
+            content += `Cleanup: disposed ${cleanup.disposed.length} tensor(s)`;
+            if (cleanup.kept.length) {
+                content += `, ${cleanup.kept.length} marked with tf.keep stay in memory`;
+            }
+
+            const endTime = performance.now();
+            content += `\n\nExecution time: ${(endTime - startTime).toFixed(2)}ms\n`;
+            content += `Memory usage: ${(tf.memory().numBytes / 1024).toFixed(2)} KB`;
+
+            if (report.error) {
+                this.addResult('Error', `Error in playground: ${report.error.message}\n\n${content}`);
+            } else {
+                this.addResult('Playground Run', content);
+            }
+
+        } catch (error) {
+            this.addResult('Error', `Error in playground: ${error.message}`);
+        } finally {
+            TensorUtils.memory.rollback(checkpoint);
+            TensorUtils.memory.release(checkpoint);
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Describe the value returned by playground code and chart its first tensor
+     * @param {*} result - Returned value
+     * @returns {string} Tensor info and values, or the formatted value
+     */
+    describeResult(result) {
+        const tensors = TensorUtils.memory.collectTensors(result);
+        if (tensors.length === 0) {
+            return result === undefined ? '(nothing returned)' : PlaygroundDemo.formatValue(result);
+        }
+
+        this.updateChart(tensors[0]);
+        return tensors.map((tensor, i) => {
+            const values = tensor.size > PlaygroundDemo.maxPrintedValues ?
+                `(${tensor.size} values, see the chart)` : tensor.toString();
+            return `Tensor ${i + 1}:\n${TensorUtils.getTensorInfo(tensor)}\n${values}`;
+        }).join('\n\n');
+    }
+
+    /**
+     * Chart a tensor with TensorUtils.tensorToChartData. Tensors too large to
+     * draw point by point are shown as a histogram instead.
+     * @param {tf.Tensor} tensor - Tensor to chart
+     */
+    updateChart(tensor) {
+        if (!this.chart || tensor.dtype === 'string' || tensor.size === 0) return;
+
+        const chartData = tf.tidy(() => {
+            const tooLarge = tensor.size > 1000 || (tensor.rank === 2 && tensor.shape[0] > 10);
+            return TensorUtils.tensorToChartData(tooLarge ? tensor.reshape([tensor.size, 1, 1]) : tensor);
+        });
+
+        this.chart.config.type = chartData.type;
+        this.chart.data.labels = chartData.labels;
+        this.chart.data.datasets = chartData.datasets || [{
+            label: 'Tensor Values',
+            data: chartData.data,
+            borderColor: 'rgb(75, 192, 192)',
+            backgroundColor: 'rgba(75, 192, 192, 0.2)',
+            tension: 0.1
+        }];
+        this.chart.update();
+    }
+
+    /**
+     * Read the saved snippets
+     * @returns {Object} Snippet code by name
+     */
+    loadSnippets() {
+        try {
+            return JSON.parse(localStorage.getItem(PlaygroundDemo.snippetStorageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Save a snippet under a name, replacing one with the same name
+     * @param {string} name - Snippet name
+     * @param {string} code - Snippet code
+     */
+    saveSnippet(name, code) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Snippet name must not be empty');
+        }
+        const snippets = { ...this.loadSnippets(), [name.trim()]: code };
+        localStorage.setItem(PlaygroundDemo.snippetStorageKey, JSON.stringify(snippets));
+        this.snippets = snippets;
+        this.renderSnippets(`snippet:${name.trim()}`);
+    }
+
+    /**
+     * Delete a saved snippet
+     * @param {string} name - Snippet name
+     */
+    deleteSnippet(name) {
+        const snippets = this.loadSnippets();
+        if (!(name in snippets)) {
+            throw new Error(`Snippet "${name}" does not exist`);
+        }
+        delete snippets[name];
+        localStorage.setItem(PlaygroundDemo.snippetStorageKey, JSON.stringify(snippets));
+        this.snippets = snippets;
+        this.renderSnippets();
+    }
+
+    /**
+     * Code of an example or saved snippet
+     * @param {string} key - 'example:<name>' or 'snippet:<name>'
+     * @returns {string} Code
+     */
+    getSnippet(key) {
+        const [kind, ...rest] = String(key).split(':');
+        const name = rest.join(':');
+        if (kind === 'example' && PlaygroundDemo.examples[name]) {
+            return PlaygroundDemo.examples[name].code;
+        }
+        if (kind === 'snippet' && name in this.snippets) {
+            return this.snippets[name];
+        }
+        throw new Error(`Unknown snippet "${key}"`);
+    }
+
+    /**
+     * Fill the snippet list with the examples and saved snippets
+     * @param {string} selected - Key of the option to select
+     */
+    renderSnippets(selected = '') {
+        const select = document.getElementById('snippet-select');
+        if (!select) return;
+
+        const group = (label, entries) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            entries.forEach(([key, text]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = text;
+                optgroup.appendChild(option);
+            });
+            return optgroup;
+        };
+
+        select.innerHTML = '';
+        select.appendChild(group('Examples', Object.entries(PlaygroundDemo.examples)
+            .map(([name, example]) => [`example:${name}`, example.label])));
+        const saved = Object.keys(this.snippets).sort();
+        if (saved.length) {
+            select.appendChild(group('Saved snippets', saved.map(name => [`snippet:${name}`, name])));
+        }
+        if (selected) {
+            select.value = selected;
+        }
+    }
+}
+
+// Global instance
+const playgroundDemo = new PlaygroundDemo();
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (typeof performanceMonitor !== 'undefined') {
+        performanceMonitor.instrumentMethods(playgroundDemo, ['runCode'], () => 'Playground run',
+            error => playgroundDemo.addResult('Error', `Error in playground: ${error.message}`));
+    }
+});
+
+// Global functions for HTML onclick handlers
+function runPlayground() {
+    const editor = document.getElementById('code-editor');
+    playgroundDemo.runCode(editor ? editor.value : '');
+}
+
+function loadSnippet() {
+    const select = document.getElementById('snippet-select');
+    const editor = document.getElementById('code-editor');
+    try {
+        editor.value = playgroundDemo.getSnippet(select.value);
+    } catch (error) {
+        playgroundDemo.addResult('Error', error.message);
+    }
+}
+
+function saveSnippet() {
+    const select = document.getElementById('snippet-select');
+    const editor = document.getElementById('code-editor');
+    const current = select && select.value.startsWith('snippet:') ? select.value.slice('snippet:'.length) : '';
+    const name = prompt('Snippet name:', current);
+    if (name === null) return;
+
+    try {
+        playgroundDemo.saveSnippet(name, editor.value);
+        playgroundDemo.addResult('Snippet Saved', `Saved "${name.trim()}" in this browser`);
+    } catch (error) {
+        playgroundDemo.addResult('Error', `Could not save snippet: ${error.message}`);
+    }
+}
+
+function deleteSnippet() {
+    const select = document.getElementById('snippet-select');
+    if (!select || !select.value.startsWith('snippet:')) {
+        playgroundDemo.addResult('Error', 'Select a saved snippet to delete (examples cannot be deleted)');
+        return;
+    }
+    const name = select.value.slice('snippet:'.length);
+    if (!confirm(`Delete snippet "${name}"?`)) return;
+
+    try {
+        playgroundDemo.deleteSnippet(name);
+    } catch (error) {
+        playgroundDemo.addResult('Error', error.message);
+    }
+}
+
+function clearResults() {
+    playgroundDemo.results = [];
+    playgroundDemo.updateResults('');
+}
+
+function exportResults() {
+    ExportUtils.exportJSON(playgroundDemo.results, 'playground-results.json');
+}
@@ -4,9 +4,114 @@
  */
 
 class TensorOperationsDemo {
+    /**
+     * Operations available in "Run on my tensor" mode.
+     * Each entry receives the parsed input tensor and the optional
+     * operation parameter and returns { output, details }.
+     */
+    static customOperations = {
+        reshape: {
+            label: 'reshape',
+            apply: (tensor, param) => ({ output: tensor.reshape(TensorUtils.parseShape(param || '-1')) })
+        },
+        flatten: {
+            label: 'flatten',
+            apply: (tensor) => ({ output: tensor.flatten() })
+        },
+        expandDims: {
+            label: 'expandDims',
+            apply: (tensor, param) => ({ output: tensor.expandDims(param ? parseInt(param, 10) : 0) })
+        },
+        squeeze: {
+            label: 'squeeze',
+            apply: (tensor) => ({ output: tensor.squeeze() })
+        },
+        cumsum: {
+            label: 'cumsum',
+            apply: (tensor, param) => ({ output: tensor.cumsum(param ? parseInt(param, 10) : 0) })
+        },
+        abs: {
+            label: 'abs',
+            apply: (tensor) => ({ output: tensor.abs() })
+        },
+        sqrt: {
+            label: 'sqrt',
+            apply: (tensor) => ({ output: tensor.sqrt() })
+        },
+        square: {
+            label: 'square',
+            apply: (tensor) => ({ output: tensor.square() })
+        },
+        statistics: {
+            label: 'Statistics (mean, max, min, sum)',
+            apply: (tensor) => {
+                let details = '';
+                // tf.tidy disposes the intermediates, also when an operation throws
+                const output = tf.tidy(() => {
+                    const floatTensor = tensor.toFloat();
+                    const mean = floatTensor.mean();
+                    const max = floatTensor.max();
+                    const min = floatTensor.min();
+                    const sum = floatTensor.sum();
+                    details = `Mean: ${mean.toString()}\nMax: ${max.toString()}\nMin: ${min.toString()}\nSum: ${sum.toString()}`;
+                    return tf.stack([mean, max, min, sum]);
+                });
+                return { output, details };
+            }
+        },
+        toFloat: {
+            label: 'toFloat',
+            apply: (tensor) => ({ output: tensor.toFloat() })
+        },
+        toInt: {
+            label: 'toInt',
+            apply: (tensor) => ({ output: tensor.toInt() })
+        },
+        toBool: {
+            label: 'toBool',
+            apply: (tensor) => ({ output: tensor.toBool() })
+        }
+    };
+
+    /**
+     * Methods that may be re-run from an imported results file
+     */
+    static replayableOperations = [
+        'runTensorShape', 'runDataType', 'runMathematical', 'runMemory', 'runAdvanced', 'runCustom', 'runCompare'
+    ];
+
+    /**
+     * Demo methods without arguments that can be compared across backends
+     */
+    static backendComparableOperations = [
+        'runTensorShape', 'runDataType', 'runMathematical', 'runMemory', 'runAdvanced'
+    ];
+
+    /**
+     * Worker script used in worker mode, relative to the page
+     */
+    static workerUrl = '../js/workers/tensor-operations-worker.js';
+
+    /**
+     * URL of the TensorFlow.js script this page loaded, so the worker runs the same copy
+     * @returns {string} Script URL, or the CDN build of the running version
+     */
+    static tfjsUrl() {
+        const script = document.querySelector('script[src$="/tf.min.js"]');
+        return script ? script.src : `https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@${tf.version.tfjs}/dist/tf.min.js`;
+    }
+
     constructor() {
         this.results = [];
         this.chart = null;
+        this.currentRun = null;
+        this.pendingChart = null;
+        this.leakCheck = { enabled: false, failOnLeak: false };
+        this.session = null;
+        this.sessionNotice = '';
+        this.saveTimer = null;
+        this.worker = null;
+        this.workerMode = false;
         this.initializeChart();
     }
 
@@ -14,7 +119,8 @@ class TensorOperationsDemo {
      * Initialize Chart.js for tensor visualization
      */
     initializeChart() {
-        const ctx = document.getElementById('tensor-chart');
+        // The demo also runs headless inside the worker, where there is no document
+        const ctx = typeof document !== 'undefined' && document.getElementById('tensor-chart');
         if (ctx) {
             this.chart = new Chart(ctx, {
                 type: 'line',
@@ -51,7 +157,7 @@ class TensorOperationsDemo {
      * @param {string} content - Content to display
      */
     updateResults(content) {
-        const resultsElement = document.getElementById('results');
+        const resultsElement = typeof document !== 'undefined' && document.getElementById('results');
         if (resultsElement) {
             resultsElement.value = content;
         }
@@ -63,8 +169,500 @@ class TensorOperationsDemo {
      * @param {string} content - Result content
      */
     addResult(title, content) {
-        this.results.push({ title, content, timestamp: new Date() });
+        const result = { title, content, timestamp: new Date() };
+        if (this.currentRun) {
+            result.run = this.currentRun;
+            this.currentRun = null;
+        }
+        if (this.pendingChart) {
+            result.chart = this.pendingChart;
+            this.pendingChart = null;
+        }
+        this.results.push(result);
+        this.updateResults(this.formatResults());
+        this.scheduleSave();
+    }
+
+    /**
+     * Start a run: restart the seed sequence and remember how to replay it.
+     * The next result added records the operation, its arguments and the seed.
+     * @param {string} operation - Name of the run method
+     * @param {Array} args - Arguments the method was called with
+     */
+    beginRun(operation, args = []) {
+        TensorUtils.random.reset();
+        this.currentRun = { operation, args, seed: TensorUtils.random.seed };
+    }
+
+    /**
+     * Set the global seed used for all random tensors on this page
+     * @param {number|null} seed - Integer seed, or null for unseeded runs
+     */
+    setSeed(seed) {
+        TensorUtils.random.setSeed(seed);
+    }
+
+    /**
+     * Check the structure of an exported results file
+     * @param {Object[]|Object} data - Results array from exportResults() or a report from ExportUtils.exportReport
+     * @returns {Object[]} Results with timestamps converted back to Date objects
+     */
+    static parseResults(data) {
+        const results = Array.isArray(data) ? data : data && data.results;
+        if (!Array.isArray(results)) {
+            throw new Error('Expected a results array or a report with a "results" array');
+        }
+
+        return results.map((result, index) => {
+            const where = `Result ${index + 1}`;
+            if (!result || typeof result !== 'object' || Array.isArray(result)) {
+                throw new Error(`${where} is not an object`);
+            }
+            if (typeof result.title !== 'string') {
+                throw new Error(`${where} has no "title" string`);
+            }
+            if (typeof result.content !== 'string') {
+                throw new Error(`${where} has no "content" string`);
+            }
+            const timestamp = new Date(result.timestamp);
+            if (result.timestamp === undefined || isNaN(timestamp.getTime())) {
+                throw new Error(`${where} has an invalid "timestamp": ${JSON.stringify(result.timestamp)}`);
+            }
+            if (result.run !== undefined && (!result.run || typeof result.run.operation !== 'string')) {
+                throw new Error(`${where} has a "run" without an "operation"`);
+            }
+            if (result.chart !== undefined && (!result.chart || !['line', 'bar'].includes(result.chart.type) ||
+                                               !Array.isArray(result.chart.labels))) {
+                throw new Error(`${where} has an invalid "chart"`);
+            }
+            return { ...result, timestamp };
+        });
+    }
+
+    /**
+     * Restore previously exported results and redraw the last chart
+     * @param {Object[]|Object} data - Results array from exportResults() or a report from ExportUtils.exportReport
+     * @param {string} source - File name shown in the confirmation
+     */
+    importResults(data, source = 'file') {
+        try {
+            const results = TensorOperationsDemo.parseResults(data);
+            this.results = results;
+            this.updateResults(this.formatResults());
+
+            const lastChart = results.slice().reverse().find(result => result.chart);
+            if (lastChart) {
+                this.renderChartData(lastChart.chart);
+            }
+
+            this.addResult('Import', `Imported ${results.length} result(s) from ${source}` +
+                           (lastChart ? `\nChart restored from "${lastChart.title}"` : ''));
+
+        } catch (error) {
+            this.addResult('Error', `Error importing ${source}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Re-run every recorded operation of exported results with its original seed
+     * @param {Object[]|Object} data - Results array from exportResults() or a report from ExportUtils.exportReport
+     */
+    replay(data) {
+        const previousSeed = TensorUtils.random.seed;
+
+        try {
+            const results = TensorOperationsDemo.parseResults(data);
+
+            let replayed = 0;
+            let skipped = 0;
+            results.forEach(result => {
+                const run = result.run;
+                if (!run || !TensorOperationsDemo.replayableOperations.includes(run.operation)) {
+                    skipped++;
+                    return;
+                }
+                TensorUtils.random.setSeed(run.seed === undefined ? null : run.seed);
+                this[run.operation](...(Array.isArray(run.args) ? run.args : []));
+                replayed++;
+            });
+
+            this.addResult('Replay', `Replayed ${replayed} recorded run(s)` +
+                           (skipped ? `, skipped ${skipped} result(s) without run information` : ''));
+
+        } catch (error) {
+            this.addResult('Error', `Error in replay: ${error.message}`);
+        } finally {
+            TensorUtils.random.setSeed(previousSeed);
+        }
+    }
+
+    /**
+     * Start a new session; the current one stays in the history
+     * @param {string} name - Session name (defaults to the start date)
+     */
+    async newSession(name = '') {
+        await this.saveSession();
+        this.session = SessionStore.createSession('tensor-operations', name);
+        this.results = [];
+        this.updateResults('');
+        if (typeof performanceMonitor !== 'undefined') {
+            performanceMonitor.clear();
+        }
+        await this.renderSessionHistory();
+    }
+
+    /**
+     * Add a performance metric to the current session
+     * @param {Object} metric - Metric from PerformanceMonitor.recordMetric
+     */
+    recordSessionMetric(metric) {
+        if (!this.session) return;
+        this.session.metrics.push(metric);
+        this.scheduleSave();
+    }
+
+    /**
+     * Save the current session shortly, batching bursts of results
+     */
+    scheduleSave() {
+        if (!this.session) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveSession(), 500);
+    }
+
+    /**
+     * Save the current session to IndexedDB. Empty sessions are not stored.
+     * Storage problems are shown in the history panel instead of failing the page.
+     */
+    async saveSession() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.session || (this.results.length === 0 && this.session.metrics.length === 0)) return;
+
+        try {
+            const { session, pruned, trimmed } = await sessionStore.save({ ...this.session, results: this.results });
+            this.session.updatedAt = session.updatedAt;
+            const notices = [];
+            if (pruned.length > 0) {
+                notices.push(`removed the oldest session(s) ${pruned.map(name => `"${name}"`).join(', ')}`);
+            }
+            if (trimmed > 0) {
+                notices.push(`kept only the latest ${session.results.length} result(s) of this session`);
+            }
+            this.sessionNotice = notices.length > 0 ? `Storage was full: ${notices.join('; ')}` : '';
+        } catch (error) {
+            this.sessionNotice = `Session not saved: ${error.message}`;
+        }
+        await this.renderSessionHistory();
+    }
+
+    /**
+     * Reopen a stored session: restore its results, metrics and last chart
+     * and continue recording into it
+     * @param {string} id - Session id
+     */
+    async openSession(id) {
+        try {
+            await this.saveSession();
+            const stored = await sessionStore.get(id);
+            const results = TensorOperationsDemo.parseResults(stored.results);
+
+            this.session = { ...stored, results: [] };
+            this.results = results;
+            this.updateResults(this.formatResults());
+            const lastChart = results.slice().reverse().find(result => result.chart);
+            if (lastChart) {
+                this.renderChartData(lastChart.chart);
+            }
+            if (typeof performanceMonitor !== 'undefined') {
+                performanceMonitor.metrics = stored.metrics.slice(-performanceMonitor.maxMetrics);
+                performanceMonitor.updateDisplay();
+            }
+            this.sessionNotice = `Reopened "${stored.name}" (${results.length} result(s))`;
+
+        } catch (error) {
+            this.sessionNotice = `Could not open session: ${error.message}`;
+        }
+        await this.renderSessionHistory();
+    }
+
+    /**
+     * Rename a stored session (the current one included)
+     * @param {string} id - Session id
+     * @param {string} name - New name
+     */
+    async renameSession(id, name) {
+        try {
+            if (this.session && this.session.id === id) {
+                await this.saveSession();
+            }
+            const renamed = await sessionStore.rename(id, name);
+            if (this.session && this.session.id === id) {
+                this.session.name = renamed.name;
+            }
+            this.sessionNotice = '';
+        } catch (error) {
+            this.sessionNotice = `Could not rename session: ${error.message}`;
+        }
+        await this.renderSessionHistory();
+    }
+
+    /**
+     * Delete a stored session. Deleting the current session starts a new one.
+     * @param {string} id - Session id
+     */
+    async deleteSession(id) {
+        try {
+            await sessionStore.delete(id);
+            this.sessionNotice = '';
+            if (this.session && this.session.id === id) {
+                this.session = null;
+                await this.newSession();
+                return;
+            }
+        } catch (error) {
+            this.sessionNotice = `Could not delete session: ${error.message}`;
+        }
+        await this.renderSessionHistory();
+    }
+
+    /**
+     * Export a stored session as a report through ExportUtils.exportReport
+     * @param {string} id - Session id
+     * @param {string} format - Report format ('json', 'html', 'md', 'txt', 'csv' or 'print')
+     */
+    async exportSession(id, format = 'json') {
+        try {
+            if (this.session && this.session.id === id) {
+                await this.saveSession();
+            }
+            const stored = await sessionStore.get(id);
+            ExportUtils.exportReport(stored.results, {
+                session: { id: stored.id, name: stored.name, createdAt: stored.createdAt, updatedAt: stored.updatedAt },
+                summary: PerformanceMonitor.summarizeMetrics(stored.metrics),
+                metrics: stored.metrics
+            }, format);
+        } catch (error) {
+            this.sessionNotice = `Could not export session: ${error.message}`;
+            await this.renderSessionHistory();
+        }
+    }
+
+    /**
+     * List past sessions by date in the history panel
+     */
+    async renderSessionHistory() {
+        const list = document.getElementById('session-list');
+        const status = document.getElementById('session-status');
+        if (!list) return;
+
+        const escape = text => String(text).replace(/[&<>"']/g, char =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+        let sessions = [];
+        let notice = this.sessionNotice;
+        try {
+            sessions = await sessionStore.list();
+        } catch (error) {
+            notice = `Session history unavailable: ${error.message}`;
+        }
+
+        list.innerHTML = sessions.length === 0
+            ? '<div class="list-group-item small text-muted">No saved sessions yet</div>'
+            : sessions.map(session => {
+                const current = this.session && session.id === this.session.id;
+                return `
+                <div class="list-group-item small${current ? ' active' : ''}">
+                    <div class="fw-bold text-truncate" title="${escape(session.name)}">${escape(session.name)}${current ? ' (current)' : ''}</div>
+                    <div>${new Date(session.updatedAt).toLocaleString()} &middot; ${session.resultCount} result(s)</div>
+                    <div class="btn-group btn-group-sm mt-1" data-session-id="${escape(session.id)}">
+                        <button class="btn btn-outline-secondary" data-session-action="open">Open</button>
+                        <button class="btn btn-outline-secondary" data-session-action="rename">Rename</button>
+                        <button class="btn btn-outline-secondary" data-session-action="export">Export</button>
+                        <button class="btn btn-outline-danger" data-session-action="delete">Delete</button>
+                    </div>
+                </div>`;
+            }).join('');
+
+        // Ids come from IndexedDB, so they are read back from the attribute
+        // instead of being written into inline handler code
+        const actions = { open: openSession, rename: renameSession, export: exportSession, delete: deleteSession };
+        list.querySelectorAll('[data-session-action]').forEach(button => {
+            button.addEventListener('click', () =>
+                actions[button.dataset.sessionAction](button.parentElement.dataset.sessionId));
+        });
+
+        if (status) {
+            const estimate = await sessionStore.estimate().catch(() => null);
+            const usage = estimate && estimate.quota
+                ? `Storage: ${(estimate.usage / (1024 * 1024)).toFixed(1)} of ${(estimate.quota / (1024 * 1024)).toFixed(0)} MB`
+                : '';
+            status.textContent = [notice, usage].filter(Boolean).join(' \u2014 ');
+        }
+    }
+
+    /**
+     * Run a demo method, in the worker when worker mode is on
+     * @param {string} operation - One of TensorOperationsDemo.replayableOperations
+     * @param {Array} args - Arguments for the method
+     */
+    run(operation, args = []) {
+        if (this.workerMode) {
+            return this.runInWorker(operation, args);
+        }
+        return this.runLocally(operation, args);
+    }
+
+    /**
+     * Run a demo method on this thread, inside the leak detector when leak checking is enabled
+     * @param {string} operation - One of TensorOperationsDemo.replayableOperations
+     * @param {Array} args - Arguments for the method
+     */
+    runLocally(operation, args = []) {
+        if (this.leakCheck.enabled) {
+            return this.checkLeaks(operation, args, this.leakCheck.failOnLeak);
+        }
+        return this[operation](...args);
+    }
+
+    /**
+     * Run a demo method inside TensorUtils.memory.detectLeaks and report
+     * the tensors it leaves behind with where they were created
+     * @param {string} operation - One of TensorOperationsDemo.replayableOperations
+     * @param {Array} args - Arguments for the method
+     * @param {boolean} failOnLeak - Report any leak as an error
+     * @returns {Promise<Object|null>} Leak report, or null if the check could not run
+     */
+    async checkLeaks(operation, args = [], failOnLeak = false) {
+        try {
+            if (!TensorOperationsDemo.replayableOperations.includes(operation)) {
+                throw new Error(`Unknown operation "${operation}"`);
+            }
+            const report = await TensorUtils.memory.detectLeaks(() => this[operation](...args), { failOnLeak });
+            this.addResult(`Leak Check: ${operation}`, TensorUtils.memory.describeLeaks(report));
+            return report;
+
+        } catch (error) {
+            if (error.report) {
+                this.addResult('Error', `Leak check failed for ${operation}: ${error.message}\n` +
+                               TensorUtils.memory.describeLeaks(error.report));
+                return error.report;
+            }
+            this.addResult('Error', `Error in leak check: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Turn worker mode on or off. Turning it off stops the worker.
+     * @param {boolean} enabled - Run demo operations in a Web Worker
+     * @returns {boolean} Whether worker mode is on
+     */
+    setWorkerMode(enabled) {
+        if (enabled && !TensorWorker.isAvailable()) {
+            this.addResult('Error', 'Web Workers are not available in this browser; operations keep running on the page');
+            enabled = false;
+        }
+        if (!enabled && this.worker) {
+            this.worker.stop();
+            this.worker = null;
+        }
+        this.workerMode = enabled;
+        this.renderWorkerStatus(enabled ? 'Idle' : 'Off');
+        return enabled;
+    }
+
+    /**
+     * Run a demo method in the worker. Results stream back as they are
+     * added, with the same seed and leak check settings as on the page.
+     * Replay and backend comparison always run on the page.
+     * @param {string} operation - One of TensorOperationsDemo.replayableOperations
+     * @param {Array} args - Arguments for the method
+     * @returns {Promise<Object|null>} The worker's 'done' message, or null if the run failed or was stopped
+     */
+    async runInWorker(operation, args = []) {
+        const startTime = performance.now();
+
+        try {
+            if (!this.worker) {
+                this.worker = new TensorWorker(TensorOperationsDemo.workerUrl);
+            }
+            const options = {
+                seed: TensorUtils.random.seed,
+                leakCheck: this.leakCheck,
+                backend: tf.getBackend(),
+                tfjs: TensorOperationsDemo.tfjsUrl()
+            };
+            const running = this.worker.run(operation, args, options, message => {
+                if (message.type === 'result') {
+                    this.addWorkerResult(message.result);
+                } else if (message.type === 'progress') {
+                    this.renderWorkerStatus(message.message);
+                }
+            });
+            this.renderWorkerStatus(`Queued ${operation}`);
+            const done = await running;
+
+            if (typeof performanceMonitor !== 'undefined') {
+                performanceMonitor.recordMetric(`${operation} (worker, ${done.backend})`, done.executionTime,
+                                                done.memoryBefore, done.memoryAfter, {
+                                                    peakBytes: done.peakBytes,
+                                                    newTensors: done.newTensors,
+                                                    kernels: PerformanceMonitor.summarizeKernels(done.kernels)
+                                                });
+                performanceMonitor.updateDisplay();
+            }
+            this.renderWorkerStatus(this.worker && this.worker.isBusy ?
+                'Running queued operations' : `Idle (worker backend: ${done.backend})`);
+            return done;
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.addResult('Stopped', `${operation} was stopped after ${(performance.now() - startTime).toFixed(2)}ms.\n` +
+                               'The worker was terminated; the next run starts a new one.');
+            } else {
+                this.addResult('Error', `Error in worker: ${error.message}`);
+            }
+            this.renderWorkerStatus(this.workerMode ? 'Idle' : 'Off');
+            return null;
+        }
+    }
+
+    /**
+     * Add a result posted by the worker and redraw its chart
+     * @param {Object} result - Result with title, content, timestamp and optional run and chart
+     */
+    addWorkerResult(result) {
+        this.results.push({ ...result, worker: true });
+        if (result.chart) {
+            this.renderChartData(result.chart);
+        }
         this.updateResults(this.formatResults());
+        this.scheduleSave();
+    }
+
+    /**
+     * Stop everything running or queued in the worker
+     */
+    stopWorker() {
+        if (!this.worker || !this.worker.stop()) {
+            this.renderWorkerStatus(this.workerMode ? 'Idle: nothing to stop' : 'Off');
+        }
+    }
+
+    /**
+     * Show the worker state next to the worker mode switch
+     * @param {string} status - Status text
+     */
+    renderWorkerStatus(status) {
+        const element = typeof document !== 'undefined' && document.getElementById('worker-status');
+        if (element) {
+            element.textContent = status;
+        }
+        const stopButton = typeof document !== 'undefined' && document.getElementById('worker-stop');
+        if (stopButton) {
+            stopButton.disabled = !(this.worker && this.worker.isBusy);
+        }
     }
 
     /**
@@ -82,10 +680,19 @@ class TensorOperationsDemo {
      * @param {tf.Tensor} tensor - Tensor to visualize
      */
     updateChart(tensor) {
+        const chartData = TensorUtils.tensorToChartData(tensor);
+        // Kept with the next result so an imported session can redraw it
+        this.pendingChart = chartData;
+        this.renderChartData(chartData);
+    }
+
+    /**
+     * Draw chart data produced by TensorUtils.tensorToChartData
+     * @param {Object} chartData - Chart type, labels and data or datasets
+     */
+    renderChartData(chartData) {
         if (!this.chart) return;
 
-        const chartData = TensorUtils.tensorToChartData(tensor);
-        
         if (chartData.type === 'line') {
             this.chart.data.labels = chartData.labels;
             this.chart.data.datasets[0].data = chartData.data;
@@ -99,10 +706,464 @@ class TensorOperationsDemo {
         this.chart.update();
     }
 
+    /**
+     * Run a single operation on a user-supplied tensor
+     * @param {string} input - JSON tensor data (see TensorUtils.createTensorFromInput)
+     * @param {string} shape - Optional shape specification
+     * @param {string} operation - Key of TensorOperationsDemo.customOperations
+     * @param {string} param - Optional operation parameter (target shape or axis)
+     * @param {string} dtype - Optional data type of the input ('float32', 'int32' or 'bool')
+     */
+    runCustom(input, shape, operation, param = '', dtype = '') {
+        this.beginRun('runCustom', [input, shape, operation, param, dtype]);
+        const startTime = performance.now();
+        let tensor = null;
+        let output = null;
+
+        try {
+            const op = TensorOperationsDemo.customOperations[operation];
+            if (!op) {
+                throw new Error(`Unknown operation "${operation}"`);
+            }
+            if (!input || !input.trim()) {
+                throw new Error('Enter tensor data in the Custom Tensor Input box');
+            }
+
+            tensor = TensorUtils.createTensorFromInput(input, shape ? shape.trim() : null, dtype || null);
+            const result = op.apply(tensor, param ? param.trim() : '');
+            output = result.output;
+
+            let content = `=== CUSTOM TENSOR: ${op.label.toUpperCase()} ===\n\n`;
+            content += `Input:\n${TensorUtils.getTensorInfo(tensor)}\n\n`;
+            content += `Before: ${tensor.toString()}\nAfter: ${output.toString()}\n\n`;
+            if (result.details) {
+                content += `${result.details}\n\n`;
+            }
+            content += `Output:\n${TensorUtils.getTensorInfo(output)}\n\n`;
+
+            this.updateChart(output);
+
+            const endTime = performance.now();
+            content += `Execution time: ${(endTime - startTime).toFixed(2)}ms\n`;
+            content += `Memory usage: ${(tf.memory().numBytes / 1024).toFixed(2)} KB`;
+
+            this.addResult(`Custom Tensor: ${op.label}`, content);
+
+        } catch (error) {
+            this.addResult('Error', `Error in custom tensor operation: ${error.message}`);
+        } finally {
+            TensorUtils.safeDispose(tensor, output);
+        }
+    }
+
+    /**
+     * Load a NumPy .npy or .npz file, or a CSV or TSV file
+     * (ExportUtils.parseTensorCSV): list its arrays and put the first one in
+     * the custom tensor input, with its shape and data type
+     * @param {File} file - File from a file input
+     */
+    async loadTensorFile(file) {
+        let tensors = {};
+
+        try {
+            const baseName = file.name.replace(/\.[^.]*$/, '');
+            if (/\.npz$/i.test(file.name)) {
+                tensors = await ExportUtils.parseNpz(await file.arrayBuffer());
+            } else if (/\.npy$/i.test(file.name)) {
+                tensors = { [baseName]: ExportUtils.parseNpy(await file.arrayBuffer()) };
+            } else {
+                tensors = { [baseName]: ExportUtils.parseTensorCSV(await file.text()) };
+            }
+            const entries = Object.entries(tensors);
+            if (entries.length === 0) {
+                throw new Error('The archive has no arrays');
+            }
+
+            let content = `=== TENSOR FILE: ${file.name} ===\n\n`;
+            entries.forEach(([name, tensor]) => {
+                content += `${name}:\n${TensorUtils.getTensorInfo(tensor)}\n${tensor.toString()}\n\n`;
+            });
+
+            const [name, first] = entries[0];
+            const setValue = (id, value) => {
+                const element = document.getElementById(id);
+                if (element) {
+                    element.value = value;
+                }
+            };
+            setValue('tensor-input', JSON.stringify(first.arraySync()));
+            setValue('tensor-shape', first.shape.join(','));
+            setValue('tensor-dtype', first.dtype);
+            content += `"${name}" is now in the Custom Tensor Input`;
+
+            this.updateChart(first);
+            this.addResult(`Tensor File: ${file.name}`, content);
+
+        } catch (error) {
+            this.addResult('Error', `Error loading "${file.name}": ${error.message}`);
+        } finally {
+            TensorUtils.safeDispose(...Object.values(tensors));
+        }
+    }
+
+    /**
+     * Save the custom tensor input as a NumPy file, keeping its shape and dtype
+     * @param {string} input - JSON tensor data
+     * @param {string} shape - Optional shape specification
+     * @param {string} dtype - Optional data type ('float32', 'int32' or 'bool')
+     * @param {string} format - 'npy', or 'npz' for an archive holding it as "tensor"
+     */
+    saveTensorFile(input, shape, dtype, format = 'npy') {
+        let tensor = null;
+
+        try {
+            if (!input || !input.trim()) {
+                throw new Error('Enter tensor data in the Custom Tensor Input box');
+            }
+            tensor = TensorUtils.createTensorFromInput(input, shape ? shape.trim() : null, dtype || null);
+            if (format === 'npz') {
+                ExportUtils.exportTensorsNpz({ tensor }, 'tensor.npz');
+            } else {
+                ExportUtils.exportTensorNpy(tensor, 'tensor.npy');
+            }
+        } catch (error) {
+            this.addResult('Error', `Error saving the tensor: ${error.message}`);
+        } finally {
+            TensorUtils.safeDispose(tensor);
+        }
+    }
+
+    /**
+     * Compare two user-supplied tensors element by element
+     * @param {string} inputA - JSON data of the actual tensor
+     * @param {string} inputB - JSON data of the expected tensor
+     * @param {number} rtol - Relative tolerance
+     * @param {number} atol - Absolute tolerance
+     */
+    runCompare(inputA, inputB, rtol = 1e-5, atol = 1e-8) {
+        this.beginRun('runCompare', [inputA, inputB, rtol, atol]);
+        const startTime = performance.now();
+        let tensorA = null;
+        let tensorB = null;
+
+        try {
+            if (!inputA || !inputA.trim() || !inputB || !inputB.trim()) {
+                throw new Error('Enter both tensors to compare');
+            }
+            if (!(rtol >= 0) || !(atol >= 0)) {
+                throw new Error('Tolerances must be non-negative numbers');
+            }
+
+            tensorA = TensorUtils.createTensorFromInput(inputA);
+            tensorB = TensorUtils.createTensorFromInput(inputB);
+            const comparison = TensorUtils.compareTensors(tensorA, tensorB, { rtol, atol });
+
+            let content = '=== TENSOR COMPARISON ===\n\n';
+            content += `A: ${tensorA.toString()}\nShape: [${tensorA.shape.join(', ')}]\n\n`;
+            content += `B: ${tensorB.toString()}\nShape: [${tensorB.shape.join(', ')}]\n\n`;
+            content += `${TensorUtils.describeComparison(comparison)}\n\n`;
+            if (comparison.comparable) {
+                this.renderComparison(tensorA, tensorB, comparison);
+            } else {
+                this.renderComparison(null);
+            }
+
+            const endTime = performance.now();
+            content += `Execution time: ${(endTime - startTime).toFixed(2)}ms\n`;
+            content += `Memory usage: ${(tf.memory().numBytes / 1024).toFixed(2)} KB`;
+
+            this.addResult('Tensor Comparison', content);
+
+        } catch (error) {
+            this.addResult('Error', `Error in tensor comparison: ${error.message}`);
+        } finally {
+            TensorUtils.safeDispose(tensorA, tensorB);
+        }
+    }
+
+    /**
+     * Draw A, B and |A - B| side by side as heatmaps. Tensors are shown
+     * at their broadcast shape, flattened to [rows, last axis].
+     * @param {tf.Tensor|null} tensorA - Actual tensor, or null to clear the view
+     * @param {tf.Tensor} tensorB - Expected tensor
+     * @param {Object} comparison - Result of TensorUtils.compareTensors
+     */
+    renderComparison(tensorA, tensorB, comparison) {
+        const legend = document.getElementById('compare-legend');
+        if (!tensorA) {
+            ['compare-heatmap-a', 'compare-heatmap-b', 'compare-heatmap-diff'].forEach(id => {
+                const canvas = document.getElementById(id);
+                if (canvas) canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            });
+            if (legend) legend.textContent = '';
+            return;
+        }
+
+        const shape = comparison.shape;
+        const cols = shape.length ? shape[shape.length - 1] : 1;
+        const rows = cols ? shape.reduce((a, b) => a * b, 1) / cols : 0;
+        const [valuesA, valuesB] = [tensorA, tensorB].map(tensor =>
+            tf.tidy(() => tensor.toFloat().broadcastTo(shape).dataSync()));
+
+        // A and B share one diverging scale so equal colours mean equal values
+        let limit = 0;
+        [valuesA, valuesB].forEach(values => values.forEach(value => {
+            if (Math.abs(value) > limit) limit = Math.abs(value);
+        }));
+        const diverging = value => {
+            const t = Math.max(-1, Math.min(1, value / (limit || 1)));
+            const fade = Math.round(255 * (1 - Math.abs(t)));
+            return t < 0 ? [fade, fade, 255] : [255, fade, fade];
+        };
+        const maxDiff = comparison.maxDifference || 1;
+        const sequential = value => {
+            const fade = Math.round(255 * (1 - Math.min(1, value / maxDiff)));
+            return [255, fade, fade];
+        };
+
+        this.drawMatrix('compare-heatmap-a', rows, cols, valuesA, diverging);
+        this.drawMatrix('compare-heatmap-b', rows, cols, valuesB, diverging);
+        this.drawMatrix('compare-heatmap-diff', rows, cols, comparison.absoluteDifferences, sequential,
+                        comparison.withinTolerance);
+
+        if (legend) {
+            legend.textContent = `${rows} x ${cols} · A and B from -${limit.toFixed(4)} (blue) to ` +
+                                 `${limit.toFixed(4)} (red) · |A - B| up to ${comparison.maxDifference.toFixed(4)} · ` +
+                                 `${comparison.failureCount} outside tolerance (outlined)`;
+        }
+    }
+
+    /**
+     * Draw a row-major matrix as a heatmap
+     * @param {string} canvasId - Target canvas id
+     * @param {number} rows - Number of rows
+     * @param {number} cols - Number of columns
+     * @param {TypedArray} values - Row-major values
+     * @param {Function} colorFor - Maps a value to an RGB triple
+     * @param {TypedArray} withinTolerance - Optional mask; cells with 0 are outlined
+     */
+    drawMatrix(canvasId, rows, cols, values, colorFor, withinTolerance = null) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!rows || !cols) return;
+
+        const cellWidth = canvas.width / cols;
+        const cellHeight = canvas.height / rows;
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const i = row * cols + col;
+                const [r, g, b] = colorFor(values[i]);
+                ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+                ctx.fillRect(col * cellWidth, row * cellHeight, Math.ceil(cellWidth), Math.ceil(cellHeight));
+                if (withinTolerance && !withinTolerance[i]) {
+                    ctx.strokeStyle = '#000000';
+                    ctx.strokeRect(col * cellWidth + 0.5, row * cellHeight + 0.5, cellWidth - 1, cellHeight - 1);
+                }
+            }
+        }
+    }
+
+    /**
+     * Switch the TensorFlow.js backend used by the page
+     * @param {string} name - Backend name ('cpu', 'webgl', 'wasm')
+     */
+    async switchBackend(name) {
+        const startTime = performance.now();
+
+        try {
+            await TensorUtils.backends.use(name);
+            this.addResult('Backend', `Active backend: ${name}\n` +
+                           `Switch time: ${(performance.now() - startTime).toFixed(2)}ms`);
+        } catch (error) {
+            this.addResult('Error', `Error switching backend: ${error.message}`);
+        }
+        await this.renderBackendStatus();
+    }
+
+    /**
+     * Fill the backend selector with the available backends and show the active one
+     */
+    async renderBackendStatus() {
+        const active = await TensorUtils.backends.active();
+        const select = document.getElementById('backend-select');
+        if (select) {
+            select.innerHTML = TensorUtils.backends.available().map(name =>
+                `<option value="${name}"${name === active ? ' selected' : ''}>${name}</option>`).join('');
+        }
+        const status = document.getElementById('active-backend');
+        if (status) {
+            status.textContent = active;
+        }
+    }
+
+    /**
+     * Run the same demo method on every available backend and report
+     * timing and numerical differences against the first backend (cpu).
+     * The method's output tensors (see outputValues) are compared with
+     * TensorUtils.compareTensors. Random tensors use the global seed
+     * (1 if none is set), reset before each backend's run, so every
+     * backend sees the same inputs.
+     * @param {string} operation - One of TensorOperationsDemo.backendComparableOperations
+     */
+    async compareBackends(operation = 'runMathematical') {
+        const startTime = performance.now();
+        const original = await TensorUtils.backends.active();
+        const previousSeed = TensorUtils.random.seed;
+
+        try {
+            if (!TensorOperationsDemo.backendComparableOperations.includes(operation)) {
+                throw new Error(`"${operation}" cannot be compared across backends`);
+            }
+
+            // Not 0: tfjs treats a seed of 0 as unseeded, so the first random tensor would differ
+            const seed = previousSeed === null ? 1 : previousSeed;
+            const runs = [];
+            for (const backend of TensorUtils.backends.available()) {
+                try {
+                    await TensorUtils.backends.use(backend);
+                } catch (error) {
+                    runs.push({ backend, skipped: error.message });
+                    continue;
+                }
+
+                // Reseed for every backend so each run draws the same random inputs
+                TensorUtils.random.setSeed(seed);
+                const count = this.results.length;
+                const runStart = performance.now();
+                const outputs = this[operation]();
+                const time = performance.now() - runStart;
+                const result = this.results[count];
+                const failed = result.title === 'Error';
+                result.title = `${result.title} [${backend}]`;
+                runs.push({ backend, time, failed, outputs });
+            }
+            this.updateResults(this.formatResults());
+
+            const reference = runs.find(run => !run.skipped);
+            let content = `=== BACKEND COMPARISON: ${operation} ===\n\n`;
+            content += `Seed: ${seed}\n\n`;
+            content += runs.map(run => {
+                if (run.skipped) {
+                    return `${run.backend.padEnd(8)}skipped: ${run.skipped}`;
+                }
+                const ratio = (run.time / reference.time).toFixed(2);
+                return `${run.backend.padEnd(8)}${run.time.toFixed(2)}ms (${ratio}x ${reference.backend})` +
+                       `${run.failed ? ' - failed' : ''}`;
+            }).join('\n');
+
+            const others = runs.filter(run => !run.skipped && run !== reference);
+            if (others.length === 0) {
+                content += `\n\nOnly ${reference.backend} is available; nothing to compare against\n`;
+            } else {
+                content += `\n\nNumerical differences vs ${reference.backend} (atol 1e-4, rtol 1e-4):\n`;
+                await TensorUtils.backends.use(reference.backend);
+                others.forEach(run => {
+                    const diff = TensorOperationsDemo.compareOutputs(reference.outputs, run.outputs);
+                    if (!diff.comparable) {
+                        content += `${run.backend}: ${diff.message}\n`;
+                        return;
+                    }
+                    content += `${run.backend}: ${diff.outputs} outputs, ${diff.values} values, ` +
+                               `max |difference| ${diff.maxDifference.toExponential(2)}, ` +
+                               `${diff.differing.length === 0 ? 'all within tolerance' : `${diff.differing.length} output(s) differ`}\n`;
+                    diff.differing.slice(0, 5).forEach(({ name, message }) => {
+                        content += `  ${name}: ${message}\n`;
+                    });
+                });
+            }
+
+            const endTime = performance.now();
+            content += `\nExecution time: ${(endTime - startTime).toFixed(2)}ms\n`;
+            content += `Memory usage: ${(tf.memory().numBytes / 1024).toFixed(2)} KB`;
+
+            this.addResult(`Backend Comparison: ${operation}`, content);
+
+        } catch (error) {
+            this.addResult('Error', `Error in backend comparison: ${error.message}`);
+        } finally {
+            TensorUtils.random.setSeed(previousSeed);
+            try {
+                await TensorUtils.backends.use(original);
+            } catch (error) {
+                this.addResult('Error', `Could not restore backend ${original}: ${error.message}`);
+            }
+            await this.renderBackendStatus();
+        }
+    }
+
+    /**
+     * Values of a run's result tensors, returned by the demo methods
+     * that compareBackends can compare
+     * @param {Object} tensors - Result tensors by name (not yet disposed)
+     * @returns {Object} { shape, dtype, values } by name
+     */
+    static outputValues(tensors) {
+        const outputs = {};
+        Object.entries(tensors).forEach(([name, tensor]) => {
+            outputs[name] = { shape: tensor.shape, dtype: tensor.dtype, values: Array.from(tensor.dataSync()) };
+        });
+        return outputs;
+    }
+
+    /**
+     * Compare the outputs of two runs with TensorUtils.compareTensors
+     * @param {Object|null} reference - outputValues of the reference run (null if it failed)
+     * @param {Object|null} other - outputValues of the other run (null if it failed)
+     * @param {Object} tolerance - atol and rtol, as in TensorUtils.compareTensors
+     * @returns {Object} { comparable: false, message } if a run failed, otherwise
+     *                   { comparable: true, outputs, values, maxDifference, differing }
+     *                   with differing listing { name, message } per output
+     */
+    static compareOutputs(reference, other, { atol = 1e-4, rtol = 1e-4 } = {}) {
+        if (!reference || !other) {
+            return { comparable: false, message: `nothing to compare, the ${reference ? '' : 'reference '}run failed` };
+        }
+
+        let values = 0;
+        let maxDifference = 0;
+        const differing = Object.keys(other).filter(name => !(name in reference))
+            .map(name => ({ name, message: 'not in the reference outputs' }));
+        Object.entries(reference).forEach(([name, expected]) => {
+            const actual = other[name];
+            if (!actual) {
+                differing.push({ name, message: 'missing' });
+                return;
+            }
+            if (actual.shape.join() !== expected.shape.join() || actual.dtype !== expected.dtype) {
+                differing.push({ name, message: `${actual.dtype} [${actual.shape.join(', ')}], expected ` +
+                                                `${expected.dtype} [${expected.shape.join(', ')}]` });
+                return;
+            }
+            if (expected.values.length === 0) return;
+
+            const tensors = [tf.tensor(actual.values, actual.shape, actual.dtype),
+                             tf.tensor(expected.values, expected.shape, expected.dtype)];
+            try {
+                const comparison = TensorUtils.compareTensors(...tensors, { atol, rtol, maxFailures: 1 });
+                values += expected.values.length;
+                maxDifference = Math.max(maxDifference, comparison.maxDifference);
+                if (!comparison.allClose) {
+                    const [first] = comparison.failures;
+                    differing.push({ name, message: `${comparison.failureCount} of ${expected.values.length} values ` +
+                                                    `outside tolerance, [${first.index.join(', ')}] is ${first.actual}, ` +
+                                                    `expected ${first.expected}` });
+                }
+            } finally {
+                TensorUtils.safeDispose(...tensors);
+            }
+        });
+        return { comparable: true, outputs: Object.keys(reference).length, values, maxDifference, differing };
+    }
+
     /**
      * Run shape operations demo
+     * @returns {Object|null} Result tensor values (see outputValues), null on error
      */
     runTensorShape() {
+        this.beginRun('runTensorShape');
         const startTime = performance.now();
         
         try {
@@ -148,6 +1209,8 @@ class TensorOperationsDemo {
 
             // Update chart with last tensor
             this.updateChart(squeezed);
+            const outputs = TensorOperationsDemo.outputValues({ asScalar, flatten, as1D, as2D, as3D, as4D, as5D,
+                                                                expandDims: expanded, squeeze: squeezed });
 
             // Clean up
             TensorUtils.safeDispose(tensor1d, asScalar, tensor2d, flatten, tensor1, as1D, 
@@ -159,16 +1222,20 @@ class TensorOperationsDemo {
             content += `Memory usage: ${(tf.memory().numBytes / 1024).toFixed(2)} KB`;
 
             this.addResult('Shape Operations', content);
+            return outputs;
 
         } catch (error) {
             this.addResult('Error', `Error in shape operations: ${error.message}`);
+            return null;
         }
     }
 
     /**
      * Run data type conversion demo
+     * @returns {Object|null} Result tensor values (see outputValues), null on error
      */
     runDataType() {
+        this.beginRun('runDataType');
         const startTime = performance.now();
         
         try {
@@ -205,6 +1272,7 @@ class TensorOperationsDemo {
 
             // Update chart
             this.updateChart(reshapeAs);
+            const outputs = TensorOperationsDemo.outputValues({ toFloat, toInt, toBool, reshape: reshaped, reshapeAs });
 
             // Clean up
             TensorUtils.safeDispose(boolTensor, toFloat, floatTensor, toInt, intTensor, toBool,
@@ -215,79 +1283,94 @@ class TensorOperationsDemo {
             content += `Memory usage: ${(tf.memory().numBytes / 1024).toFixed(2)} KB`;
 
             this.addResult('Data Type Conversions', content);
+            return outputs;
 
         } catch (error) {
             this.addResult('Error', `Error in data type conversions: ${error.message}`);
+            return null;
         }
     }
 
     /**
      * Run mathematical operations demo
+     * @returns {Object|null} Result tensor values (see outputValues), null on error
      */
     runMathematical() {
+        this.beginRun('runMathematical');
         const startTime = performance.now();
         
         try {
-            let content = '=== MATHEMATICAL OPERATIONS ===\n\n';
-
-            // Basic mathematical operations
-            const mathTensor = tf.tensor([1, 2, 3, 4]);
-            const cumsum = mathTensor.cumsum();
-            content += `cumsum:\nBefore: ${mathTensor.toString()}\nAfter: ${cumsum.toString()}\n\n`;
-
-            const absTensor = tf.tensor([-1, -2, 3, -4]);
-            const absResult = absTensor.abs();
-            content += `abs:\nBefore: ${absTensor.toString()}\nAfter: ${absResult.toString()}\n\n`;
-
-            const sqrtTensor = tf.tensor([1, 4, 9, 16]);
-            const sqrtResult = sqrtTensor.sqrt();
-            content += `sqrt:\nBefore: ${sqrtTensor.toString()}\nAfter: ${sqrtResult.toString()}\n\n`;
-
-            const squareTensor = tf.tensor([1, 2, 3, 4]);
-            const squareResult = squareTensor.square();
-            content += `square:\nBefore: ${squareTensor.toString()}\nAfter: ${squareResult.toString()}\n\n`;
-
-            // Statistical operations
-            const statsTensor = tf.tensor([1, 2, 3, 4, 5]);
-            const mean = statsTensor.mean();
-            const max = statsTensor.max();
-            const min = statsTensor.min();
-            const sum = statsTensor.sum();
-            content += `Statistics:\nTensor: ${statsTensor.toString()}\nMean: ${mean.toString()}\nMax: ${max.toString()}\nMin: ${min.toString()}\nSum: ${sum.toString()}\n\n`;
-
-            // Element-wise operations
-            const tensorA = tf.tensor([1, 2, 3, 4]);
-            const tensorB = tf.tensor([2, 2, 2, 2]);
-            const add = tensorA.add(tensorB);
-            const sub = tensorA.sub(tensorB);
-            const mul = tensorA.mul(tensorB);
-            const div = tensorA.div(tensorB);
-            content += `Element-wise Operations:\nA: ${tensorA.toString()}\nB: ${tensorB.toString()}\nAdd: ${add.toString()}\nSubtract: ${sub.toString()}\nMultiply: ${mul.toString()}\nDivide: ${div.toString()}\n\n`;
-
-            // Update chart
-            this.updateChart(statsTensor);
-
-            // Clean up
-            TensorUtils.safeDispose(mathTensor, cumsum, absTensor, absResult, sqrtTensor, sqrtResult,
-                                   squareTensor, squareResult, statsTensor, mean, max, min, sum,
-                                   tensorA, tensorB, add, sub, mul, div);
+            let outputs = null;
+            // tf.tidy disposes every intermediate, also when an operation throws
+            let content = tf.tidy(() => {
+                let text = '=== MATHEMATICAL OPERATIONS ===\n\n';
+
+                // Basic mathematical operations
+                const mathTensor = tf.tensor([1, 2, 3, 4]);
+                const cumsum = mathTensor.cumsum();
+                text += `cumsum:\nBefore: ${mathTensor.toString()}\nAfter: ${cumsum.toString()}\n\n`;
+
+                const absTensor = tf.tensor([-1, -2, 3, -4]);
+                const absResult = absTensor.abs();
+                text += `abs:\nBefore: ${absTensor.toString()}\nAfter: ${absResult.toString()}\n\n`;
+
+                const sqrtTensor = tf.tensor([1, 4, 9, 16]);
+                const sqrtResult = sqrtTensor.sqrt();
+                text += `sqrt:\nBefore: ${sqrtTensor.toString()}\nAfter: ${sqrtResult.toString()}\n\n`;
+
+                const squareTensor = tf.tensor([1, 2, 3, 4]);
+                const squareResult = squareTensor.square();
+                text += `square:\nBefore: ${squareTensor.toString()}\nAfter: ${squareResult.toString()}\n\n`;
+
+                // Statistical operations
+                const statsTensor = tf.tensor([1, 2, 3, 4, 5]);
+                const mean = statsTensor.mean();
+                const max = statsTensor.max();
+                const min = statsTensor.min();
+                const sum = statsTensor.sum();
+                text += `Statistics:\nTensor: ${statsTensor.toString()}\nMean: ${mean.toString()}\nMax: ${max.toString()}\nMin: ${min.toString()}\nSum: ${sum.toString()}\n\n`;
+
+                // Element-wise operations
+                const tensorA = tf.tensor([1, 2, 3, 4]);
+                const tensorB = tf.tensor([2, 2, 2, 2]);
+                const add = tensorA.add(tensorB);
+                const sub = tensorA.sub(tensorB);
+                const mul = tensorA.mul(tensorB);
+                const div = tensorA.div(tensorB);
+                text += `Element-wise Operations:\nA: ${tensorA.toString()}\nB: ${tensorB.toString()}\nAdd: ${add.toString()}\nSubtract: ${sub.toString()}\nMultiply: ${mul.toString()}\nDivide: ${div.toString()}\n\n`;
+
+                // Update chart
+                this.updateChart(statsTensor);
+                outputs = TensorOperationsDemo.outputValues({ cumsum, abs: absResult, sqrt: sqrtResult, square: squareResult,
+                                                              mean, max, min, sum, add, sub, mul, div });
+
+                return text;
+            });
 
             const endTime = performance.now();
             content += `Execution time: ${(endTime - startTime).toFixed(2)}ms\n`;
             content += `Memory usage: ${(tf.memory().numBytes / 1024).toFixed(2)} KB`;
 
             this.addResult('Mathematical Operations', content);
+            return outputs;
 
         } catch (error) {
             this.addResult('Error', `Error in mathematical operations: ${error.message}`);
+            return null;
         }
     }
 
     /**
      * Run memory management demo
+     * @returns {Object|null} Result tensor values (see outputValues), null on error
      */
     runMemory() {
+        this.beginRun('runMemory');
         const startTime = performance.now();
+        let sum = null;
+        let keptMean = null;
+        let keptScratch = null;
+        let checkpointed = false;
         
         try {
             let content = '=== MEMORY MANAGEMENT ===\n\n';
@@ -298,7 +1381,7 @@ class TensorOperationsDemo {
             // Create multiple tensors
             const tensors = [];
             for (let i = 0; i < 10; i++) {
-                tensors.push(tf.randomNormal([100, 100]));
+                tensors.push(TensorUtils.random.normal([100, 100]));
             }
 
             const afterCreation = tf.memory();
@@ -316,8 +1399,8 @@ class TensorOperationsDemo {
 
             // Create more tensors and use safeDispose
             const moreTensors = [
-                tf.randomNormal([50, 50]),
-                tf.randomUniform([50, 50]),
+                TensorUtils.random.normal([50, 50]),
+                TensorUtils.random.uniform([50, 50]),
                 tf.zeros([50, 50]),
                 tf.ones([50, 50])
             ];
@@ -332,26 +1415,66 @@ class TensorOperationsDemo {
             const afterSafeDispose = tf.memory();
             content += `After safeDispose: ${(afterSafeDispose.numBytes / 1024).toFixed(2)} KB\n\n`;
 
-            // Clear all memory
-            TensorUtils.memory.clear();
-            const afterClear = tf.memory();
-            content += `After clearing all memory: ${(afterClear.numBytes / 1024).toFixed(2)} KB\n\n`;
+            // Scoped execution: everything not returned or kept is disposed on exit
+            const listTensors = tensors => tensors.map(tensor =>
+                `  #${tensor.id} ${tensor.dtype} [${tensor.shape.join(', ')}]` +
+                (tensor.reason ? ` (${tensor.reason})` : '')).join('\n');
+
+            sum = TensorUtils.memory.withScope(() => {
+                const a = TensorUtils.random.normal([100, 100]);
+                const b = TensorUtils.random.uniform([100, 100]);
+                keptMean = tf.keep(a.mean());
+                return a.add(b).sum();
+            }, {
+                name: 'scoped-sum',
+                onExit: report => {
+                    content += `Scope "${report.name}": created ${report.created} tensors, disposed ${report.disposed}\n`;
+                    content += `Survived the scope:\n${listTensors(report.survivors)}\n`;
+                }
+            });
+            content += `After scope: ${(tf.memory().numBytes / 1024).toFixed(2)} KB\n\n`;
+
+            // Checkpoints: roll back to dispose everything created since
+            TensorUtils.memory.checkpoint('runMemory');
+            checkpointed = true;
+            const beforeScratch = tf.memory();
+            tf.zeros([50, 50]);
+            tf.ones([50, 50]);
+            TensorUtils.random.normal([50, 50]);
+            keptScratch = tf.keep(tf.fill([2], 7));
+            content += `Checkpoint "runMemory", then 4 tensors created without dispose: ` +
+                       `+${tf.memory().numTensors - beforeScratch.numTensors} tensors\n`;
+
+            const rollback = TensorUtils.memory.rollback('runMemory');
+            content += `Rolled back to "${rollback.name}": disposed ${rollback.disposed.length}\n`;
+            content += `Survived the rollback:\n${listTensors(rollback.kept.map(tensor => ({ ...tensor, reason: 'kept' })))}\n`;
+            content += `After rollback: ${(tf.memory().numBytes / 1024).toFixed(2)} KB\n\n`;
 
             const endTime = performance.now();
             content += `Execution time: ${(endTime - startTime).toFixed(2)}ms\n`;
             content += `Final memory usage: ${(tf.memory().numBytes / 1024).toFixed(2)} KB`;
 
             this.addResult('Memory Management', content);
+            return TensorOperationsDemo.outputValues({ sum, mean: keptMean, scratch: keptScratch });
 
         } catch (error) {
             this.addResult('Error', `Error in memory management: ${error.message}`);
+            return null;
+        } finally {
+            if (checkpointed) {
+                TensorUtils.memory.rollback('runMemory');
+                TensorUtils.memory.release('runMemory');
+            }
+            TensorUtils.safeDispose(sum, keptMean, keptScratch);
         }
     }
 
     /**
      * Run advanced operations demo
+     * @returns {Object|null} Result tensor values (see outputValues), null on error
      */
     runAdvanced() {
+        this.beginRun('runAdvanced');
         const startTime = performance.now();
         
         try {
@@ -371,29 +1494,39 @@ class TensorOperationsDemo {
             // Random tensor generation
             const randomNormal = TensorUtils.createRandomTensor([3, 3], 'normal');
             const randomUniform = TensorUtils.createRandomTensor([3, 3], 'uniform', -1, 1);
-            content += `Random Tensors:\nNormal: ${randomNormal.toString()}\nUniform: ${randomUniform.toString()}\n\n`;
+            const randomTruncated = TensorUtils.createRandomTensor([3, 3], 'truncatedNormal');
+            const randomGamma = TensorUtils.createRandomTensor([3, 3], 'gamma', 0, 1, { alpha: 2 });
+            const randomBernoulli = TensorUtils.createRandomTensor([3, 3], 'bernoulli', 0, 1, { p: 0.3 });
+            const randomCategorical = TensorUtils.createRandomTensor([3, 3], 'categorical', 0, 1, { probs: [0.2, 0.3, 0.5] });
+            content += `Random Tensors:\nNormal: ${randomNormal.toString()}\nUniform: ${randomUniform.toString()}\n`;
+            content += `Truncated Normal: ${randomTruncated.toString()}\nGamma (alpha 2): ${randomGamma.toString()}\n`;
+            content += `Bernoulli (p 0.3): ${randomBernoulli.toString()}\nCategorical [0.2, 0.3, 0.5]: ${randomCategorical.toString()}\n\n`;
 
             // Tensor comparison
             const tensor1 = tf.tensor([1, 2, 3, 4]);
             const tensor2 = tf.tensor([1.1, 2.1, 3.1, 4.1]);
             const comparison = TensorUtils.compareTensors(tensor1, tensor2);
-            content += `Tensor Comparison:\nTensor1: ${tensor1.toString()}\nTensor2: ${tensor2.toString()}\nMSE: ${comparison.meanSquaredError.toFixed(4)}\nMAE: ${comparison.meanAbsoluteError.toFixed(4)}\nMax Diff: ${comparison.maxDifference.toFixed(4)}\nShapes Match: ${comparison.shapesMatch}\n\n`;
+            content += `Tensor Comparison:\nTensor1: ${tensor1.toString()}\nTensor2: ${tensor2.toString()}\nMSE: ${comparison.meanSquaredError.toFixed(4)}\nMAE: ${comparison.meanAbsoluteError.toFixed(4)}\nMax Diff: ${comparison.maxDifference.toFixed(4)}\nCosine Similarity: ${comparison.cosineSimilarity.toFixed(4)}\nShapes Match: ${comparison.shapesMatch}\n\n`;
 
             // Performance benchmarking
             const benchmarkResult = TensorUtils.performance.benchmark(() => {
-                const tempTensor = tf.randomNormal([100, 100]);
-                const result = tempTensor.square().mean();
-                tempTensor.dispose();
-                result.dispose();
+                tf.tidy(() => {
+                    TensorUtils.random.normal([100, 100]).square().mean();
+                });
             }, 5);
 
             content += `Performance Benchmark:\nAverage Time: ${benchmarkResult.averageTime.toFixed(2)}ms\nMin Time: ${benchmarkResult.minTime.toFixed(2)}ms\nMax Time: ${benchmarkResult.maxTime.toFixed(2)}ms\nMemory Delta: ${(benchmarkResult.memoryDelta / 1024).toFixed(2)} KB\n\n`;
 
             // Update chart
             this.updateChart(randomNormal);
+            const outputs = TensorOperationsDemo.outputValues({
+                clone: clonedTensor, normal: randomNormal, uniform: randomUniform, truncatedNormal: randomTruncated,
+                gamma: randomGamma, bernoulli: randomBernoulli, categorical: randomCategorical
+            });
 
             // Clean up
             TensorUtils.safeDispose(dataTensor, originalTensor, clonedTensor, randomNormal, randomUniform,
+                                   randomTruncated, randomGamma, randomBernoulli, randomCategorical,
                                    tensor1, tensor2);
 
             const endTime = performance.now();
@@ -401,9 +1534,11 @@ class TensorOperationsDemo {
             content += `Memory usage: ${(tf.memory().numBytes / 1024).toFixed(2)} KB`;
 
             this.addResult('Advanced Operations', content);
+            return outputs;
 
         } catch (error) {
             this.addResult('Error', `Error in advanced operations: ${error.message}`);
+            return null;
         }
     }
 }
@@ -413,28 +1548,149 @@ const tensorDemo = new TensorOperationsDemo();
 
 // Global functions for HTML onclick handlers
 function runTensorShape() {
-    tensorDemo.runTensorShape();
+    tensorDemo.run('runTensorShape');
 }
 
 function runDataType() {
-    tensorDemo.runDataType();
+    tensorDemo.run('runDataType');
 }
 
 function runMathematical() {
-    tensorDemo.runMathematical();
+    tensorDemo.run('runMathematical');
 }
 
 function runMemory() {
-    tensorDemo.runMemory();
+    tensorDemo.run('runMemory');
 }
 
 function runAdvanced() {
-    tensorDemo.runAdvanced();
+    tensorDemo.run('runAdvanced');
+}
+
+function runCustomTensor() {
+    const value = id => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+
+    tensorDemo.run('runCustom', [value('tensor-input'), value('tensor-shape'),
+                                 value('custom-operation'), value('custom-param'), value('tensor-dtype')]);
+}
+
+function loadTensorFile(input) {
+    if (input.files && input.files[0]) {
+        tensorDemo.loadTensorFile(input.files[0]);
+        input.value = '';
+    }
+}
+
+function saveTensorFile(format) {
+    const value = id => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+
+    tensorDemo.saveTensorFile(value('tensor-input'), value('tensor-shape'), value('tensor-dtype'), format);
+}
+
+function setLeakCheck() {
+    const checked = id => {
+        const element = document.getElementById(id);
+        return element ? element.checked : false;
+    };
+
+    tensorDemo.leakCheck = { enabled: checked('leak-check'), failOnLeak: checked('leak-fail') };
+}
+
+function setWorkerMode() {
+    const element = document.getElementById('worker-mode');
+    const enabled = tensorDemo.setWorkerMode(element ? element.checked : false);
+    if (element) {
+        element.checked = enabled;
+    }
+}
+
+function stopWorker() {
+    tensorDemo.stopWorker();
+}
+
+function setRandomSeed(value) {
+    try {
+        tensorDemo.setSeed(value === '' ? null : Number(value));
+    } catch (error) {
+        tensorDemo.addResult('Error', error.message);
+    }
+}
+
+function replayResultsFile(input) {
+    if (input.files && input.files[0]) {
+        ExportUtils.readJSONFile(input.files[0])
+            .then(data => tensorDemo.replay(data))
+            .catch(error => tensorDemo.addResult('Error', `Error in replay: ${error.message}`));
+        input.value = '';
+    }
+}
+
+function importResultsFile(input) {
+    if (input.files && input.files[0]) {
+        const file = input.files[0];
+        ExportUtils.readJSONFile(file)
+            .then(data => tensorDemo.importResults(data, `"${file.name}"`))
+            .catch(error => tensorDemo.addResult('Error', `Error importing "${file.name}": ${error.message}`));
+        input.value = '';
+    }
+}
+
+function compareTensors() {
+    const value = id => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+    const tolerance = (id, fallback) => (value(id).trim() === '' ? fallback : Number(value(id)));
+
+    tensorDemo.run('runCompare', [value('compare-a'), value('compare-b'),
+                                  tolerance('compare-rtol', 1e-5), tolerance('compare-atol', 1e-8)]);
+}
+
+function switchBackend(name) {
+    tensorDemo.switchBackend(name);
+}
+
+function compareBackends() {
+    const element = document.getElementById('backend-compare-operation');
+    tensorDemo.compareBackends(element ? element.value : 'runMathematical');
 }
 
 function clearResults() {
     tensorDemo.results = [];
     tensorDemo.updateResults('');
+    tensorDemo.scheduleSave();
+}
+
+function newSession() {
+    tensorDemo.newSession();
+}
+
+function openSession(id) {
+    tensorDemo.openSession(id);
+}
+
+function renameSession(id) {
+    const name = prompt('New session name:');
+    if (name !== null) {
+        tensorDemo.renameSession(id, name);
+    }
+}
+
+function deleteSession(id) {
+    if (confirm('Delete this session from the history?')) {
+        tensorDemo.deleteSession(id);
+    }
+}
+
+function exportSession(id) {
+    const element = document.getElementById('session-export-format');
+    tensorDemo.exportSession(id, element ? element.value : 'json');
 }
 
 function exportResults() {
@@ -446,4 +1702,25 @@ function exportResults() {
     link.download = 'tensor-operations-results.json';
     link.click();
     URL.revokeObjectURL(url);
-} 
\ No newline at end of file
+} 
+
+// Skipped inside the worker, which imports this file without a page
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (typeof performanceMonitor !== 'undefined') {
+            // Worker runs record the worker's own profile instead
+            performanceMonitor.instrumentMethods(tensorDemo, ['runLocally'], (name, [operation]) => operation,
+                (error, name, [operation]) => tensorDemo.addResult('Error', `Error in ${operation}: ${error.message}`));
+            performanceMonitor.onMetric(metric => tensorDemo.recordSessionMetric(metric));
+        }
+        tensorDemo.renderBackendStatus();
+        tensorDemo.newSession();
+    });
+
+    window.addEventListener('beforeunload', () => {
+        tensorDemo.saveSession();
+    });
+} else {
+    // The worker imports this file as a module, where declarations stay module-scoped
+    Object.assign(globalThis, { TensorOperationsDemo, tensorDemo });
+}
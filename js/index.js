@@ -0,0 +1,10 @@
+/**
+ * Core utilities of the TensorFlow.js Learning Platform as ES modules.
+ * Environment-neutral: the browser glue (browser.js) and the Node entry
+ * point (node.js) both build on these exports.
+ */
+
+export { tf, setTensorFlow } from './core/tensorflow.js';
+export { TensorUtils } from './core/tensor-utils.js';
+export { ExportUtils } from './utils/export-utils.js';
+export { PerformanceMonitor } from './utils/performance-monitor.js';
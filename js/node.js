@@ -0,0 +1,47 @@
+/**
+ * Node entry point
+ * Uses @tensorflow/tfjs for the core modules and writes exports to files
+ * (in the current directory unless setExportTarget says otherwise) instead
+ * of downloading them.
+ *
+ *     import { tf, TensorUtils, ExportUtils } from 'tensorflowjs-learning-platform';
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as tfjs from '@tensorflow/tfjs';
+import { setTensorFlow } from './core/tensorflow.js';
+import { ExportUtils } from './utils/export-utils.js';
+
+export * from './index.js';
+
+/**
+ * Choose where ExportUtils writes exported files
+ * @param {string|Object|Function|null} target - Directory to write files into,
+ *     a writable stream that receives the contents of every export, a writer
+ *     function (content, filename, mimeType), or null to restore downloads
+ * @returns {Function|null} The writer now in use
+ */
+export function setExportTarget(target = process.cwd()) {
+    if (target === null || typeof target === 'function') {
+        ExportUtils.writer = target;
+    } else if (typeof target === 'string') {
+        ExportUtils.writer = (content, filename) => {
+            fs.mkdirSync(target, { recursive: true });
+            const file = path.join(target, filename);
+            fs.writeFileSync(file, content);
+            return file;
+        };
+    } else if (target && typeof target.write === 'function') {
+        ExportUtils.writer = (content, filename) => {
+            target.write(content);
+            return filename;
+        };
+    } else {
+        throw new Error('Export target must be a directory, a writable stream or a function');
+    }
+    return ExportUtils.writer;
+}
+
+setTensorFlow(tfjs);
+setExportTarget();
@@ -1,88 +1,235 @@
 /**
  * Export Utilities
- * Provides functions for exporting data in various formats
+ * Provides functions for exporting data in various formats.
+ * In the browser exports are downloaded; set ExportUtils.writer to send
+ * them elsewhere (the Node entry point writes them to files or a stream).
  */
 
-class ExportUtils {
+import { tf } from '../core/tensorflow.js';
+import { TensorUtils } from '../core/tensor-utils.js';
+
+let crcTable = null;
+
+/**
+ * CRC-32 checksum, as stored in ZIP archives
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256).map((_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            return c;
+        });
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Format milliseconds for reports
+ * @param {number} value - Time in milliseconds
+ * @returns {string} e.g. "1.25ms", or "n/a" when the value is missing
+ */
+function formatMs(value) {
+    return Number.isFinite(value) ? `${value.toFixed(2)}ms` : 'n/a';
+}
+
+/**
+ * Format a byte count in KB for reports
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "2.00 KB", or "n/a" when the value is missing
+ */
+function formatKB(bytes) {
+    return Number.isFinite(bytes) ? `${(bytes / 1024).toFixed(2)} KB` : 'n/a';
+}
+
+const timelineHeaders = ['#', 'Time', 'Operation', 'Execution Time', 'Memory Change', 'Kernels'];
+
+/**
+ * Rows of the performance timeline in the HTML and Markdown reports
+ * @param {Object[]} metrics - Recorded metrics (PerformanceMonitor.recordMetric)
+ * @returns {string[][]} One unescaped row per metric, in the order of timelineHeaders
+ */
+function timelineRows(metrics) {
+    return metrics.map((metric, index) => [
+        String(index + 1),
+        metric.timestamp === undefined ? '' : String(metric.timestamp),
+        String(metric.operation),
+        formatMs(metric.executionTime),
+        formatKB(metric.memoryDelta),
+        (metric.kernels || []).map(kernel => `${kernel.name} x${kernel.count}`).join(', ')
+    ]);
+}
+
+/**
+ * Escape text for Markdown headings, list items and table cells
+ * @param {*} value - Text (other values are converted to strings)
+ * @returns {string} Escaped text on one line
+ */
+function markdownText(value) {
+    return String(value).replace(/\r?\n/g, ' ').replace(/[\\`*_[\]<>#|]/g, '\\$&');
+}
+
+/**
+ * Markdown table
+ * @param {string[]} headers - Column headers
+ * @param {string[][]} rows - Unescaped cells
+ * @param {string[]} align - Delimiter row cells, e.g. '---' or '---:'
+ * @returns {string} Table lines
+ */
+function markdownTable(headers, rows, align = headers.map(() => '---')) {
+    const line = cells => `| ${cells.map(markdownText).join(' | ')} |`;
+    return [line(headers), `| ${align.join(' | ')} |`, ...rows.map(line)].join('\n');
+}
+
+/**
+ * Decompress raw deflate data (ZIP compression method 8)
+ * @param {Uint8Array} bytes - Compressed data
+ * @returns {Promise<Uint8Array>} Decompressed data
+ */
+async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export class ExportUtils {
+    /**
+     * Where exports go instead of a download: called with
+     * (content, filename, mimeType), its return value is returned by the
+     * export functions. Null downloads the file.
+     * @type {Function|null}
+     */
+    static writer = null;
+
     /**
      * Export data as JSON file
      * @param {Object} data - Data to export
      * @param {string} filename - Output filename
+     * @returns {*} Result of saveFile
      */
     static exportJSON(data, filename = 'export.json') {
         const dataStr = JSON.stringify(data, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        this.downloadFile(dataBlob, filename);
+        return this.saveFile(dataStr, filename, 'application/json');
+    }
+
+    /**
+     * Write rows as RFC 4180 CSV. The columns are the union of the rows'
+     * keys in first-seen order; strings are always quoted, with embedded
+     * quotes doubled, and records end with CRLF.
+     * @param {Object[]} rows - Objects to write, one per record
+     * @param {Object} options - delimiter (default ','), bom (prefix a byte
+     *     order mark so spreadsheet apps read UTF-8), headers (column order)
+     * @returns {string} CSV text
+     */
+    static toCSV(rows, { delimiter = ',', bom = false, headers = null } = {}) {
+        if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+            throw new Error(`Invalid CSV delimiter ${JSON.stringify(delimiter)}: use a single character other than a quote or line break`);
+        }
+
+        const columns = headers || [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const quote = text => `"${text.replace(/"/g, '""')}"`;
+        const field = value => {
+            if (value === null || value === undefined) {
+                return '';
+            }
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                return String(value);
+            }
+            if (value instanceof Date) {
+                return quote(value.toISOString());
+            }
+            return quote(typeof value === 'object' ? JSON.stringify(value) : String(value));
+        };
+        // Headers are only quoted when they have to be
+        const header = name => (name.includes(delimiter) || /["\r\n]/.test(name) ? quote(name) : name);
+
+        const records = [columns.map(header), ...rows.map(row => columns.map(column => field(row[column])))];
+        return (bom ? '\uFEFF' : '') + records.map(record => `${record.join(delimiter)}\r\n`).join('');
     }
 
     /**
-     * Export data as CSV file
+     * Export data as CSV file (see toCSV)
      * @param {Array} data - Array of objects to export
      * @param {string} filename - Output filename
+     * @param {Object} options - toCSV options: delimiter, bom and headers
+     * @returns {*} Result of saveFile
      */
-    static exportCSV(data, filename = 'export.csv') {
+    static exportCSV(data, filename = 'export.csv', options = {}) {
         if (!data || data.length === 0) {
             console.error('No data to export');
             return;
         }
 
-        const headers = Object.keys(data[0]);
-        const csvContent = [
-            headers.join(','),
-            ...data.map(row => headers.map(header => {
-                const value = row[header];
-                return typeof value === 'string' ? `"${value}"` : value;
-            }).join(','))
-        ].join('\n');
-
-        const dataBlob = new Blob([csvContent], { type: 'text/csv' });
-        this.downloadFile(dataBlob, filename);
+        const mimeType = options.delimiter === '\t' ? 'text/tab-separated-values' : 'text/csv';
+        return this.saveFile(this.toCSV(data, options), filename, mimeType);
     }
 
     /**
      * Export tensor data as CSV
      * @param {tf.Tensor} tensor - Tensor to export
      * @param {string} filename - Output filename
+     * @param {Object} options - preserveDtype: write values so parseTensorCSV
+     *     reads back the same dtype (5.0 for float32, true/false for bool)
+     * @returns {*} Result of saveFile
      */
-    static exportTensorCSV(tensor, filename = 'tensor-data.csv') {
+    static exportTensorCSV(tensor, filename = 'tensor-data.csv', { preserveDtype = false } = {}) {
         const data = tensor.arraySync();
         const shape = tensor.shape;
+        // With preserveDtype, float32 values always have a decimal point or
+        // exponent, and booleans are true/false
+        const format = value => {
+            if (!preserveDtype) {
+                return String(value);
+            }
+            if (tensor.dtype === 'bool') {
+                return value ? 'true' : 'false';
+            }
+            if (tensor.dtype === 'float32' && Number.isInteger(value) && Math.abs(value) < 1e21) {
+                return `${Object.is(value, -0) ? '-' : ''}${value.toFixed(1)}`;
+            }
+            return String(value);
+        };
         
         let csvContent = '';
         
         if (shape.length === 1) {
             csvContent = 'Index,Value\n';
             data.forEach((value, index) => {
-                csvContent += `${index},${value}\n`;
+                csvContent += `${index},${format(value)}\n`;
             });
         } else if (shape.length === 2) {
             csvContent = 'Row,Column,Value\n';
             for (let i = 0; i < shape[0]; i++) {
                 for (let j = 0; j < shape[1]; j++) {
-                    csvContent += `${i},${j},${data[i][j]}\n`;
+                    csvContent += `${i},${j},${format(data[i][j])}\n`;
                 }
             }
         } else {
             csvContent = 'Value\n';
-            const flatData = data.flat(shape.length - 1);
+            const flatData = shape.length === 0 ? [data] : data.flat(shape.length - 1);
             flatData.forEach(value => {
-                csvContent += `${value}\n`;
+                csvContent += `${format(value)}\n`;
             });
         }
 
-        const dataBlob = new Blob([csvContent], { type: 'text/csv' });
-        this.downloadFile(dataBlob, filename);
+        return this.saveFile(csvContent, filename, 'text/csv');
     }
 
     /**
-     * Export chart as image
+     * Export chart as image (browser only: it needs the chart's canvas)
      * @param {Chart} chart - Chart.js instance
      * @param {string} filename - Output filename
      * @param {string} format - Image format ('png', 'jpeg', 'webp')
      */
     static exportChartImage(chart, filename = 'chart.png', format = 'png') {
-        const canvas = chart.canvas;
-        const dataURL = canvas.toDataURL(`image/${format}`);
+        const dataURL = this.chartImageURL(chart, format);
         
         // Create download link
         const link = document.createElement('a');
@@ -93,37 +240,100 @@ class ExportUtils {
         document.body.removeChild(link);
     }
 
+    /**
+     * Capture a chart as a data URL
+     * @param {Chart} chart - Chart.js instance
+     * @param {string} format - Image format ('png', 'jpeg', 'webp')
+     * @returns {string} Data URL of the chart's canvas
+     */
+    static chartImageURL(chart, format = 'png') {
+        return chart.canvas.toDataURL(`image/${format}`);
+    }
+
+    /**
+     * Draw chart data (TensorUtils.tensorToChartData, as stored with results)
+     * on an off-screen canvas, styled like the tensor-chart of the tensor
+     * operations page, and capture it
+     * @param {Object} chartData - Chart type, labels and data or datasets
+     * @param {Object} size - Canvas width and height in pixels
+     * @returns {string|null} PNG data URL, or null without a DOM and Chart.js
+     */
+    static renderChartImage(chartData, { width = 640, height = 320 } = {}) {
+        if (typeof document === 'undefined' || typeof globalThis.Chart === 'undefined' || !chartData) {
+            return null;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const chart = new globalThis.Chart(canvas, {
+            type: chartData.type === 'bar' ? 'bar' : 'line',
+            data: {
+                labels: chartData.labels,
+                datasets: chartData.type === 'bar' ? chartData.datasets : [{
+                    label: 'Tensor Values',
+                    data: chartData.data,
+                    borderColor: 'rgb(75, 192, 192)',
+                    backgroundColor: 'rgba(75, 192, 192, 0.2)',
+                    tension: 0.1
+                }]
+            },
+            options: {
+                // Drawn at once and at a fixed size, so the canvas can be captured right away
+                animation: false,
+                responsive: false,
+                devicePixelRatio: 1,
+                plugins: { title: { display: true, text: 'Tensor Visualization' } },
+                scales: { y: { beginAtZero: true } }
+            }
+        });
+        try {
+            return this.chartImageURL(chart);
+        } finally {
+            chart.destroy();
+        }
+    }
+
     /**
      * Export performance data
      * @param {Object} performanceData - Performance data to export
      * @param {string} format - Export format ('json', 'csv')
+     * @param {Object} options - CSV options (see toCSV)
+     * @returns {*} Result of saveFile
      */
-    static exportPerformanceData(performanceData, format = 'json') {
+    static exportPerformanceData(performanceData, format = 'json', options = {}) {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         
         if (format === 'csv') {
+            // Benchmark metrics carry extra statistics (size, median, p95, ...) in metric.stats,
+            // instrumented operations a kernel breakdown
             const csvData = performanceData.metrics.map(metric => ({
                 operation: metric.operation,
                 executionTime: metric.executionTime,
                 memoryBefore: metric.memoryBefore,
                 memoryAfter: metric.memoryAfter,
                 memoryDelta: metric.memoryDelta,
-                timestamp: metric.timestamp
+                timestamp: metric.timestamp,
+                ...(metric.stats || {}),
+                ...(metric.kernels ? {
+                    peakBytes: metric.peakBytes,
+                    newTensors: metric.newTensors,
+                    kernels: metric.kernels.map(kernel =>
+                        `${kernel.name} x${kernel.count} ${kernel.timeMs.toFixed(3)}ms`).join('; ')
+                } : {})
             }));
-            this.exportCSV(csvData, `performance-${timestamp}.csv`);
-        } else {
-            this.exportJSON(performanceData, `performance-${timestamp}.json`);
+            return this.exportCSV(csvData, `performance-${timestamp}.csv`, options);
         }
+        return this.exportJSON(performanceData, `performance-${timestamp}.json`);
     }
 
     /**
-     * Export all results as a comprehensive report
+     * Build the report model shared by every report format
      * @param {Array} results - Array of result objects
      * @param {Object} performanceData - Performance data
-     * @param {string} format - Export format ('json', 'html', 'txt')
+     * @returns {Object} Report with title, timestamp, results, performance and summary
      */
-    static exportReport(results, performanceData = null, format = 'json') {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    static createReport(results, performanceData = null) {
         const report = {
             title: 'TensorFlow.js Learning Platform Report',
             timestamp: new Date(),
@@ -137,99 +347,696 @@ class ExportUtils {
         };
 
         if (performanceData) {
-            report.summary.averageExecutionTime = performanceData.summary.averageExecutionTime;
+            // Missing when the data has no summary; the reports show it as n/a
+            const summary = performanceData.summary || {};
+            report.summary.averageExecutionTime = Number.isFinite(summary.averageExecutionTime) ?
+                summary.averageExecutionTime : null;
         }
+        return report;
+    }
+
+    /**
+     * Export all results as a comprehensive report
+     * @param {Array} results - Array of result objects
+     * @param {Object} performanceData - Performance data
+     * @param {string} format - Export format ('json', 'html', 'md', 'txt', 'csv', or 'print' to print it)
+     * @param {Object} options - CSV options (see toCSV)
+     * @returns {*} Result of saveFile (the print frame for 'print')
+     */
+    static exportReport(results, performanceData = null, format = 'json', options = {}) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const report = this.createReport(results, performanceData);
 
         switch (format) {
             case 'html':
-                this.exportHTMLReport(report, `report-${timestamp}.html`);
-                break;
+                return this.exportHTMLReport(report, `report-${timestamp}.html`);
+            case 'md':
+            case 'markdown':
+                return this.exportMarkdownReport(report, `report-${timestamp}.md`);
+            case 'print':
+                return this.printReport(report);
             case 'txt':
-                this.exportTextReport(report, `report-${timestamp}.txt`);
-                break;
+                return this.exportTextReport(report, `report-${timestamp}.txt`);
+            case 'csv':
+                // One record per result; multi-line contents stay in one quoted field
+                return this.exportCSV(report.results.map(result => ({
+                    title: result.title,
+                    timestamp: result.timestamp,
+                    seed: result.run ? result.run.seed : null,
+                    content: result.content
+                })), `report-${timestamp}.csv`, { headers: ['title', 'timestamp', 'seed', 'content'], ...options });
             default:
-                this.exportJSON(report, `report-${timestamp}.json`);
+                return this.exportJSON(report, `report-${timestamp}.json`);
         }
     }
 
     /**
-     * Export report as HTML
-     * @param {Object} report - Report data
-     * @param {string} filename - Output filename
+     * Escape text for HTML element content and attribute values
+     * @param {*} value - Text (other values are converted to strings)
+     * @returns {string} Escaped text
      */
-    static exportHTMLReport(report, filename) {
-        const htmlContent = `
+    static escapeHTML(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value).replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    /**
+     * Render a report as a self-contained HTML page: a table of contents, each
+     * result with its chart embedded as an image, and a performance timeline.
+     * All text from results and performance data is escaped. When printed,
+     * each result starts on a new page.
+     * @param {Object} report - Report data (see createReport)
+     * @returns {string} HTML document
+     */
+    static renderHTMLReport(report) {
+        const escape = value => this.escapeHTML(value);
+        const performance = report.performance;
+        const performanceSummary = (performance && performance.summary) || {};
+        const metrics = (performance && Array.isArray(performance.metrics)) ? performance.metrics : [];
+
+        const toc = report.results.map((result, index) => `
+            <li><a href="#result-${index + 1}">${escape(result.title)}</a></li>`).join('');
+
+        const results = report.results.map((result, index) => {
+            const image = result.chart ? this.renderChartImage(result.chart) : null;
+            return `
+        <div class="result" id="result-${index + 1}">
+            <h3>${escape(result.title)}</h3>
+            <p>Timestamp: ${escape(result.timestamp)}</p>
+            ${result.run && result.run.seed !== null ? `<p>Seed: ${escape(result.run.seed)}</p>` : ''}
+            <pre>${escape(result.content)}</pre>
+            ${image ? `<img class="chart" src="${escape(image)}" alt="Chart for ${escape(result.title)}">` : ''}
+        </div>`;
+        }).join('');
+
+        const timeline = timelineRows(metrics).map(row => `
+                <tr>${row.map((cell, column) =>
+                    `<td${[3, 4].includes(column) ? ' class="number"' : ''}>${escape(cell)}</td>`).join('')}</tr>`).join('');
+
+        return `
 <!DOCTYPE html>
 <html>
 <head>
-    <title>${report.title}</title>
+    <meta charset="utf-8">
+    <title>${escape(report.title)}</title>
     <style>
         body { font-family: Arial, sans-serif; margin: 20px; }
         .header { background: #f0f0f0; padding: 20px; border-radius: 5px; }
+        .toc { margin: 20px 0; }
         .result { margin: 20px 0; padding: 15px; border: 1px solid #ddd; border-radius: 5px; }
         .performance { background: #e8f4f8; padding: 15px; border-radius: 5px; }
         pre { background: #f5f5f5; padding: 10px; border-radius: 3px; overflow-x: auto; }
+        img.chart { max-width: 100%; }
+        table { border-collapse: collapse; width: 100%; background: #fff; }
+        th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+        td.number { text-align: right; }
+        @media print {
+            body { margin: 0; font-size: 11pt; }
+            .header, .performance, pre { background: none; }
+            .header, .performance { padding: 0; }
+            .result { margin: 0; padding: 0; border: none; }
+            .result + .result, .performance { break-before: page; }
+            pre { white-space: pre-wrap; overflow-wrap: anywhere; border: 1px solid #ddd; }
+            img.chart, tr { break-inside: avoid; }
+            thead { display: table-header-group; }
+            a { color: inherit; text-decoration: none; }
+        }
     </style>
 </head>
 <body>
     <div class="header">
-        <h1>${report.title}</h1>
-        <p>Generated: ${report.timestamp}</p>
+        <h1>${escape(report.title)}</h1>
+        <p>Generated: ${escape(report.timestamp)}</p>
         <p>Total Results: ${report.summary.totalResults}</p>
         <p>Total Operations: ${report.summary.totalOperations}</p>
-        <p>Average Execution Time: ${report.summary.averageExecutionTime.toFixed(2)}ms</p>
+        <p>Average Execution Time: ${formatMs(report.summary.averageExecutionTime)}</p>
     </div>
+
+    <nav class="toc">
+        <h2>Contents</h2>
+        <ol>${toc}
+            ${performance ? '<li><a href="#performance">Performance Summary</a></li>' : ''}
+        </ol>
+    </nav>
+    ${results}
     
-    ${report.results.map(result => `
-        <div class="result">
-            <h3>${result.title}</h3>
-            <p>Timestamp: ${result.timestamp}</p>
-            <pre>${result.content}</pre>
-        </div>
-    `).join('')}
-    
-    ${report.performance ? `
-        <div class="performance">
+    ${performance ? `
+        <div class="performance" id="performance">
             <h3>Performance Summary</h3>
-            <p>Total Operations: ${report.performance.summary.totalOperations}</p>
-            <p>Average Execution Time: ${report.performance.summary.averageExecutionTime.toFixed(2)}ms</p>
-            <p>Peak Memory Usage: ${(report.performance.summary.peakMemoryUsage / 1024).toFixed(2)} KB</p>
+            <p>Total Operations: ${escape(performanceSummary.totalOperations === undefined ? metrics.length : performanceSummary.totalOperations)}</p>
+            <p>Average Execution Time: ${formatMs(performanceSummary.averageExecutionTime)}</p>
+            <p>Peak Memory Usage: ${formatKB(performanceSummary.peakMemoryUsage)}</p>
+            ${metrics.length ? `
+            <h4>Timeline</h4>
+            <table>
+                <thead>
+                    <tr>${timelineHeaders.map(header => `<th>${header}</th>`).join('')}</tr>
+                </thead>
+                <tbody>${timeline}
+                </tbody>
+            </table>` : ''}
         </div>
     ` : ''}
 </body>
 </html>`;
+    }
+
+    /**
+     * Export report as self-contained HTML (see renderHTMLReport)
+     * @param {Object} report - Report data
+     * @param {string} filename - Output filename
+     * @returns {*} Result of saveFile
+     */
+    static exportHTMLReport(report, filename) {
+        return this.saveFile(this.renderHTMLReport(report), filename, 'text/html');
+    }
+
+    /**
+     * Open the browser's print dialog for the HTML report, e.g. to save it as
+     * a PDF. The report is printed from a hidden frame that is removed afterwards.
+     * @param {Object} report - Report data
+     * @returns {HTMLIFrameElement} The print frame
+     */
+    static printReport(report) {
+        if (typeof document === 'undefined') {
+            throw new Error('Printing a report needs a browser; export it as HTML instead');
+        }
 
-        const dataBlob = new Blob([htmlContent], { type: 'text/html' });
-        this.downloadFile(dataBlob, filename);
+        const frame = document.createElement('iframe');
+        frame.setAttribute('aria-hidden', 'true');
+        Object.assign(frame.style, { position: 'fixed', width: '0', height: '0', border: '0' });
+        frame.onload = () => {
+            const view = frame.contentWindow;
+            view.addEventListener('afterprint', () => frame.remove());
+            view.focus();
+            view.print();
+        };
+        frame.srcdoc = this.renderHTMLReport(report);
+        document.body.appendChild(frame);
+        return frame;
+    }
+
+    /**
+     * Render a report as Markdown: summary and performance tables, and each
+     * result's content in a fenced block
+     * @param {Object} report - Report data (see createReport)
+     * @returns {string} Markdown text
+     */
+    static renderMarkdownReport(report) {
+        const summary = report.summary;
+        const sections = [
+            `# ${markdownText(report.title)}`,
+            `Generated: ${markdownText(report.timestamp)}`,
+            markdownTable(['Summary', 'Value'], [
+                ['Total Results', String(summary.totalResults)],
+                ['Total Operations', String(summary.totalOperations)],
+                ['Average Execution Time', formatMs(summary.averageExecutionTime)]
+            ])
+        ];
+
+        report.results.forEach(result => {
+            const content = String(result.content);
+            // Longer than any backtick run in the content, so the block cannot end early
+            const fence = '`'.repeat(Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length)) + 1);
+            const details = [`- Timestamp: ${markdownText(result.timestamp)}`];
+            if (result.run && result.run.seed !== null) {
+                details.push(`- Seed: ${markdownText(result.run.seed)}`);
+            }
+            sections.push(`## ${markdownText(result.title)}`, details.join('\n'), `${fence}text\n${content}\n${fence}`);
+        });
+
+        if (report.performance) {
+            const performanceSummary = report.performance.summary || {};
+            const metrics = Array.isArray(report.performance.metrics) ? report.performance.metrics : [];
+            sections.push('## Performance Summary', markdownTable(['Metric', 'Value'], [
+                ['Total Operations', String(performanceSummary.totalOperations === undefined ? metrics.length : performanceSummary.totalOperations)],
+                ['Average Execution Time', formatMs(performanceSummary.averageExecutionTime)],
+                ['Peak Memory Usage', formatKB(performanceSummary.peakMemoryUsage)]
+            ]));
+            if (metrics.length) {
+                sections.push('### Timeline',
+                    markdownTable(timelineHeaders, timelineRows(metrics), ['---:', '---', '---', '---:', '---:', '---']));
+            }
+        }
+
+        return `${sections.join('\n\n')}\n`;
+    }
+
+    /**
+     * Export report as Markdown (see renderMarkdownReport)
+     * @param {Object} report - Report data
+     * @param {string} filename - Output filename
+     * @returns {*} Result of saveFile
+     */
+    static exportMarkdownReport(report, filename) {
+        return this.saveFile(this.renderMarkdownReport(report), filename, 'text/markdown');
     }
 
     /**
      * Export report as text
      * @param {Object} report - Report data
      * @param {string} filename - Output filename
+     * @returns {*} Result of saveFile
      */
     static exportTextReport(report, filename) {
         let textContent = `${report.title}\n`;
         textContent += `Generated: ${report.timestamp}\n`;
         textContent += `Total Results: ${report.summary.totalResults}\n`;
         textContent += `Total Operations: ${report.summary.totalOperations}\n`;
-        textContent += `Average Execution Time: ${report.summary.averageExecutionTime.toFixed(2)}ms\n\n`;
+        textContent += `Average Execution Time: ${formatMs(report.summary.averageExecutionTime)}\n\n`;
 
         report.results.forEach(result => {
             textContent += `=== ${result.title} ===\n`;
             textContent += `Timestamp: ${result.timestamp}\n`;
+            if (result.run && result.run.seed !== null) {
+                textContent += `Seed: ${result.run.seed}\n`;
+            }
             textContent += `${result.content}\n\n`;
         });
 
         if (report.performance) {
+            const summary = report.performance.summary || {};
             textContent += `=== PERFORMANCE SUMMARY ===\n`;
-            textContent += `Total Operations: ${report.performance.summary.totalOperations}\n`;
-            textContent += `Average Execution Time: ${report.performance.summary.averageExecutionTime.toFixed(2)}ms\n`;
-            textContent += `Peak Memory Usage: ${(report.performance.summary.peakMemoryUsage / 1024).toFixed(2)} KB\n`;
+            textContent += `Total Operations: ${summary.totalOperations === undefined ? 'n/a' : summary.totalOperations}\n`;
+            textContent += `Average Execution Time: ${formatMs(summary.averageExecutionTime)}\n`;
+            textContent += `Peak Memory Usage: ${formatKB(summary.peakMemoryUsage)}\n`;
+        }
+
+        return this.saveFile(textContent, filename, 'text/plain');
+    }
+
+    /**
+     * Read a tensor from CSV or TSV. Accepts the long layouts written by
+     * exportTensorCSV (Index,Value, Row,Column,Value and Value) and wide
+     * matrices, one row per line, with an optional header row.
+     * Without options.dtype the dtype is inferred: bool when every value is
+     * true or false, int32 when every value is an integer literal that fits,
+     * float32 otherwise. A layout header without rows is an empty tensor.
+     * @param {string} text - CSV or TSV text
+     * @param {Object} options - delimiter (detected from the first line:
+     *     tab or comma), dtype, and shape for the flat Value layout
+     * @returns {tf.Tensor} Vector for Index,Value and Value, matrix otherwise
+     */
+    static parseTensorCSV(text, options = {}) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/)
+            .map((content, i) => ({ content: content.trim(), line: i + 1 }))
+            .filter(({ content }) => content !== '');
+        if (lines.length === 0) {
+            throw new Error('CSV has no data');
+        }
+        const delimiter = options.delimiter || (lines[0].content.includes('\t') ? '\t' : ',');
+        const rows = lines.map(({ content, line }) => {
+            const cells = content.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+            return { cells, line };
+        });
+
+        const kinds = new Set();
+        const value = (cell, line) => {
+            let result;
+            if (/^(true|false)$/i.test(cell)) {
+                kinds.add('bool');
+                result = cell.toLowerCase() === 'true';
+            } else {
+                result = Number(cell);
+                if (cell === '' || (Number.isNaN(result) && !/^[+-]?NaN$/.test(cell))) {
+                    throw new Error(`Invalid number "${cell}" on line ${line}`);
+                }
+                // Integer literals that fit are int32; decimals, exponents and NaN are float32
+                kinds.add(/^[+-]?\d+$/.test(cell) && result === (result | 0) ? 'int32' : 'float32');
+            }
+            if (kinds.has('bool') && kinds.size > 1) {
+                throw new Error(`Line ${line} mixes numbers with true/false values`);
+            }
+            return result;
+        };
+        const position = (cell, line) => {
+            if (!/^\d+$/.test(cell)) {
+                throw new Error(`Invalid index "${cell}" on line ${line}`);
+            }
+            return Number(cell);
+        };
+        const checkLength = ({ cells, line }, expected) => {
+            if (cells.length !== expected) {
+                throw new Error(`Line ${line} has ${cells.length} values, expected ${expected}`);
+            }
+        };
+
+        const header = rows[0].cells.join(',').toLowerCase();
+        let data;
+        let shape = null;
+        if (header === 'index,value') {
+            data = [];
+            rows.slice(1).forEach(row => {
+                checkLength(row, 2);
+                const index = position(row.cells[0], row.line);
+                if (data[index] !== undefined) {
+                    throw new Error(`Duplicate value for index ${index} on line ${row.line}`);
+                }
+                data[index] = value(row.cells[1], row.line);
+            });
+            const missing = data.findIndex(item => item === undefined);
+            if (missing !== -1) {
+                throw new Error(`Missing value for index ${missing}`);
+            }
+        } else if (header === 'row,column,value') {
+            data = [];
+            rows.slice(1).forEach(row => {
+                checkLength(row, 3);
+                const r = position(row.cells[0], row.line);
+                const c = position(row.cells[1], row.line);
+                data[r] = data[r] || [];
+                if (data[r][c] !== undefined) {
+                    throw new Error(`Duplicate value for row ${r}, column ${c} on line ${row.line}`);
+                }
+                data[r][c] = value(row.cells[2], row.line);
+            });
+            const columns = Math.max(0, ...data.map(row => (row ? row.length : 0)));
+            for (let r = 0; r < data.length; r++) {
+                for (let c = 0; c < columns; c++) {
+                    if (!data[r] || data[r][c] === undefined) {
+                        throw new Error(`Missing value for row ${r}, column ${c}`);
+                    }
+                }
+            }
+        } else if (header === 'value') {
+            data = rows.slice(1).map(row => {
+                checkLength(row, 1);
+                return value(row.cells[0], row.line);
+            });
+            shape = options.shape || null;
+        } else {
+            // A first row that is not all values is a header
+            const isValue = cell => cell !== '' && (/^(true|false)$/i.test(cell) || !Number.isNaN(Number(cell)) ||
+                                                    /^[+-]?NaN$/.test(cell));
+            const body = rows[0].cells.every(isValue) ? rows : rows.slice(1);
+            data = body.map(row => {
+                checkLength(row, rows[0].cells.length);
+                return row.cells.map(cell => value(cell, row.line));
+            });
+        }
+        if (data.length === 0) {
+            // exportTensorCSV writes only the header for empty tensors
+            if (header === 'index,value' || header === 'value') {
+                shape = shape || [0];
+            } else if (header === 'row,column,value') {
+                shape = [0, 0];
+            } else {
+                throw new Error('CSV has no data');
+            }
+        }
+
+        // Without values there is nothing to infer from; float32 is the TensorFlow.js default
+        const dtype = options.dtype || (kinds.size === 0 ? 'float32' :
+            kinds.has('bool') ? 'bool' : kinds.has('float32') ? 'float32' : 'int32');
+        return TensorUtils.createTensor(data, shape, dtype);
+    }
+
+    /**
+     * NumPy dtypes (descr without the byte order) that parseNpy reads, and
+     * the TensorFlow.js dtype each becomes
+     */
+    static npyTypes = {
+        f4: { dtype: 'float32', bytes: 4, read: (view, offset, little) => view.getFloat32(offset, little) },
+        f8: { dtype: 'float32', bytes: 8, read: (view, offset, little) => view.getFloat64(offset, little) },
+        i1: { dtype: 'int32', bytes: 1, read: (view, offset) => view.getInt8(offset) },
+        i2: { dtype: 'int32', bytes: 2, read: (view, offset, little) => view.getInt16(offset, little) },
+        i4: { dtype: 'int32', bytes: 4, read: (view, offset, little) => view.getInt32(offset, little) },
+        i8: { dtype: 'int32', bytes: 8, read: (view, offset, little) => Number(view.getBigInt64(offset, little)) },
+        u1: { dtype: 'int32', bytes: 1, read: (view, offset) => view.getUint8(offset) },
+        u2: { dtype: 'int32', bytes: 2, read: (view, offset, little) => view.getUint16(offset, little) },
+        u4: { dtype: 'int32', bytes: 4, read: (view, offset, little) => view.getUint32(offset, little) },
+        b1: { dtype: 'bool', bytes: 1, read: (view, offset) => view.getUint8(offset) }
+    };
+
+    /**
+     * Read a tensor from a NumPy .npy file (format versions 1 to 3).
+     * Floats become float32; integers become int32 and must fit in it.
+     * @param {ArrayBuffer|Uint8Array} buffer - File contents
+     * @returns {tf.Tensor} The array as a tensor
+     */
+    static parseNpy(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const magic = String.fromCharCode(...bytes.subarray(1, 6));
+        if (bytes.length < 10 || bytes[0] !== 0x93 || magic !== 'NUMPY') {
+            throw new Error('Not a .npy file');
+        }
+
+        const major = bytes[6];
+        const headerStart = major === 1 ? 10 : 12;
+        const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+        const header = new TextDecoder().decode(bytes.subarray(headerStart, headerStart + headerLength));
+        const descr = (header.match(/'descr':\s*'([^']*)'/) || [])[1];
+        const fortranOrder = /'fortran_order':\s*True/.test(header);
+        const shapeText = (header.match(/'shape':\s*\(([^)]*)\)/) || [])[1];
+        if (descr === undefined || shapeText === undefined) {
+            throw new Error('Invalid .npy header');
+        }
+
+        const type = this.npyTypes[descr.slice(1)];
+        if (!type) {
+            throw new Error(`Unsupported .npy dtype "${descr}" (supported: ${Object.keys(this.npyTypes).join(', ')})`);
+        }
+        const shape = shapeText.split(',').map(dim => dim.trim()).filter(dim => dim !== '').map(Number);
+        const size = shape.reduce((a, b) => a * b, 1);
+        const dataStart = headerStart + headerLength;
+        if (bytes.length - dataStart < size * type.bytes) {
+            throw new Error(`Truncated .npy data: expected ${size * type.bytes} bytes, got ${bytes.length - dataStart}`);
         }
 
-        const dataBlob = new Blob([textContent], { type: 'text/plain' });
-        this.downloadFile(dataBlob, filename);
+        const little = descr[0] !== '>';
+        const values = type.dtype === 'float32' ? new Float32Array(size) :
+                       type.dtype === 'int32' ? new Int32Array(size) : new Uint8Array(size);
+        for (let i = 0; i < size; i++) {
+            const value = type.read(view, dataStart + i * type.bytes, little);
+            if (type.dtype === 'int32' && value !== (value | 0)) {
+                throw new Error(`Value ${value} at index ${i} does not fit in int32`);
+            }
+            values[i] = value;
+        }
+
+        // Column-major data is the transpose of the reversed shape read row-major
+        if (fortranOrder && shape.length > 1) {
+            return tf.tidy(() => tf.tensor(values, [...shape].reverse(), type.dtype).transpose());
+        }
+        return tf.tensor(values, shape, type.dtype);
+    }
+
+    /**
+     * TensorFlow.js dtypes that encodeNpy writes, with the NumPy dtype each
+     * becomes (always little-endian)
+     */
+    static npyFormats = {
+        float32: { descr: '<f4', bytes: 4, write: (view, offset, value) => view.setFloat32(offset, value, true) },
+        int32: { descr: '<i4', bytes: 4, write: (view, offset, value) => view.setInt32(offset, value, true) },
+        bool: { descr: '|b1', bytes: 1, write: (view, offset, value) => view.setUint8(offset, value) }
+    };
+
+    /**
+     * Write a tensor as a NumPy .npy file (format version 1.0), keeping its
+     * shape and dtype
+     * @param {tf.Tensor} tensor - float32, int32 or bool tensor
+     * @returns {Uint8Array} File contents
+     */
+    static encodeNpy(tensor) {
+        const format = this.npyFormats[tensor.dtype];
+        if (!format) {
+            throw new Error(`Cannot save ${tensor.dtype} tensors as .npy (supported: ${Object.keys(this.npyFormats).join(', ')})`);
+        }
+
+        const shape = tensor.rank === 1 ? `${tensor.shape[0]},` : tensor.shape.join(', ');
+        const dict = `{'descr': '${format.descr}', 'fortran_order': False, 'shape': (${shape}), }`;
+        // Padded with spaces so the data starts on a 64-byte boundary, as NumPy does
+        const header = `${dict.padEnd(Math.ceil((dict.length + 11) / 64) * 64 - 11)}\n`;
+        const dataStart = 10 + header.length;
+        const values = tensor.dataSync();
+
+        const bytes = new Uint8Array(dataStart + values.length * format.bytes);
+        const view = new DataView(bytes.buffer);
+        bytes.set([0x93, ...new TextEncoder().encode('NUMPY'), 1, 0]);
+        view.setUint16(8, header.length, true);
+        bytes.set(new TextEncoder().encode(header), 10);
+        values.forEach((value, i) => format.write(view, dataStart + i * format.bytes, value));
+        return bytes;
+    }
+
+    /**
+     * Export a tensor as a NumPy .npy file
+     * @param {tf.Tensor} tensor - float32, int32 or bool tensor
+     * @param {string} filename - Output filename
+     * @returns {*} Result of saveFile
+     */
+    static exportTensorNpy(tensor, filename = 'tensor-data.npy') {
+        return this.saveFile(this.encodeNpy(tensor), filename, 'application/octet-stream');
+    }
+
+    /**
+     * Write tensors as a NumPy .npz archive: an uncompressed ZIP of .npy
+     * files, as numpy.savez writes
+     * @param {Object} tensors - Tensors keyed by array name
+     * @returns {Uint8Array} File contents
+     */
+    static encodeNpz(tensors) {
+        const encoder = new TextEncoder();
+        const entries = Object.entries(tensors).map(([name, tensor]) => {
+            const data = this.encodeNpy(tensor);
+            return { name: encoder.encode(`${name}.npy`), data, crc: crc32(data) };
+        });
+        if (entries.length === 0) {
+            throw new Error('No tensors to save in the .npz file');
+        }
+
+        const localSize = entries.reduce((total, entry) => total + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((total, entry) => total + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        // Fields shared by the local and central headers: version 2.0, no flags,
+        // stored, dated 1980-01-01 like numpy.savez, checksum and sizes
+        const writeCommon = (offset, entry) => {
+            view.setUint16(offset, 20, true);
+            view.setUint16(offset + 8, 0x21, true);
+            view.setUint32(offset + 10, entry.crc, true);
+            view.setUint32(offset + 14, entry.data.length, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint16(offset + 22, entry.name.length, true);
+        };
+
+        let offset = 0;
+        entries.forEach(entry => {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034B50, true);
+            writeCommon(offset + 4, entry);
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+        entries.forEach(entry => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true);
+            writeCommon(offset + 6, entry);
+            view.setUint32(offset + 42, entry.offset, true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, localSize, true);
+        return bytes;
+    }
+
+    /**
+     * Export tensors as a NumPy .npz archive
+     * @param {Object} tensors - Tensors keyed by array name
+     * @param {string} filename - Output filename
+     * @returns {*} Result of saveFile
+     */
+    static exportTensorsNpz(tensors, filename = 'tensors.npz') {
+        return this.saveFile(this.encodeNpz(tensors), filename, 'application/zip');
+    }
+
+    /**
+     * Read the arrays of a NumPy .npz archive, from numpy.savez or
+     * numpy.savez_compressed
+     * @param {ArrayBuffer|Uint8Array} buffer - File contents
+     * @returns {Promise<Object>} Tensors keyed by array name (without ".npy")
+     */
+    static async parseNpz(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        // The end of central directory record is followed by a comment of up to 64 KB
+        let end = bytes.length - 22;
+        while (end >= Math.max(0, bytes.length - 22 - 0xFFFF) && view.getUint32(end, true) !== 0x06054B50) {
+            end--;
+        }
+        if (end < 0 || view.getUint32(end, true) !== 0x06054B50) {
+            throw new Error('Not a .npz file');
+        }
+
+        const decoder = new TextDecoder();
+        const count = view.getUint16(end + 10, true);
+        const tensors = {};
+        try {
+            let offset = view.getUint32(end + 16, true);
+            for (let i = 0; i < count; i++) {
+                if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014B50) {
+                    throw new Error('Invalid .npz directory');
+                }
+                const method = view.getUint16(offset + 10, true);
+                const crc = view.getUint32(offset + 16, true);
+                const compressedSize = view.getUint32(offset + 20, true);
+                const nameLength = view.getUint16(offset + 28, true);
+                const localOffset = view.getUint32(offset + 42, true);
+                const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+                offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+                if (name.endsWith('/')) {
+                    continue;
+                }
+                if (compressedSize === 0xFFFFFFFF || localOffset === 0xFFFFFFFF) {
+                    throw new Error(`"${name}" is stored as ZIP64, which is not supported`);
+                }
+
+                const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                const stored = bytes.subarray(dataStart, dataStart + compressedSize);
+                let data;
+                if (method === 0) {
+                    data = stored;
+                } else if (method === 8) {
+                    data = await inflateRaw(stored);
+                } else {
+                    throw new Error(`"${name}" uses unsupported compression method ${method}`);
+                }
+                if (crc32(data) !== crc) {
+                    throw new Error(`"${name}" is corrupt (checksum mismatch)`);
+                }
+
+                try {
+                    tensors[name.replace(/\.npy$/, '')] = this.parseNpy(data);
+                } catch (error) {
+                    throw new Error(`"${name}": ${error.message}`);
+                }
+            }
+        } catch (error) {
+            TensorUtils.safeDispose(...Object.values(tensors));
+            throw error;
+        }
+        return tensors;
+    }
+
+    /**
+     * Read and parse a JSON file chosen by the user (browser only)
+     * @param {File} file - File from a file input or a drop
+     * @returns {Promise<Object>} Parsed contents
+     */
+    static readJSONFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    resolve(JSON.parse(reader.result));
+                } catch (error) {
+                    reject(new Error(`"${file.name}" is not valid JSON: ${error.message}`));
+                }
+            };
+            reader.onerror = () => reject(new Error(`Could not read "${file.name}"`));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Save exported content through the writer, or download it
+     * @param {string} content - File contents
+     * @param {string} filename - Output filename
+     * @param {string} mimeType - MIME type of the contents
+     * @returns {*} The writer's result, or the filename once the download started
+     */
+    static saveFile(content, filename, mimeType) {
+        if (this.writer) {
+            return this.writer(content, filename, mimeType);
+        }
+        this.downloadFile(new Blob([content], { type: mimeType }), filename);
+        return filename;
     }
 
     /**
@@ -238,6 +1045,9 @@ class ExportUtils {
      * @param {string} filename - Output filename
      */
     static downloadFile(blob, filename) {
+        if (typeof document === 'undefined') {
+            throw new Error(`Cannot download "${filename}" without a DOM; set ExportUtils.writer instead`);
+        }
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.href = url;
@@ -248,8 +1058,4 @@ class ExportUtils {
         URL.revokeObjectURL(url);
     }
 }
-
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = ExportUtils;
-} 
\ No newline at end of file
+ 
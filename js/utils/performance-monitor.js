@@ -1,13 +1,24 @@
 /**
  * Performance Monitor Utility
- * Monitors and displays performance metrics for TensorFlow.js operations
+ * Monitors and displays performance metrics for TensorFlow.js operations.
+ * Without a DOM (e.g. in Node) it records metrics and memory samples only.
  */
 
-class PerformanceMonitor {
+import { tf } from '../core/tensorflow.js';
+import { TensorUtils } from '../core/tensor-utils.js';
+
+export class PerformanceMonitor {
     constructor() {
         this.metrics = [];
         this.isMonitoring = false;
         this.updateInterval = null;
+        this.memoryHistory = [];
+        this.maxHistory = 300;
+        this.alertLevel = 'normal';
+        this.memoryChart = null;
+        this.activeOperation = null;
+        this.maxMetrics = 100;
+        this.metricListeners = new Set();
     }
 
     /**
@@ -20,6 +31,10 @@ class PerformanceMonitor {
         this.updateInterval = setInterval(() => {
             this.updateDisplay();
         }, 1000);
+        // Don't keep a Node process alive just for monitoring
+        if (typeof this.updateInterval.unref === 'function') {
+            this.updateInterval.unref();
+        }
     }
 
     /**
@@ -42,21 +57,34 @@ class PerformanceMonitor {
         try {
             // Update memory usage
             const memoryUsage = tf.memory();
+            const budget = TensorUtils.memory.getBudget();
+            const level = TensorUtils.memory.usageLevel(memoryUsage.numBytes, budget);
+            this.recordMemorySample(memoryUsage);
+            this.checkMemoryAlert(level, memoryUsage, budget);
+            if (typeof document === 'undefined') return;
+
             const memoryElement = document.getElementById('memory-usage');
             if (memoryElement) {
-                const progressBar = memoryElement.querySelector('.progress-bar');
-                const percentage = Math.min((memoryUsage.numBytes / (1024 * 1024 * 100)) * 100, 100);
-                progressBar.style.width = `${percentage}%`;
-                progressBar.textContent = `${(memoryUsage.numBytes / 1024).toFixed(1)} KB`;
-                
+                const percentage = (memoryUsage.numBytes / budget.limitBytes) * 100;
+                memoryElement.textContent = `${(memoryUsage.numBytes / 1024).toFixed(1)} KB of ` +
+                    `${(budget.limitBytes / (1024 * 1024)).toFixed(0)} MB (${percentage.toFixed(1)}%), ` +
+                    `${memoryUsage.numTensors} tensors`;
+
                 // Change color based on usage
-                if (percentage > 80) {
-                    progressBar.className = 'progress-bar bg-danger';
-                } else if (percentage > 60) {
-                    progressBar.className = 'progress-bar bg-warning';
-                } else {
-                    progressBar.className = 'progress-bar bg-success';
-                }
+                const colors = { normal: 'text-success', warning: 'text-warning', critical: 'text-danger' };
+                memoryElement.className = `small ${colors[level]}`;
+            }
+            this.updateMemoryChart(budget);
+
+            const budgetElement = document.getElementById('memory-budget');
+            if (budgetElement) {
+                budgetElement.placeholder = `${(budget.limitBytes / (1024 * 1024)).toFixed(0)} (${budget.source})`;
+            }
+
+            // Update active backend
+            const backendElement = document.getElementById('active-backend');
+            if (backendElement) {
+                backendElement.textContent = tf.getBackend() || '-';
             }
 
             // Update execution time
@@ -66,42 +94,317 @@ class PerformanceMonitor {
                 executionElement.textContent = `${avgTime.toFixed(2)}ms`;
             }
 
+            // Update kernel breakdown of the last profiled operation
+            const kernelElement = document.getElementById('kernel-breakdown');
+            const profiled = this.metrics.slice().reverse().find(metric => metric.kernels);
+            if (kernelElement && profiled) {
+                kernelElement.textContent = `${profiled.operation}: ` + (profiled.kernels.length === 0 ? 'no kernels' :
+                    profiled.kernels.slice(0, 5).map(kernel =>
+                        `${kernel.name} x${kernel.count} (${kernel.timeMs.toFixed(2)}ms)`).join(', '));
+            }
+
         } catch (error) {
             console.error('Error updating performance display:', error);
         }
     }
 
+    /**
+     * Add a memory sample to the session history
+     * @param {Object} memoryUsage - Result of tf.memory()
+     */
+    recordMemorySample(memoryUsage) {
+        this.memoryHistory.push({
+            timestamp: new Date(),
+            numBytes: memoryUsage.numBytes,
+            numTensors: memoryUsage.numTensors
+        });
+
+        if (this.memoryHistory.length > this.maxHistory) {
+            this.memoryHistory.shift();
+        }
+    }
+
+    /**
+     * Alert once when usage rises into the warning or critical level.
+     * Dropping back below a level re-arms its alert.
+     * @param {string} level - 'normal', 'warning' or 'critical'
+     * @param {Object} memoryUsage - Result of tf.memory()
+     * @param {Object} budget - Budget from TensorUtils.memory.getBudget
+     */
+    checkMemoryAlert(level, memoryUsage, budget) {
+        const rank = { normal: 0, warning: 1, critical: 2 };
+        const previous = this.alertLevel;
+        this.alertLevel = level;
+        if (rank[level] <= rank[previous]) return;
+
+        const detail = {
+            level,
+            numBytes: memoryUsage.numBytes,
+            numTensors: memoryUsage.numTensors,
+            limitBytes: budget.limitBytes,
+            percentage: (memoryUsage.numBytes / budget.limitBytes) * 100,
+            timestamp: new Date()
+        };
+        const message = `Memory usage ${level}: ${(detail.numBytes / (1024 * 1024)).toFixed(1)} MB is ` +
+                        `${detail.percentage.toFixed(0)}% of the ${(budget.limitBytes / (1024 * 1024)).toFixed(0)} MB budget ` +
+                        `(${detail.numTensors} tensors)`;
+
+        if (level === 'critical') {
+            console.error(message);
+        } else {
+            console.warn(message);
+        }
+        if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function') {
+            window.dispatchEvent(new CustomEvent('memoryalert', { detail }));
+        }
+        this.showToast(message, level);
+    }
+
+    /**
+     * Show a self-dismissing notification in the corner of the page
+     * @param {string} message - Text to show
+     * @param {string} level - 'warning' or 'critical'
+     */
+    showToast(message, level) {
+        if (typeof document === 'undefined' || !document.body) return;
+
+        let container = document.getElementById('memory-alerts');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'memory-alerts';
+            container.style.cssText = 'position: fixed; top: 1rem; right: 1rem; z-index: 1080; max-width: 350px;';
+            document.body.appendChild(container);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = `alert alert-${level === 'critical' ? 'danger' : 'warning'} shadow-sm mb-2`;
+        toast.setAttribute('role', 'alert');
+        toast.textContent = message;
+        container.appendChild(toast);
+        setTimeout(() => toast.remove(), 8000);
+    }
+
+    /**
+     * Draw the session's memory history with the budget thresholds
+     * @param {Object} budget - Budget from TensorUtils.memory.getBudget
+     */
+    updateMemoryChart(budget) {
+        if (typeof document === 'undefined') return;
+        const canvas = document.getElementById('memory-chart');
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        if (!this.memoryChart) {
+            this.memoryChart = new Chart(canvas, {
+                type: 'line',
+                data: {
+                    labels: [],
+                    datasets: [{
+                        label: 'Memory (KB)',
+                        data: [],
+                        borderColor: 'rgb(54, 162, 235)',
+                        backgroundColor: 'rgba(54, 162, 235, 0.2)',
+                        fill: true,
+                        pointRadius: 0,
+                        yAxisID: 'y'
+                    }, {
+                        label: 'Tensors',
+                        data: [],
+                        borderColor: 'rgb(153, 102, 255)',
+                        pointRadius: 0,
+                        yAxisID: 'tensors'
+                    }, {
+                        label: 'Warning',
+                        data: [],
+                        borderColor: 'rgb(255, 193, 7)',
+                        borderDash: [4, 4],
+                        pointRadius: 0,
+                        yAxisID: 'y'
+                    }, {
+                        label: 'Critical',
+                        data: [],
+                        borderColor: 'rgb(220, 53, 69)',
+                        borderDash: [4, 4],
+                        pointRadius: 0,
+                        yAxisID: 'y'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    animation: false,
+                    plugins: {
+                        legend: { display: false }
+                    },
+                    scales: {
+                        x: { display: false },
+                        y: { beginAtZero: true, title: { display: true, text: 'KB' } },
+                        tensors: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false } }
+                    }
+                }
+            });
+        }
+
+        const [bytes, tensors, warning, critical] = this.memoryChart.data.datasets;
+        this.memoryChart.data.labels = this.memoryHistory.map(sample => sample.timestamp.toLocaleTimeString());
+        bytes.data = this.memoryHistory.map(sample => sample.numBytes / 1024);
+        tensors.data = this.memoryHistory.map(sample => sample.numTensors);
+        // Threshold lines only once usage gets close, so they don't flatten the curve
+        const peak = Math.max(...bytes.data);
+        const showThreshold = fraction => peak * 1024 >= budget.limitBytes * fraction / 2;
+        warning.data = showThreshold(budget.warning) ? bytes.data.map(() => budget.limitBytes * budget.warning / 1024) : [];
+        critical.data = showThreshold(budget.critical) ? bytes.data.map(() => budget.limitBytes * budget.critical / 1024) : [];
+        this.memoryChart.update();
+    }
+
+    /**
+     * Change the memory budget and refresh the display
+     * @param {Object} changes - Budget fields for TensorUtils.memory.setBudget
+     * @returns {Object} The resulting budget
+     */
+    setBudget(changes) {
+        const budget = TensorUtils.memory.setBudget(changes);
+        this.alertLevel = 'normal';
+        this.updateDisplay();
+        return budget;
+    }
+
+    /**
+     * Run an operation under tf.profile and record its time, memory and
+     * per-kernel breakdown. Operations started while another one is being
+     * profiled run unprofiled and count towards the outer operation.
+     * A run that throws is recorded with its error message, then the error is rethrown.
+     * @param {string} operation - Operation name
+     * @param {Function} fn - Function to run (may be async)
+     * @returns {Promise<*>} Result of fn
+     */
+    async instrument(operation, fn) {
+        if (this.activeOperation) {
+            return fn();
+        }
+
+        this.activeOperation = operation;
+        const memoryBefore = tf.memory().numBytes;
+        const startTime = performance.now();
+        try {
+            // tf.profile only switches profiling off again when its callback
+            // returns, so errors are caught here and rethrown once it has
+            let failure = null;
+            const profile = await tf.profile(async () => {
+                try {
+                    return await fn();
+                } catch (error) {
+                    failure = { error };
+                    return null;
+                }
+            });
+            const executionTime = performance.now() - startTime;
+            this.recordMetric(operation, executionTime, memoryBefore, tf.memory().numBytes, {
+                peakBytes: profile.peakBytes,
+                newTensors: profile.newTensors,
+                kernels: PerformanceMonitor.summarizeKernels(profile.kernels),
+                ...(failure ? { error: failure.error instanceof Error ? failure.error.message : String(failure.error) } : {})
+            });
+            this.updateDisplay();
+            if (failure) {
+                throw failure.error;
+            }
+            return profile.result;
+        } finally {
+            this.activeOperation = null;
+        }
+    }
+
+    /**
+     * Replace methods of an object with instrumented versions, so every
+     * call is recorded without the method timing itself
+     * @param {Object} target - Object whose methods to wrap (e.g. a demo instance)
+     * @param {string[]} methodNames - Methods to wrap; they return a Promise afterwards
+     * @param {Function} label - Operation name for a call, from the method name and arguments
+     * @param {Function} onError - Called with the error, method name and arguments when a call
+     *                             throws; the Promise then resolves to its result instead of rejecting
+     */
+    instrumentMethods(target, methodNames, label = name => name, onError = null) {
+        methodNames.forEach(name => {
+            const method = target[name];
+            target[name] = (...args) => {
+                const running = this.instrument(label(name, args), () => method.apply(target, args));
+                // Callers such as onclick handlers do not wait for the Promise
+                return onError ? running.catch(error => onError(error, name, args)) : running;
+            };
+        });
+    }
+
+    /**
+     * Group profiled kernels by name, slowest first
+     * @param {Object[]} kernels - Kernels from tf.profile
+     * @returns {Object[]} { name, count, timeMs, bytesAdded } per kernel name
+     */
+    static summarizeKernels(kernels) {
+        const byName = new Map();
+        kernels.forEach(kernel => {
+            const entry = byName.get(kernel.name) || { name: kernel.name, count: 0, timeMs: 0, bytesAdded: 0 };
+            entry.count++;
+            // Backends without timer support report an error object instead of a time
+            entry.timeMs += typeof kernel.kernelTimeMs === 'number' ? kernel.kernelTimeMs : 0;
+            entry.bytesAdded += kernel.bytesAdded;
+            byName.set(kernel.name, entry);
+        });
+        return [...byName.values()].sort((a, b) => b.timeMs - a.timeMs || b.count - a.count);
+    }
+
     /**
      * Record a performance metric
      * @param {string} operation - Operation name
      * @param {number} executionTime - Execution time in milliseconds
      * @param {number} memoryBefore - Memory usage before operation
      * @param {number} memoryAfter - Memory usage after operation
+     * @param {Object} details - Extra fields, e.g. peakBytes, newTensors and kernels from instrument
      */
-    recordMetric(operation, executionTime, memoryBefore, memoryAfter) {
+    recordMetric(operation, executionTime, memoryBefore, memoryAfter, details = {}) {
         const metric = {
             operation,
             executionTime,
             memoryBefore,
             memoryAfter,
             memoryDelta: memoryAfter - memoryBefore,
-            timestamp: new Date()
+            timestamp: new Date(),
+            ...details
         };
 
         this.metrics.push(metric);
+        this.metricListeners.forEach(listener => listener(metric));
 
-        // Keep only last 100 metrics
-        if (this.metrics.length > 100) {
+        // Keep only the latest metrics for display; listeners such as the
+        // session history see every one
+        if (this.metrics.length > this.maxMetrics) {
             this.metrics.shift();
         }
     }
 
+    /**
+     * Call a listener with every metric recorded from now on
+     * @param {Function} listener - Called with each metric
+     * @returns {Function} Function that removes the listener
+     */
+    onMetric(listener) {
+        this.metricListeners.add(listener);
+        return () => this.metricListeners.delete(listener);
+    }
+
     /**
      * Get performance summary
      * @returns {Object} Performance summary
      */
     getSummary() {
-        if (this.metrics.length === 0) {
+        return PerformanceMonitor.summarizeMetrics(this.metrics);
+    }
+
+    /**
+     * Summarize a list of metrics
+     * @param {Object[]} metrics - Metrics from recordMetric
+     * @returns {Object} Performance summary
+     */
+    static summarizeMetrics(metrics) {
+        if (metrics.length === 0) {
             return {
                 totalOperations: 0,
                 averageExecutionTime: 0,
@@ -110,17 +413,17 @@ class PerformanceMonitor {
             };
         }
 
-        const totalOperations = this.metrics.length;
-        const averageExecutionTime = this.metrics.reduce((sum, m) => sum + m.executionTime, 0) / totalOperations;
-        const totalMemoryUsed = this.metrics.reduce((sum, m) => sum + m.memoryDelta, 0);
-        const peakMemoryUsage = Math.max(...this.metrics.map(m => m.memoryAfter));
+        const totalOperations = metrics.length;
+        const averageExecutionTime = metrics.reduce((sum, m) => sum + m.executionTime, 0) / totalOperations;
+        const totalMemoryUsed = metrics.reduce((sum, m) => sum + m.memoryDelta, 0);
+        const peakMemoryUsage = Math.max(...metrics.map(m => m.memoryAfter));
 
         return {
             totalOperations,
             averageExecutionTime,
             totalMemoryUsed,
             peakMemoryUsage,
-            operations: this.metrics.map(m => ({
+            operations: metrics.map(m => ({
                 operation: m.operation,
                 executionTime: m.executionTime,
                 memoryDelta: m.memoryDelta,
@@ -134,31 +437,30 @@ class PerformanceMonitor {
      */
     clear() {
         this.metrics = [];
+        this.memoryHistory = [];
+        this.alertLevel = 'normal';
         this.updateDisplay();
     }
 
     /**
-     * Export performance data
-     * @returns {string} JSON string of performance data
+     * Collect performance data in the format of ExportUtils.exportPerformanceData
+     * @returns {Object} Summary, metrics, memory history and budget
      */
-    exportData() {
-        return JSON.stringify({
+    getPerformanceData() {
+        return {
             summary: this.getSummary(),
             metrics: this.metrics,
+            memoryHistory: this.memoryHistory,
+            memoryBudget: TensorUtils.memory.getBudget(),
             exportTimestamp: new Date()
-        }, null, 2);
+        };
     }
-}
-
-// Global performance monitor instance
-const performanceMonitor = new PerformanceMonitor();
 
-// Start monitoring when page loads
-document.addEventListener('DOMContentLoaded', () => {
-    performanceMonitor.start();
-});
-
-// Stop monitoring when page unloads
-window.addEventListener('beforeunload', () => {
-    performanceMonitor.stop();
-}); 
\ No newline at end of file
+    /**
+     * Export performance data
+     * @returns {string} JSON string of performance data
+     */
+    exportData() {
+        return JSON.stringify(this.getPerformanceData(), null, 2);
+    }
+}
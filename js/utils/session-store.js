@@ -0,0 +1,207 @@
+/**
+ * Session Store
+ * Keeps the history of past sessions (results and performance metrics)
+ * in IndexedDB so it survives page reloads
+ */
+
+class SessionStore {
+    /**
+     * @param {string} dbName - IndexedDB database name
+     */
+    constructor(dbName = 'tfjs-learning-platform') {
+        this.dbName = dbName;
+        this.storeName = 'sessions';
+        this.opening = null;
+    }
+
+    /**
+     * Whether this browser offers IndexedDB (it may be missing in private modes)
+     * @returns {boolean} True if IndexedDB exists
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Whether an error means the storage quota is exhausted
+     * @param {Error|DOMException} error - Error from a transaction
+     * @returns {boolean} True for quota errors
+     */
+    static isQuotaError(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError' ||
+                                  error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+    }
+
+    /**
+     * Create a new, unsaved session
+     * @param {string} page - Page the session belongs to
+     * @param {string} name - Session name (defaults to the start date)
+     * @returns {Object} Session with id, name, page, createdAt, results and metrics
+     */
+    static createSession(page, name = '') {
+        const createdAt = new Date();
+        return {
+            id: `session-${createdAt.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name || `Session ${createdAt.toLocaleString()}`,
+            page,
+            createdAt,
+            updatedAt: createdAt,
+            results: [],
+            metrics: []
+        };
+    }
+
+    /**
+     * Open the database, creating it on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                if (!SessionStore.isAvailable()) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Session history is open in an older version of this page'));
+            });
+            // Allow a later retry if opening failed
+            this.opening.catch(() => {
+                this.opening = null;
+            });
+        }
+        return this.opening;
+    }
+
+    /**
+     * Run one object store request in its own transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Called with the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result once the transaction has completed
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Save a session. When the storage quota is exhausted, the oldest other
+     * sessions are deleted one by one until the session fits; if it still
+     * does not fit, its older half of results and metrics is dropped from
+     * the stored copy until it does.
+     * @param {Object} session - Session from createSession, with current results and metrics
+     * @returns {Promise<Object>} { session, pruned, trimmed }: the stored record,
+     *     names of deleted sessions and the number of dropped entries
+     */
+    async save(session) {
+        const record = { ...session, updatedAt: new Date() };
+        const pruned = [];
+        let trimmed = 0;
+
+        for (;;) {
+            try {
+                await this.request('readwrite', store => store.put(record));
+                return { session: record, pruned, trimmed };
+            } catch (error) {
+                if (!SessionStore.isQuotaError(error)) {
+                    throw error;
+                }
+                const oldest = (await this.list()).filter(other => other.id !== record.id).pop();
+                if (oldest) {
+                    await this.delete(oldest.id);
+                    pruned.push(oldest.name);
+                    continue;
+                }
+                if (record.results.length + record.metrics.length <= 1) {
+                    throw new Error('Storage quota exceeded: there is no room left for session history');
+                }
+                const dropResults = Math.ceil(record.results.length / 2);
+                const dropMetrics = Math.ceil(record.metrics.length / 2);
+                record.results = record.results.slice(dropResults);
+                record.metrics = record.metrics.slice(dropMetrics);
+                trimmed += dropResults + dropMetrics;
+            }
+        }
+    }
+
+    /**
+     * Load a session
+     * @param {string} id - Session id
+     * @returns {Promise<Object>} Stored session
+     */
+    async get(id) {
+        const session = await this.request('readonly', store => store.get(id));
+        if (!session) {
+            throw new Error(`Session "${id}" does not exist`);
+        }
+        return session;
+    }
+
+    /**
+     * List stored sessions, most recently updated first
+     * @returns {Promise<Object[]>} Summaries: id, name, page, createdAt, updatedAt, resultCount, metricCount
+     */
+    async list() {
+        const sessions = await this.request('readonly', store => store.getAll());
+        return sessions
+            .map(session => ({
+                id: session.id,
+                name: session.name,
+                page: session.page,
+                createdAt: session.createdAt,
+                updatedAt: session.updatedAt,
+                resultCount: session.results.length,
+                metricCount: session.metrics.length
+            }))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Rename a session
+     * @param {string} id - Session id
+     * @param {string} name - New name
+     * @returns {Promise<Object>} Renamed session
+     */
+    async rename(id, name) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Session name must not be empty');
+        }
+        const session = await this.get(id);
+        session.name = name.trim();
+        await this.request('readwrite', store => store.put(session));
+        return session;
+    }
+
+    /**
+     * Delete a session
+     * @param {string} id - Session id
+     */
+    async delete(id) {
+        await this.request('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Storage used by this origin, where the browser reports it
+     * @returns {Promise<Object|null>} { usage, quota } in bytes, or null
+     */
+    async estimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+}
+
+export default SessionStore;
@@ -0,0 +1,117 @@
+/**
+ * Tensor Worker
+ * Posts demo operations to a dedicated Web Worker and streams its
+ * progress and results back, so long runs do not block the page
+ */
+
+class TensorWorker {
+    /**
+     * @param {string} url - URL of the worker script, relative to the page
+     */
+    constructor(url) {
+        this.url = url;
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Whether this browser can start Web Workers
+     * @returns {boolean} True if the Worker constructor exists
+     */
+    static isAvailable() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Whether runs are queued or running in the worker
+     * @returns {boolean} True while a run has not finished
+     */
+    get isBusy() {
+        return this.pending.size > 0;
+    }
+
+    /**
+     * Start the worker unless it is already running
+     * @returns {Worker} The worker
+     */
+    start() {
+        if (!this.worker) {
+            if (!TensorWorker.isAvailable()) {
+                throw new Error('Web Workers are not available in this browser');
+            }
+            this.worker = new Worker(this.url, { type: 'module' });
+            this.worker.onmessage = event => this.handleMessage(event.data);
+            this.worker.onerror = event => {
+                // Script errors (e.g. a module that fails to load) leave the worker unusable
+                event.preventDefault();
+                this.terminate(new Error(event.message || `Could not start the worker at ${this.url}`));
+            };
+        }
+        return this.worker;
+    }
+
+    /**
+     * Run an operation in the worker. Runs are queued and executed one at a time.
+     * @param {string} operation - Operation name understood by the worker
+     * @param {Array} args - Arguments (must be structured-cloneable)
+     * @param {Object} options - Passed to the worker with the run (e.g. seed)
+     * @param {Function} onMessage - Called with every 'progress' and 'result' message of this run
+     * @returns {Promise<Object>} The worker's 'done' message
+     */
+    run(operation, args = [], options = {}, onMessage = null) {
+        const worker = this.start();
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onMessage });
+            worker.postMessage({ type: 'run', id, operation, args, options });
+        });
+    }
+
+    /**
+     * Route a message from the worker to the run it belongs to
+     * @param {Object} message - { type: 'progress'|'result'|'done'|'error', id, ... }
+     */
+    handleMessage(message) {
+        const run = this.pending.get(message.id);
+        if (!run) return;
+
+        if (message.type === 'done') {
+            this.pending.delete(message.id);
+            run.resolve(message);
+        } else if (message.type === 'error') {
+            this.pending.delete(message.id);
+            run.reject(new Error(message.message));
+        } else if (run.onMessage) {
+            run.onMessage(message);
+        }
+    }
+
+    /**
+     * Cancel every queued and running operation by terminating the worker.
+     * Pending runs are rejected with an AbortError; the next run starts a new worker.
+     * @returns {boolean} True if a worker was running
+     */
+    stop() {
+        const error = new Error('The run was stopped');
+        error.name = 'AbortError';
+        return this.terminate(error);
+    }
+
+    /**
+     * Terminate the worker and reject pending runs
+     * @param {Error} error - Rejection reason
+     * @returns {boolean} True if a worker was running
+     */
+    terminate(error) {
+        if (!this.worker) return false;
+
+        this.worker.terminate();
+        this.worker = null;
+        this.pending.forEach(run => run.reject(error));
+        this.pending.clear();
+        return true;
+    }
+}
+
+export default TensorWorker;
@@ -0,0 +1,102 @@
+/**
+ * Tensor Operations Worker
+ * Runs TensorOperationsDemo methods off the main thread. Every result is
+ * posted back as soon as it is added; the run ends with a 'done' message
+ * carrying its time, memory and kernel profile.
+ * A module worker: start it with new Worker(url, { type: 'module' }).
+ */
+
+import { setTensorFlow } from '../core/tensorflow.js';
+import { TensorUtils } from '../core/tensor-utils.js';
+
+let currentId = null;
+let ready = null;
+
+/**
+ * Load TensorFlow.js and the demo before the first run
+ * @param {string} tfjsUrl - The page's tf.min.js, so both threads run the same copy
+ * @returns {Promise<void>} Resolves once the demo is ready
+ */
+function load(tfjsUrl) {
+    if (!ready) {
+        ready = (async () => {
+            if (!tfjsUrl) {
+                throw new Error('The page did not say which TensorFlow.js script to load');
+            }
+            // tf.min.js is a UMD bundle: imported as a module, it sets self.tf
+            await import(tfjsUrl);
+            setTensorFlow(self.tf);
+
+            // The demo script expects the core utilities as globals
+            self.TensorUtils = TensorUtils;
+            await import('../demos/tensor-operations.js');
+
+            // Post each result instead of keeping it; the page owns the results list
+            const addResult = tensorDemo.addResult.bind(tensorDemo);
+            tensorDemo.addResult = (title, content) => {
+                addResult(title, content);
+                postMessage({ type: 'result', id: currentId, result: tensorDemo.results.pop() });
+            };
+        })();
+    }
+    return ready;
+}
+
+/**
+ * Run one operation of TensorOperationsDemo.replayableOperations
+ * @param {Object} message - { id, operation, args, options: { seed, leakCheck, backend, tfjs } }
+ */
+async function runOperation({ id, operation, args, options }) {
+    currentId = id;
+    try {
+        await load(options.tfjs);
+        if (!TensorOperationsDemo.replayableOperations.includes(operation)) {
+            throw new Error(`Unknown operation "${operation}"`);
+        }
+
+        let backend = await TensorUtils.backends.active();
+        if (options.backend && options.backend !== backend) {
+            try {
+                backend = await TensorUtils.backends.use(options.backend);
+            } catch (error) {
+                postMessage({ type: 'progress', id, message: `${error.message}; running on ${backend}` });
+            }
+        }
+        postMessage({ type: 'progress', id, message: `Running ${operation} on ${backend}` });
+
+        tensorDemo.setSeed(options.seed === undefined ? null : options.seed);
+        tensorDemo.leakCheck = options.leakCheck || { enabled: false, failOnLeak: false };
+
+        const memoryBefore = tf.memory().numBytes;
+        const startTime = performance.now();
+        const profile = await tf.profile(() => tensorDemo.run(operation, args));
+        postMessage({
+            type: 'done',
+            id,
+            backend,
+            executionTime: performance.now() - startTime,
+            memoryBefore,
+            memoryAfter: tf.memory().numBytes,
+            peakBytes: profile.peakBytes,
+            newTensors: profile.newTensors,
+            kernels: profile.kernels.map(({ name, kernelTimeMs, bytesAdded }) => ({
+                name,
+                kernelTimeMs: typeof kernelTimeMs === 'number' ? kernelTimeMs : 0,
+                bytesAdded
+            }))
+        });
+
+    } catch (error) {
+        postMessage({ type: 'error', id, message: error.message });
+    } finally {
+        currentId = null;
+    }
+}
+
+// Run messages one at a time, in the order they arrive
+let queue = Promise.resolve();
+self.onmessage = event => {
+    if (event.data && event.data.type === 'run') {
+        queue = queue.then(() => runOperation(event.data));
+    }
+};
@@ -0,0 +1,241 @@
+/**
+ * Digit Model Trainer
+ * Trains the small MNIST-style digit classifier bundled in models/digits/.
+ *
+ * The platform must work offline, so instead of downloading MNIST the
+ * digits are synthesised from stroke templates with random affine jitter
+ * and rasterised into 28x28 grayscale images (white ink on black, glyph
+ * fitted into the centre 20x20 box like MNIST).
+ *
+ * Usage: node scripts/train-digit-model.js [samplesPerDigit] [epochs]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as tf from '@tensorflow/tfjs';
+
+const IMAGE_SIZE = 28;
+const GLYPH_BOX = 20;
+const OUTPUT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'models', 'digits');
+
+/**
+ * Points on an elliptical arc
+ * @param {number} cx - Centre x
+ * @param {number} cy - Centre y
+ * @param {number} rx - Horizontal radius
+ * @param {number} ry - Vertical radius
+ * @param {number} from - Start angle in degrees (0 = right, 90 = down)
+ * @param {number} to - End angle in degrees
+ * @param {number} steps - Number of segments
+ * @returns {number[][]} Polyline points
+ */
+function arc(cx, cy, rx, ry, from, to, steps = 12) {
+    return Array.from({ length: steps + 1 }, (_, i) => {
+        const angle = (from + (to - from) * (i / steps)) * Math.PI / 180;
+        return [cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)];
+    });
+}
+
+/**
+ * Stroke templates in a unit box (x to the right, y down).
+ * Each digit lists one or more variants, each variant a list of polylines.
+ */
+const TEMPLATES = {
+    0: [[arc(0.5, 0.5, 0.3, 0.45, 0, 360, 20)]],
+    1: [
+        [[[0.5, 0.05], [0.5, 0.95]]],
+        [[[0.32, 0.22], [0.52, 0.05], [0.52, 0.95]]]
+    ],
+    2: [
+        [[...arc(0.5, 0.3, 0.3, 0.25, 190, 360), [0.2, 0.95], [0.85, 0.95]]],
+        [[...arc(0.5, 0.3, 0.3, 0.25, 180, 380), ...arc(0.4, 0.95, 0.2, 0.4, 290, 200, 4), [0.85, 0.95]]]
+    ],
+    3: [
+        [arc(0.5, 0.27, 0.3, 0.22, 200, 450), arc(0.5, 0.72, 0.33, 0.24, 270, 510)],
+        [[[0.2, 0.05], [0.8, 0.05], [0.45, 0.45]], arc(0.5, 0.7, 0.33, 0.25, 270, 510)]
+    ],
+    4: [
+        [[[0.65, 0.95], [0.65, 0.05], [0.15, 0.65], [0.85, 0.65]]],
+        [[[0.25, 0.05], [0.2, 0.6], [0.85, 0.6]], [[0.65, 0.3], [0.65, 0.95]]]
+    ],
+    5: [
+        [[[0.8, 0.05], [0.28, 0.05], [0.24, 0.45]], arc(0.5, 0.68, 0.32, 0.27, 225, 510)]
+    ],
+    6: [
+        [[...arc(0.75, 0.6, 0.5, 0.55, 250, 180, 6), ...arc(0.5, 0.7, 0.27, 0.25, 180, 540, 16)]]
+    ],
+    7: [
+        [[[0.15, 0.05], [0.85, 0.05], [0.4, 0.95]]],
+        [[[0.15, 0.05], [0.85, 0.05], [0.45, 0.95]], [[0.35, 0.5], [0.75, 0.5]]]
+    ],
+    8: [
+        [arc(0.5, 0.27, 0.23, 0.22, 0, 360, 16), arc(0.5, 0.72, 0.28, 0.24, 0, 360, 16)]
+    ],
+    9: [
+        [arc(0.5, 0.3, 0.27, 0.25, 0, 360, 16), [[0.77, 0.3], [0.7, 0.95]]],
+        [[...arc(0.5, 0.3, 0.27, 0.25, 0, 360, 16), ...arc(0.25, 0.3, 0.52, 0.65, 0, 90, 6)]]
+    ]
+};
+
+/**
+ * Uniform random number in [min, max)
+ */
+function rand(min, max) {
+    return min + Math.random() * (max - min);
+}
+
+/**
+ * Distance from a point to a segment
+ */
+function distanceToSegment(px, py, [ax, ay], [bx, by]) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+/**
+ * Render one randomly distorted digit
+ * @param {number} digit - Digit 0-9
+ * @returns {Float32Array} 28x28 image with values in [0, 1]
+ */
+function renderDigit(digit) {
+    const variants = TEMPLATES[digit];
+    const strokes = variants[Math.floor(Math.random() * variants.length)];
+
+    const angle = rand(-15, 15) * Math.PI / 180;
+    const shear = rand(-0.3, 0.3);
+    const scaleX = rand(0.75, 1.15);
+    const scaleY = rand(0.9, 1.1);
+    const transform = ([x, y]) => {
+        const jx = (x - 0.5 + rand(-0.03, 0.03)) * scaleX + shear * (y - 0.5);
+        const jy = (y - 0.5 + rand(-0.03, 0.03)) * scaleY;
+        return [jx * Math.cos(angle) - jy * Math.sin(angle), jx * Math.sin(angle) + jy * Math.cos(angle)];
+    };
+    const polylines = strokes.map(stroke => stroke.map(transform));
+
+    // Fit the glyph's bounding box into the centre box, keeping its aspect ratio
+    const all = polylines.flat();
+    const xs = all.map(p => p[0]);
+    const ys = all.map(p => p[1]);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const width = Math.max(...xs) - minX;
+    const height = Math.max(...ys) - minY;
+    const thickness = rand(0.8, 1.6);
+    const scale = (GLYPH_BOX - 2 * thickness) / Math.max(width, height);
+    const offsetX = (IMAGE_SIZE - width * scale) / 2 + rand(-1, 1);
+    const offsetY = (IMAGE_SIZE - height * scale) / 2 + rand(-1, 1);
+    const pixels = polylines.map(stroke => stroke.map(([x, y]) =>
+        [(x - minX) * scale + offsetX, (y - minY) * scale + offsetY]));
+
+    const image = new Float32Array(IMAGE_SIZE * IMAGE_SIZE);
+    for (let row = 0; row < IMAGE_SIZE; row++) {
+        for (let col = 0; col < IMAGE_SIZE; col++) {
+            let distance = Infinity;
+            for (const stroke of pixels) {
+                for (let i = 1; i < stroke.length; i++) {
+                    distance = Math.min(distance, distanceToSegment(col + 0.5, row + 0.5, stroke[i - 1], stroke[i]));
+                }
+            }
+            image[row * IMAGE_SIZE + col] = Math.max(0, Math.min(1, thickness + 0.5 - distance));
+        }
+    }
+    return image;
+}
+
+/**
+ * Build a shuffled dataset of synthetic digits
+ * @param {number} samplesPerDigit - Images per class
+ * @returns {{xs: tf.Tensor4D, ys: tf.Tensor2D}} Images and one-hot labels
+ */
+function buildDataset(samplesPerDigit) {
+    const total = samplesPerDigit * 10;
+    const images = new Float32Array(total * IMAGE_SIZE * IMAGE_SIZE);
+    const labels = new Int32Array(total);
+    const order = Array.from({ length: total }, (_, i) => i);
+    tf.util.shuffle(order);
+
+    order.forEach((slot, i) => {
+        const digit = i % 10;
+        images.set(renderDigit(digit), slot * IMAGE_SIZE * IMAGE_SIZE);
+        labels[slot] = digit;
+    });
+
+    return {
+        xs: tf.tensor4d(images, [total, IMAGE_SIZE, IMAGE_SIZE, 1]),
+        ys: tf.tidy(() => tf.oneHot(tf.tensor1d(labels, 'int32'), 10).toFloat())
+    };
+}
+
+/**
+ * Small CNN: two conv/pool blocks and a softmax classifier
+ * @returns {tf.Sequential} Compiled model
+ */
+function createModel() {
+    const model = tf.sequential();
+    model.add(tf.layers.conv2d({
+        inputShape: [IMAGE_SIZE, IMAGE_SIZE, 1], filters: 8, kernelSize: 5, activation: 'relu'
+    }));
+    model.add(tf.layers.maxPooling2d({ poolSize: 2, strides: 2 }));
+    model.add(tf.layers.conv2d({ filters: 16, kernelSize: 5, activation: 'relu' }));
+    model.add(tf.layers.maxPooling2d({ poolSize: 2, strides: 2 }));
+    model.add(tf.layers.flatten());
+    model.add(tf.layers.dense({ units: 10, activation: 'softmax' }));
+    model.compile({ optimizer: tf.train.adam(0.005), loss: 'categoricalCrossentropy', metrics: ['accuracy'] });
+    return model;
+}
+
+/**
+ * Write model.json and the weights shard without tfjs-node's file:// handler
+ * @param {tf.LayersModel} model - Trained model
+ */
+async function saveModel(model) {
+    await model.save(tf.io.withSaveHandler(async artifacts => {
+        const weightsFile = 'group1-shard1of1.bin';
+        fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+        fs.writeFileSync(path.join(OUTPUT_DIR, weightsFile), Buffer.from(artifacts.weightData));
+        fs.writeFileSync(path.join(OUTPUT_DIR, 'model.json'), JSON.stringify({
+            format: 'layers-model',
+            generatedBy: `TensorFlow.js tfjs-layers v${tf.version.tfjs}`,
+            convertedBy: null,
+            modelTopology: artifacts.modelTopology,
+            weightsManifest: [{ paths: [weightsFile], weights: artifacts.weightSpecs }]
+        }));
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+}
+
+async function main() {
+    const samplesPerDigit = parseInt(process.argv[2], 10) || 300;
+    const epochs = parseInt(process.argv[3], 10) || 5;
+
+    console.log(`Rendering ${samplesPerDigit * 10} training and ${samplesPerDigit * 2} test digits...`);
+    const train = buildDataset(samplesPerDigit);
+    const test = buildDataset(Math.ceil(samplesPerDigit / 5));
+
+    const model = createModel();
+    await model.fit(train.xs, train.ys, {
+        epochs,
+        batchSize: 64,
+        shuffle: true,
+        callbacks: {
+            onEpochEnd: (epoch, logs) => {
+                console.log(`Epoch ${epoch + 1}/${epochs}: loss ${logs.loss.toFixed(4)}, accuracy ${(logs.acc * 100).toFixed(1)}%`);
+            }
+        }
+    });
+
+    const [loss, accuracy] = model.evaluate(test.xs, test.ys);
+    console.log(`Test loss ${loss.dataSync()[0].toFixed(4)}, accuracy ${(accuracy.dataSync()[0] * 100).toFixed(1)}%`);
+
+    await saveModel(model);
+    console.log(`Saved model to ${OUTPUT_DIR}`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
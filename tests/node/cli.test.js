@@ -0,0 +1,152 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { tf } from './setup.js';
+import { ExportUtils } from '../../js/utils/export-utils.js';
+import { runCli, parseArgs, applyOperations } from '../../js/cli.js';
+
+/**
+ * Run the command line with captured output
+ * @param {...string} argv - Arguments
+ * @returns {Object} { code, stdout, stderr }
+ */
+function run(...argv) {
+    const stdout = [];
+    const stderr = [];
+    const code = runCli(argv, {
+        stdout: { write: text => stdout.push(text) },
+        stderr: { write: text => stderr.push(text) }
+    });
+    return { code, stdout: stdout.join(''), stderr: stderr.join('') };
+}
+
+describe('tensor-cli', () => {
+    let dir;
+    const file = name => path.join(dir, name);
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tensor-cli-'));
+        fs.writeFileSync(file('a.json'), '[[1, 2, 3], [4, 5, 6]]');
+        fs.writeFileSync(file('b.json'), '[[1, 2, 3], [4, 5, 6.5]]');
+        fs.writeFileSync(file('a.csv'), 'Row,Column,Value\n0,0,1\n0,1,2\n0,2,3\n1,0,4\n1,1,5\n1,2,6\n');
+        fs.writeFileSync(file('a.tsv'), 'x\ty\n0.5\t1\n');
+        fs.writeFileSync(file('bad.json'), '[1, 2');
+        fs.writeFileSync(file('a.txt'), '1');
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('prints usage for --help and when there is no command', () => {
+        const help = run('--help');
+        assert.equal(help.code, 0);
+        assert.match(help.stdout, /^Usage: tensor-cli <command>/);
+
+        const none = run();
+        assert.equal(none.code, 2);
+        assert.equal(none.stdout, '');
+        assert.match(none.stderr, /^Usage: tensor-cli/);
+    });
+
+    it('prints tensor info and values', () => {
+        const info = run('info', file('a.csv'));
+        assert.equal(info.code, 0);
+        assert.equal(info.stdout, 'Shape: [2, 3]\nDtype: int32\nSize: 6\nRank: 2\n');
+
+        assert.equal(run('info', file('a.tsv')).stdout, 'Shape: [1, 2]\nDtype: float32\nSize: 2\nRank: 2\n');
+
+        const show = run('show', file('a.json'), '--reshape', '3,2');
+        assert.match(show.stdout, /^Shape: \[3, 2\]\n[\s\S]*\n\nTensor\n {4}\[\[1, 2\],\n/);
+    });
+
+    it('applies operations in order', () => {
+        const { stdout } = run('show', file('a.json'), '--reduce=sum:0', '--cast', 'int32');
+        assert.match(stdout, /Dtype: int32/);
+        assert.match(stdout, /\[5, 7, 9\]/);
+    });
+
+    it('exports as CSV or JSON, to stdout or a file', () => {
+        const before = ExportUtils.writer;
+        assert.equal(run('export', file('a.json'), '--reshape', '-1').stdout, 'Index,Value\n0,1\n1,2\n2,3\n3,4\n4,5\n5,6\n');
+        assert.equal(run('export', file('a.csv'), '--format', 'json').stdout, `${JSON.stringify([[1, 2, 3], [4, 5, 6]], null, 2)}\n`);
+
+        assert.equal(run('export', file('a.json'), '-o', file('out.json')).stdout, '');
+        assert.deepEqual(JSON.parse(fs.readFileSync(file('out.json'), 'utf8')), [[1, 2, 3], [4, 5, 6]]);
+        run('export', file('a.json'), '--output', file('out.csv'));
+        assert.match(fs.readFileSync(file('out.csv'), 'utf8'), /^Row,Column,Value\n0,0,1\n/);
+
+        run('export', file('a.json'), '--cast', 'int32', '-o', file('out.npy'));
+        const npy = ExportUtils.parseNpy(fs.readFileSync(file('out.npy')));
+        assert.equal(npy.dtype, 'int32');
+        assert.deepEqual(npy.arraySync(), [[1, 2, 3], [4, 5, 6]]);
+        npy.dispose();
+        assert.equal(run('info', file('out.npy')).stdout, 'Shape: [2, 3]\nDtype: int32\nSize: 6\nRank: 2\n');
+        assert.equal(ExportUtils.writer, before);
+    });
+
+    it('compares tensors and exits with 1 when they differ', () => {
+        const same = run('compare', file('a.json'), file('a.csv'));
+        assert.equal(same.code, 0);
+        assert.match(same.stdout, /^A: .*a\.json\nShape: \[2, 3\]/);
+        assert.match(same.stdout, /allclose \(rtol 0\.00001, atol 1e-8\): true\n$/);
+
+        const different = run('compare', file('a.json'), file('b.json'));
+        assert.equal(different.code, 1);
+        assert.match(different.stdout, /1 element\(s\) outside tolerance/);
+        assert.equal(run('compare', file('a.json'), file('b.json'), '--atol', '0.5').code, 0);
+    });
+
+    it('compares as JSON without the per-element arrays', () => {
+        const { code, stdout } = run('compare', file('a.json'), file('b.json'), '--format', 'json', '--max-failures', '0');
+        const result = JSON.parse(stdout);
+        assert.equal(code, 1);
+        assert.equal(result.allClose, false);
+        assert.equal(result.maxDifference, 0.5);
+        assert.equal(result.failureCount, 1);
+        assert.deepEqual(result.failures, []);
+        assert.equal('absoluteDifferences' in result, false);
+    });
+
+    it('reports errors with exit code 2 and frees every tensor', () => {
+        const tensors = tf.memory().numTensors;
+        const errors = [
+            [['frobnicate', file('a.json')], /Unknown command "frobnicate"/],
+            [['info'], /info takes 1 file, got 0/],
+            [['compare', file('a.json')], /compare takes 2 files, got 1/],
+            [['info', file('a.json'), '--colour', 'red'], /Unknown option "--colour"/],
+            [['info', file('a.json'), '--reshape'], /Option "--reshape" needs a value/],
+            [['info', file('bad.json')], /Cannot load .*bad\.json: /],
+            [['info', file('a.txt')], /Cannot load .*a\.txt: unsupported format/],
+            [['info', file('missing.json')], /Cannot load .*missing\.json: ENOENT/],
+            [['info', file('a.json'), '--reshape', '4,4'], /--reshape 4,4: /],
+            [['info', file('a.json'), '--cast', 'complex64'], /Cannot cast to "complex64"/],
+            [['info', file('a.json'), '--reduce', 'median'], /Unknown reduction "median"/],
+            [['export', file('a.json'), '--format', 'xml'], /Unknown export format "xml": use csv, json or npy/],
+            [['compare', file('a.json'), file('b.json'), '--format', 'xml'], /Unknown compare format "xml"/],
+            [['compare', file('a.json'), file('b.json'), '--rtol', '-1'], /--rtol must be a non-negative number, got "-1"/]
+        ];
+        errors.forEach(([argv, message]) => {
+            const { code, stdout, stderr } = run(...argv);
+            assert.equal(code, 2, argv.join(' '));
+            assert.equal(stdout, '');
+            assert.match(stderr, /^tensor-cli: /);
+            assert.match(stderr, message);
+        });
+        assert.equal(tf.memory().numTensors, tensors);
+    });
+
+    it('parses options, aliases and positional arguments', () => {
+        assert.deepEqual(parseArgs(['compare', 'a.npy', '-o', 'out.txt', '--reduce=max:0,1', 'b.npy', '-h']), {
+            command: 'compare',
+            files: ['a.npy', 'b.npy'],
+            operations: [{ name: 'reduce', value: 'max:0,1' }],
+            options: { output: 'out.txt', help: true }
+        });
+    });
+
+    it('returns the input tensor when there are no operations', () => {
+        const tensor = tf.tensor([1, 2]);
+        assert.equal(applyOperations(tensor, []), tensor);
+        tensor.dispose();
+    });
+});
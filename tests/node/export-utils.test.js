@@ -0,0 +1,760 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { tf, installDom, removeDom } from './setup.js';
+import { TensorUtils } from '../../js/core/tensor-utils.js';
+import { ExportUtils } from '../../js/utils/export-utils.js';
+
+/**
+ * Route exports into an array instead of downloading them
+ * @returns {Object[]} Saved files: { content, filename, mimeType }
+ */
+function captureExports() {
+    const files = [];
+    ExportUtils.writer = (content, filename, mimeType) => {
+        files.push({ content, filename, mimeType });
+        return `saved:${filename}`;
+    };
+    return files;
+}
+
+/**
+ * Minimal RFC 4180 reader, to check what the writer produces
+ * @param {string} text - CSV text
+ * @returns {string[][]} Records
+ */
+function parseCSV(text) {
+    const records = [];
+    const pattern = /("(?:[^"]|"")*"|[^,\r\n]*)(,|\r\n|$)/gy;
+    let record = [];
+    let match;
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+        const [, field, separator] = match;
+        record.push(field.startsWith('"') ? field.slice(1, -1).replace(/""/g, '"') : field);
+        if (separator !== ',') {
+            records.push(record);
+            record = [];
+        }
+    }
+    return records;
+}
+
+const metric = (operation, executionTime, extra = {}) => ({
+    operation,
+    executionTime,
+    memoryBefore: 100,
+    memoryAfter: 164,
+    memoryDelta: 64,
+    timestamp: '2024-01-01T00:00:00.000Z',
+    ...extra
+});
+
+describe('ExportUtils output formats', () => {
+    let files;
+    beforeEach(() => {
+        files = captureExports();
+    });
+    afterEach(() => {
+        ExportUtils.writer = null;
+    });
+
+    it('exports indented JSON through the writer', () => {
+        assert.equal(ExportUtils.exportJSON({ a: [1, 2] }, 'data.json'), 'saved:data.json');
+        assert.deepEqual(files, [{ content: '{\n  "a": [\n    1,\n    2\n  ]\n}', filename: 'data.json', mimeType: 'application/json' }]);
+        ExportUtils.exportJSON({});
+        assert.equal(files[1].filename, 'export.json');
+    });
+
+    it('exports objects as CSV with quoted strings and CRLF records', () => {
+        ExportUtils.exportCSV([{ name: 'add', time: 1.5 }, { name: 'mul', time: 2 }], 'ops.csv');
+        assert.equal(files[0].content, 'name,time\r\n"add",1.5\r\n"mul",2\r\n');
+        assert.equal(files[0].mimeType, 'text/csv');
+    });
+
+    it('escapes quotes, delimiters and line breaks', () => {
+        const content = 'Shape: [2]\nSays "hi", twice\r\nend';
+        ExportUtils.exportCSV([{ title: 'Multi, line', content }]);
+        assert.equal(files[0].content, 'title,content\r\n"Multi, line","Shape: [2]\nSays ""hi"", twice\r\nend"\r\n');
+
+        const parsed = parseCSV(files[0].content);
+        assert.deepEqual(parsed, [['title', 'content'], ['Multi, line', content]]);
+    });
+
+    it('uses the union of the rows\' keys as headers', () => {
+        ExportUtils.exportCSV([{ a: 1 }, { b: 'x', a: 2 }, { c: true }]);
+        assert.equal(files[0].content, 'a,b,c\r\n1,,\r\n2,"x",\r\n,,true\r\n');
+    });
+
+    it('writes empty, date and object fields', () => {
+        ExportUtils.exportCSV([{ a: null, b: undefined, c: new Date('2024-01-01T00:00:00Z'), d: { seed: 1 }, e: NaN }]);
+        assert.equal(files[0].content.split('\r\n')[1], ',,"2024-01-01T00:00:00.000Z","{""seed"":1}",NaN');
+    });
+
+    it('supports other delimiters, a BOM and explicit headers', () => {
+        ExportUtils.exportCSV([{ 'a;b': 'x;y', c: 1 }], 'data.csv', { delimiter: ';', bom: true });
+        ExportUtils.exportCSV([{ a: 1, b: 2 }], 'data.tsv', { delimiter: '\t', headers: ['b', 'a'] });
+        assert.equal(files[0].content, '\uFEFF"a;b";c\r\n"x;y";1\r\n');
+        assert.equal(files[1].content, 'b\ta\r\n2\t1\r\n');
+        assert.equal(files[1].mimeType, 'text/tab-separated-values');
+        assert.throws(() => ExportUtils.toCSV([], { delimiter: '"' }), /Invalid CSV delimiter "\\""/);
+        assert.throws(() => ExportUtils.toCSV([], { delimiter: ', ' }), /Invalid CSV delimiter/);
+    });
+
+    it('refuses to export an empty CSV', t => {
+        const error = t.mock.method(console, 'error', () => {});
+        assert.equal(ExportUtils.exportCSV([]), undefined);
+        assert.equal(ExportUtils.exportCSV(null), undefined);
+        assert.equal(error.mock.callCount(), 2);
+        assert.equal(files.length, 0);
+    });
+
+    it('exports vectors as Index,Value rows', () => {
+        const tensor = tf.tensor([5, 6]);
+        ExportUtils.exportTensorCSV(tensor, 'vector.csv');
+        assert.equal(files[0].content, 'Index,Value\n0,5\n1,6\n');
+        tensor.dispose();
+    });
+
+    it('writes values so their dtype can be read back with preserveDtype', () => {
+        const tensors = [tf.tensor([3, -1], null, 'int32'), tf.tensor([true, false]), tf.tensor([-0, NaN, -Infinity, 2 ** 70, 2 ** -30])];
+        tensors.forEach(tensor => ExportUtils.exportTensorCSV(tensor, undefined, { preserveDtype: true }));
+        assert.deepEqual(files.map(file => file.content), [
+            'Index,Value\n0,3\n1,-1\n',
+            'Index,Value\n0,true\n1,false\n',
+            'Index,Value\n0,-0.0\n1,NaN\n2,-Infinity\n3,1.1805916207174113e+21\n4,9.313225746154785e-10\n'
+        ]);
+        TensorUtils.safeDispose(...tensors);
+    });
+
+    it('exports matrices as Row,Column,Value rows', () => {
+        const tensor = tf.tensor([[1, 2], [3, 4]]);
+        ExportUtils.exportTensorCSV(tensor);
+        assert.equal(files[0].content, 'Row,Column,Value\n0,0,1\n0,1,2\n1,0,3\n1,1,4\n');
+        assert.equal(files[0].filename, 'tensor-data.csv');
+        tensor.dispose();
+    });
+
+    it('exports higher ranks as flat values', () => {
+        const tensor = tf.range(0, 4).reshape([1, 2, 2]);
+        ExportUtils.exportTensorCSV(tensor);
+        assert.equal(files[0].content, 'Value\n0\n1\n2\n3\n');
+        tensor.dispose();
+
+        const scalar = tf.scalar(7, 'int32');
+        ExportUtils.exportTensorCSV(scalar);
+        assert.equal(files[1].content, 'Value\n7\n');
+        scalar.dispose();
+    });
+
+    it('exports performance data as JSON by default', () => {
+        const data = { summary: {}, metrics: [metric('add', 1)] };
+        assert.match(ExportUtils.exportPerformanceData(data), /^saved:performance-[\dT-]+Z\.json$/);
+        assert.deepEqual(JSON.parse(files[0].content), data);
+    });
+
+    it('exports performance metrics as CSV with stats and kernel columns', () => {
+        ExportUtils.exportPerformanceData({
+            metrics: [
+                metric('matMul', 2, { stats: { size: 64, median: 1.5 } }),
+                metric('add', 1, {
+                    peakBytes: 256,
+                    newTensors: 1,
+                    kernels: [{ name: 'Add', count: 2, timeMs: 0.25 }, { name: 'Mul', count: 1, timeMs: 0.1 }]
+                })
+            ]
+        }, 'csv');
+
+        const [header, first, second] = files[0].content.split('\r\n');
+        assert.match(files[0].filename, /^performance-.*\.csv$/);
+        assert.equal(header, 'operation,executionTime,memoryBefore,memoryAfter,memoryDelta,timestamp,size,median,' +
+                             'peakBytes,newTensors,kernels');
+        assert.equal(first, '"matMul",2,100,164,64,"2024-01-01T00:00:00.000Z",64,1.5,,,');
+        assert.equal(second, '"add",1,100,164,64,"2024-01-01T00:00:00.000Z",,,256,1,"Add x2 0.250ms; Mul x1 0.100ms"');
+
+        files.length = 0;
+        ExportUtils.exportPerformanceData({ metrics: [metric('add', 1)] }, 'csv', { delimiter: ';', bom: true });
+        assert.match(files[0].content, /^\uFEFFoperation;executionTime;/);
+    });
+
+    describe('reports', () => {
+        const results = [
+            { title: 'Shapes', timestamp: 't1', content: 'Shape: [2]\nExecution time: 1ms\nMemory usage: 1 KB' },
+            { title: 'Seeded', timestamp: 't2', content: 'Execution time: 2ms\nExecution time: 3ms', run: { seed: 42 } },
+            { title: 'Unseeded', timestamp: 't3', content: 'no timing', run: { seed: null } }
+        ];
+        const performanceData = { summary: { totalOperations: 3, averageExecutionTime: 2, peakMemoryUsage: 2048 } };
+
+        it('exports a JSON report with a summary', () => {
+            ExportUtils.exportReport(results, performanceData);
+            const report = JSON.parse(files[0].content);
+            assert.match(files[0].filename, /^report-.*\.json$/);
+            assert.equal(report.title, 'TensorFlow.js Learning Platform Report');
+            assert.deepEqual(report.summary, { totalResults: 3, totalOperations: 3, averageExecutionTime: 2 });
+            assert.deepEqual(report.results[1].run, { seed: 42 });
+        });
+
+        it('exports an HTML report', () => {
+            ExportUtils.exportReport(results, performanceData, 'html');
+            const html = files[0].content;
+            assert.equal(files[0].mimeType, 'text/html');
+            assert.match(html, /<h3>Seeded<\/h3>/);
+            assert.match(html, /<p>Seed: 42<\/p>/);
+            assert.equal((html.match(/Seed:/g) || []).length, 1);
+            assert.match(html, /Average Execution Time: 2\.00ms/);
+            assert.match(html, /Peak Memory Usage: 2\.00 KB/);
+        });
+
+        it('escapes result text and links every result from the contents', () => {
+            ExportUtils.exportReport([
+                { title: '<b>A & B</b>', timestamp: 't1', content: 'Tensor\n    [1 < 2, "x"]' },
+                { title: 'Second', timestamp: 't2', content: '</pre><script>alert(1)</script>' }
+            ], null, 'html');
+            const html = files[0].content;
+            assert.match(html, /<h3>&lt;b&gt;A &amp; B&lt;\/b&gt;<\/h3>/);
+            assert.match(html, /<pre>Tensor\n {4}\[1 &lt; 2, &quot;x&quot;\]<\/pre>/);
+            assert.doesNotMatch(html, /<script>/);
+            assert.match(html, /<li><a href="#result-1">&lt;b&gt;A &amp; B&lt;\/b&gt;<\/a><\/li>/);
+            assert.match(html, /<div class="result" id="result-2">/);
+            assert.doesNotMatch(html, /id="performance"/);
+        });
+
+        it('adds a performance timeline and tolerates a missing average', () => {
+            ExportUtils.exportReport(results, {
+                summary: { totalOperations: 2 },
+                metrics: [
+                    { timestamp: 1000, operation: 'a<b', executionTime: 1.5, memoryDelta: 2048, kernels: [{ name: 'Add', count: 2 }] },
+                    { timestamp: 2000, operation: 'mul', executionTime: 3 }
+                ]
+            }, 'html');
+            const html = files[0].content;
+            assert.match(html, /Average Execution Time: n\/a/);
+            assert.match(html, /<li><a href="#performance">Performance Summary<\/a><\/li>/);
+            const rows = html.match(/<tr>\s*<td>[\s\S]*?<\/tr>/g).map(row =>
+                [...row.matchAll(/<td[^>]*>(.*?)<\/td>/g)].map(([, cell]) => cell));
+            assert.deepEqual(rows, [
+                ['1', '1000', 'a&lt;b', '1.50ms', '2.00 KB', 'Add x2'],
+                ['2', '2000', 'mul', '3.00ms', 'n/a', '']
+            ]);
+
+            ExportUtils.exportReport(results, { summary: {} }, 'txt');
+            assert.match(files[1].content, /Average Execution Time: n\/a\n\n/);
+        });
+
+        it('embeds chart images drawn with Chart.js', t => {
+            const { created } = installDom();
+            const charts = [];
+            globalThis.Chart = class {
+                constructor(canvas, config) {
+                    canvas.toDataURL = type => `data:${type};base64,${charts.length}`;
+                    Object.assign(this, { canvas, config, destroyed: false });
+                    charts.push(this);
+                }
+                destroy() {
+                    this.destroyed = true;
+                }
+            };
+            t.after(() => {
+                delete globalThis.Chart;
+                removeDom();
+            });
+
+            ExportUtils.exportReport([
+                { title: 'Line', timestamp: 't1', content: '', chart: { type: 'line', labels: ['0', '1'], data: [1, 2] } },
+                { title: 'Plain', timestamp: 't2', content: '' },
+                { title: 'Bar', timestamp: 't3', content: '', chart: { type: 'bar', labels: ['0'], datasets: [{ data: [1] }] } }
+            ], null, 'html');
+            const images = [...files[0].content.matchAll(/<img class="chart" src="([^"]+)" alt="Chart for (\w+)">/g)];
+            assert.deepEqual(images.map(([, src, title]) => [src, title]),
+                [['data:image/png;base64,1', 'Line'], ['data:image/png;base64,2', 'Bar']]);
+            assert.deepEqual(charts.map(chart => [chart.config.type, chart.config.options.animation, chart.destroyed]),
+                [['line', false, true], ['bar', false, true]]);
+            assert.deepEqual(charts[0].config.data.datasets[0].data, [1, 2]);
+            assert.deepEqual(created.map(element => [element.tagName, element.width]), [['CANVAS', 640], ['CANVAS', 640]]);
+        });
+
+        it('exports a Markdown report with fenced contents and metric tables', () => {
+            ExportUtils.exportReport([
+                ...results,
+                { title: 'Tricky | *title*', timestamp: 't4', content: 'a ``` b' }
+            ], {
+                summary: { totalOperations: 1, averageExecutionTime: 1.5, peakMemoryUsage: 1024 },
+                metrics: [{ timestamp: 1000, operation: 'a|b', executionTime: 1.5, memoryDelta: -1024, kernels: [] }]
+            }, 'md');
+            const markdown = files[0].content;
+            assert.match(files[0].filename, /^report-.*\.md$/);
+            assert.equal(files[0].mimeType, 'text/markdown');
+            assert.match(markdown, /^# TensorFlow\.js Learning Platform Report\n\nGenerated: /);
+            assert.match(markdown, /\| Summary \| Value \|\n\| --- \| --- \|\n\| Total Results \| 4 \|\n\| Total Operations \| 3 \|\n\| Average Execution Time \| 1\.50ms \|\n/);
+            assert.match(markdown, /\n## Seeded\n\n- Timestamp: t2\n- Seed: 42\n\n```text\nExecution time: 2ms\nExecution time: 3ms\n```\n/);
+            assert.match(markdown, /\n## Unseeded\n\n- Timestamp: t3\n\n```text\n/);
+            assert.match(markdown, /\n## Tricky \\\| \\\*title\\\*\n\n- Timestamp: t4\n\n````text\na ``` b\n````\n/);
+            assert.match(markdown, /\| Peak Memory Usage \| 1\.00 KB \|/);
+            assert.match(markdown, /### Timeline\n\n\| \\# \| Time \| Operation \| Execution Time \| Memory Change \| Kernels \|\n\| ---: \| --- \| --- \| ---: \| ---: \| --- \|\n\| 1 \| 1000 \| a\\\|b \| 1\.50ms \| -1\.00 KB \|  \|\n$/);
+
+            ExportUtils.exportReport(results, null, 'markdown');
+            assert.doesNotMatch(files[1].content, /Performance Summary/);
+        });
+
+        it('builds the same report model for every format', () => {
+            const report = ExportUtils.createReport(results, performanceData);
+            assert.deepEqual(report.summary, { totalResults: 3, totalOperations: 3, averageExecutionTime: 2 });
+            assert.equal(report.results, results);
+            assert.match(ExportUtils.renderHTMLReport(report), /<h3>Shapes<\/h3>/);
+            assert.match(ExportUtils.renderMarkdownReport(report), /## Shapes/);
+        });
+
+        it('prints the HTML report from a hidden frame, one result per page', () => {
+            const { document, created } = installDom();
+            try {
+                const frame = ExportUtils.exportReport(results, performanceData, 'print');
+                assert.equal(files.length, 0);
+                assert.equal(created[0], frame);
+                assert.equal(frame.tagName, 'IFRAME');
+                assert.deepEqual(document.body.children, [frame]);
+                assert.match(frame.srcdoc, /<h3>Seeded<\/h3>/);
+                assert.match(frame.srcdoc, /@media print \{[\s\S]*\.result \+ \.result, \.performance \{ break-before: page; \}/);
+
+                const listeners = {};
+                let printed = 0;
+                frame.contentWindow = {
+                    addEventListener: (type, listener) => { listeners[type] = listener; },
+                    focus() {},
+                    print: () => printed++
+                };
+                frame.onload();
+                assert.equal(printed, 1);
+                assert.equal(frame.removed, false);
+                listeners.afterprint();
+                assert.equal(frame.removed, true);
+            } finally {
+                removeDom();
+            }
+        });
+
+        it('needs a browser to print', () => {
+            assert.throws(() => ExportUtils.exportReport(results, null, 'print'),
+                /Printing a report needs a browser; export it as HTML instead/);
+        });
+
+        it('leaves charts out without a DOM', () => {
+            assert.equal(ExportUtils.renderChartImage({ type: 'line', labels: [], data: [] }), null);
+        });
+
+        it('exports a CSV report with one record per result', () => {
+            ExportUtils.exportReport(results, performanceData, 'csv', { bom: true });
+            assert.match(files[0].filename, /^report-.*\.csv$/);
+            assert.deepEqual(parseCSV(files[0].content.slice(1)), [
+                ['title', 'timestamp', 'seed', 'content'],
+                ['Shapes', 't1', '', 'Shape: [2]\nExecution time: 1ms\nMemory usage: 1 KB'],
+                ['Seeded', 't2', '42', 'Execution time: 2ms\nExecution time: 3ms'],
+                ['Unseeded', 't3', '', 'no timing']
+            ]);
+        });
+
+        it('exports a text report', () => {
+            ExportUtils.exportReport(results, null, 'txt');
+            const text = files[0].content;
+            assert.equal(files[0].mimeType, 'text/plain');
+            assert.match(text, /^TensorFlow\.js Learning Platform Report\n/);
+            assert.match(text, /Total Operations: 3\nAverage Execution Time: 0\.00ms/);
+            assert.match(text, /=== Seeded ===\nTimestamp: t2\nSeed: 42\n/);
+            assert.doesNotMatch(text, /PERFORMANCE SUMMARY/);
+        });
+    });
+});
+
+describe('ExportUtils.parseTensorCSV', () => {
+    let files;
+    beforeEach(() => {
+        files = captureExports();
+    });
+    afterEach(() => {
+        ExportUtils.writer = null;
+    });
+
+    it('reads back every layout exportTensorCSV writes', () => {
+        [tf.tensor([1.5, -2, 3]), tf.tensor([[1, 2, 3], [4, 5, 6]]), tf.range(0, 8).reshape([2, 2, 2])].forEach(tensor => {
+            ExportUtils.exportTensorCSV(tensor);
+            const parsed = ExportUtils.parseTensorCSV(files.pop().content);
+            assert.deepEqual(Array.from(parsed.dataSync()), Array.from(tensor.dataSync()));
+            assert.deepEqual(parsed.shape, tensor.rank > 2 ? [tensor.size] : tensor.shape);
+            TensorUtils.safeDispose(tensor, parsed);
+        });
+    });
+
+    it('reads grids of numbers with or without a header', () => {
+        const plain = ExportUtils.parseTensorCSV('1, 2\r\n3, 4\n\n');
+        const headed = ExportUtils.parseTensorCSV('"a","b"\n1,2\n');
+        assert.deepEqual(plain.arraySync(), [[1, 2], [3, 4]]);
+        assert.deepEqual(headed.arraySync(), [[1, 2]]);
+        TensorUtils.safeDispose(plain, headed);
+    });
+
+    it('round-trips rank-1 and rank-2 tensors losslessly', () => {
+        const tensors = [
+            tf.tensor([0.1, -2, 3e-8, NaN, Infinity]),
+            tf.tensor([[1, 2], [3, 4]]),
+            tf.tensor([[7, -8, 2147483647]], null, 'int32'),
+            tf.tensor([[true, false], [false, true]]),
+            tf.tensor([], [0])
+        ];
+        tensors.forEach(tensor => {
+            ExportUtils.exportTensorCSV(tensor, undefined, { preserveDtype: true });
+            const parsed = ExportUtils.parseTensorCSV(files.pop().content);
+            assert.equal(parsed.dtype, tensor.dtype);
+            assert.deepEqual(parsed.shape, tensor.shape);
+            assert.deepEqual(parsed.dataSync(), tensor.dataSync());
+            parsed.dispose();
+        });
+        TensorUtils.safeDispose(...tensors);
+    });
+
+    it('reads header-only files as empty tensors of the layout\'s rank', () => {
+        const matrix = tf.zeros([0, 3], 'int32');
+        ExportUtils.exportTensorCSV(matrix);
+        assert.equal(files[0].content, 'Row,Column,Value\n');
+        const parsed = [
+            ExportUtils.parseTensorCSV(files.pop().content),
+            ExportUtils.parseTensorCSV('Index,Value\r\n'),
+            ExportUtils.parseTensorCSV('\uFEFFvalue\n', { shape: [2, 0] }),
+            ExportUtils.parseTensorCSV('Value', { dtype: 'bool' })
+        ];
+        assert.deepEqual(parsed.map(tensor => [tensor.shape, tensor.dtype]),
+            [[[0, 0], 'float32'], [[0], 'float32'], [[2, 0], 'float32'], [[0], 'bool']]);
+        TensorUtils.safeDispose(matrix, ...parsed);
+    });
+
+    it('restores higher ranks from the Value layout with a shape', () => {
+        const tensor = tf.range(0, 8, 1, 'int32').reshape([2, 2, 2]);
+        ExportUtils.exportTensorCSV(tensor);
+        const parsed = ExportUtils.parseTensorCSV(files.pop().content, { shape: [2, 2, 2] });
+        assert.deepEqual(parsed.arraySync(), tensor.arraySync());
+        TensorUtils.safeDispose(tensor, parsed);
+    });
+
+    it('infers the dtype of wide matrices', () => {
+        const ints = ExportUtils.parseTensorCSV('1,2\n-3,4');
+        const floats = ExportUtils.parseTensorCSV('1,2.0\n3,4');
+        const large = ExportUtils.parseTensorCSV('1,2147483648');
+        const flags = ExportUtils.parseTensorCSV('TRUE,false\nfalse,True');
+        const forced = ExportUtils.parseTensorCSV('1,2', { dtype: 'float32' });
+        assert.deepEqual([ints, floats, large, flags, forced].map(tensor => tensor.dtype),
+            ['int32', 'float32', 'float32', 'bool', 'float32']);
+        assert.deepEqual(flags.arraySync(), [[1, 0], [0, 1]]);
+        TensorUtils.safeDispose(ints, floats, large, flags, forced);
+    });
+
+    it('reads TSV, headers, byte order marks and quoted cells', () => {
+        const tsv = ExportUtils.parseTensorCSV('x\ty\tz\n1\t2\t3\n4\t5\t6\n');
+        const long = ExportUtils.parseTensorCSV('\uFEFF"row"\t"column"\t"value"\n1\t0\t2.5\n0\t0\t1.5\n');
+        const semicolons = ExportUtils.parseTensorCSV('1;2\n3;4', { delimiter: ';' });
+        assert.deepEqual(tsv.arraySync(), [[1, 2, 3], [4, 5, 6]]);
+        assert.deepEqual(long.arraySync(), [[1.5], [2.5]]);
+        assert.deepEqual(semicolons.shape, [2, 2]);
+        TensorUtils.safeDispose(tsv, long, semicolons);
+    });
+
+    it('reports malformed rows with their line numbers', () => {
+        const before = tf.memory().numTensors;
+        assert.throws(() => ExportUtils.parseTensorCSV('a,b\n\n1,2\n\n3,x'), /Invalid number "x" on line 5/);
+        assert.throws(() => ExportUtils.parseTensorCSV('1,2\n3,4,5'), /Line 2 has 3 values, expected 2/);
+        assert.throws(() => ExportUtils.parseTensorCSV('Index,Value\n0,1,2'), /Line 2 has 3 values, expected 2/);
+        assert.throws(() => ExportUtils.parseTensorCSV('Index,Value\n0,1\n0,2'), /Duplicate value for index 0 on line 3/);
+        assert.throws(() => ExportUtils.parseTensorCSV('Index,Value\n-1,1'), /Invalid index "-1" on line 2/);
+        assert.throws(() => ExportUtils.parseTensorCSV('Row,Column,Value\n0,1.5,1'), /Invalid index "1\.5" on line 2/);
+        assert.throws(() => ExportUtils.parseTensorCSV('Row,Column,Value\n0,0,1\n0,0,2'),
+            /Duplicate value for row 0, column 0 on line 3/);
+        assert.throws(() => ExportUtils.parseTensorCSV('Value\n1\ntrue'), /Line 3 mixes numbers with true\/false values/);
+        assert.throws(() => ExportUtils.parseTensorCSV('a,b\n'), /CSV has no data/);
+        assert.equal(tf.memory().numTensors, before);
+    });
+
+    it('reports invalid and missing values', () => {
+        assert.throws(() => ExportUtils.parseTensorCSV(''), /CSV has no data/);
+        assert.throws(() => ExportUtils.parseTensorCSV('1,2\n3,x'), /Invalid number "x" on line 2/);
+        assert.throws(() => ExportUtils.parseTensorCSV('a,b\n1,2\n3,'), /Invalid number "" on line 3/);
+        assert.throws(() => ExportUtils.parseTensorCSV('1,2\n3'), /Line 2 has 1 values, expected 2/);
+        assert.throws(() => ExportUtils.parseTensorCSV('Index,Value\n0,1\n2,3'), /Missing value for index 1/);
+        assert.throws(() => ExportUtils.parseTensorCSV('Row,Column,Value\n0,0,1\n0,1,2\n1,0,3'),
+            /Missing value for row 1, column 1/);
+    });
+});
+
+/**
+ * Build a .npy file
+ * @param {string} descr - NumPy dtype, e.g. '<f4'
+ * @param {number[]} shape - Array shape
+ * @param {number} byteLength - Size of the data
+ * @param {Function} write - Writes the values: (view, offset) => void
+ * @param {Object} options - fortranOrder and major version
+ * @returns {Uint8Array} File contents
+ */
+function npy(descr, shape, byteLength, write, { fortranOrder = false, major = 1 } = {}) {
+    const shapeText = shape.length === 1 ? `${shape[0]},` : shape.join(', ');
+    const dict = `{'descr': '${descr}', 'fortran_order': ${fortranOrder ? 'True' : 'False'}, 'shape': (${shapeText}), }`;
+    const prefix = major === 1 ? 10 : 12;
+    const header = dict.padEnd(Math.ceil((prefix + dict.length + 1) / 64) * 64 - prefix - 1) + '\n';
+    const bytes = new Uint8Array(prefix + header.length + byteLength);
+    const view = new DataView(bytes.buffer);
+    bytes.set([0x93, ...'NUMPY'].map(c => (typeof c === 'string' ? c.charCodeAt(0) : c)));
+    bytes[6] = major;
+    if (major === 1) {
+        view.setUint16(8, header.length, true);
+    } else {
+        view.setUint32(8, header.length, true);
+    }
+    bytes.set(new TextEncoder().encode(header), prefix);
+    write(view, prefix + header.length);
+    return bytes;
+}
+
+describe('ExportUtils.parseNpy', () => {
+    it('reads float32 arrays', () => {
+        const file = npy('<f4', [2, 2], 16, (view, offset) =>
+            [1, 2.5, -3, 4].forEach((value, i) => view.setFloat32(offset + 4 * i, value, true)));
+        const tensor = ExportUtils.parseNpy(file);
+        assert.equal(tensor.dtype, 'float32');
+        assert.deepEqual(tensor.arraySync(), [[1, 2.5], [-3, 4]]);
+        tensor.dispose();
+    });
+
+    it('reads big-endian int64 as int32 from an ArrayBuffer', () => {
+        const file = npy('>i8', [3], 24, (view, offset) =>
+            [1n, -2n, 3n].forEach((value, i) => view.setBigInt64(offset + 8 * i, value, false)), { major: 2 });
+        const tensor = ExportUtils.parseNpy(file.buffer);
+        assert.equal(tensor.dtype, 'int32');
+        assert.deepEqual(tensor.arraySync(), [1, -2, 3]);
+        tensor.dispose();
+    });
+
+    it('reads booleans and Fortran-ordered arrays', () => {
+        const flags = ExportUtils.parseNpy(npy('|b1', [3], 3, (view, offset) => view.setUint8(offset + 1, 1)));
+        const matrix = ExportUtils.parseNpy(npy('<f8', [2, 3], 48, (view, offset) =>
+            [1, 4, 2, 5, 3, 6].forEach((value, i) => view.setFloat64(offset + 8 * i, value, true)), { fortranOrder: true }));
+        assert.equal(flags.dtype, 'bool');
+        assert.deepEqual(flags.arraySync(), [0, 1, 0]);
+        assert.deepEqual(matrix.arraySync(), [[1, 2, 3], [4, 5, 6]]);
+        TensorUtils.safeDispose(flags, matrix);
+    });
+
+    it('reads scalars', () => {
+        const tensor = ExportUtils.parseNpy(npy('<i4', [], 4, (view, offset) => view.setInt32(offset, 7, true)));
+        assert.equal(tensor.rank, 0);
+        assert.equal(tensor.arraySync(), 7);
+        tensor.dispose();
+    });
+
+    it('rejects invalid files', () => {
+        const before = tf.memory().numTensors;
+        assert.throws(() => ExportUtils.parseNpy(new TextEncoder().encode('[1, 2, 3] not numpy')), /Not a \.npy file/);
+        assert.throws(() => ExportUtils.parseNpy(npy('<c8', [1], 8, () => {})), /Unsupported \.npy dtype "<c8"/);
+        assert.throws(() => ExportUtils.parseNpy(npy('<f4', [4], 8, () => {})), /Truncated \.npy data: expected 16 bytes, got 8/);
+        assert.throws(() => ExportUtils.parseNpy(npy('<u4', [1], 4, (view, offset) => view.setUint32(offset, 2 ** 32 - 1, true))),
+            /Value 4294967295 at index 0 does not fit in int32/);
+        const broken = npy('<f4', [1], 4, () => {});
+        broken.set(new TextEncoder().encode('{}'), 10);
+        broken.fill(0x20, 12, broken.length - 5);
+        assert.throws(() => ExportUtils.parseNpy(broken), /Invalid \.npy header/);
+        assert.equal(tf.memory().numTensors, before);
+    });
+});
+
+/**
+ * Build a ZIP archive the way Python's zipfile does for numpy.savez_compressed
+ * @param {Object[]} entries - { name, data, method }: method 0 stores, 8 deflates
+ * @returns {Uint8Array} Archive contents
+ */
+function zip(entries) {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    entries.forEach(({ name, data, method = 8, crc }) => {
+        const stored = method === 8 ? zlib.deflateRawSync(data) : data;
+        const fields = Buffer.alloc(26);
+        fields.writeUInt16LE(45, 0);
+        fields.writeUInt16LE(method, 4);
+        // A gzip trailer starts with the CRC-32 of the data
+        const gzip = zlib.gzipSync(data);
+        fields.writeUInt32LE(crc === undefined ? gzip.readUInt32LE(gzip.length - 8) : crc, 10);
+        fields.writeUInt32LE(stored.length, 14);
+        fields.writeUInt32LE(data.length, 18);
+        fields.writeUInt16LE(name.length, 22);
+        // A ZIP64 extra field in the local header only, as force_zip64 writes
+        const extra = Buffer.alloc(20);
+        extra.writeUInt16LE(1, 0);
+        extra.writeUInt16LE(16, 2);
+        fields.writeUInt16LE(extra.length, 24);
+        parts.push(Buffer.from([0x50, 0x4B, 0x03, 0x04]), fields, Buffer.from(name), extra, stored);
+
+        const entry = Buffer.alloc(46 + name.length);
+        entry.writeUInt32LE(0x02014B50, 0);
+        fields.copy(entry, 6);
+        entry.writeUInt16LE(0, 30);
+        entry.writeUInt32LE(offset, 42);
+        entry.write(name, 46);
+        central.push(entry);
+        offset += 30 + name.length + extra.length + stored.length;
+    });
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return new Uint8Array(Buffer.concat([...parts, directory, end]));
+}
+
+describe('ExportUtils NumPy export', () => {
+    let files;
+    beforeEach(() => {
+        files = captureExports();
+    });
+    afterEach(() => {
+        ExportUtils.writer = null;
+    });
+
+    it('writes .npy files with 64-byte aligned headers', () => {
+        const tensor = tf.tensor([[1, 2, 3], [4, 5, 6]], null, 'int32');
+        const bytes = ExportUtils.encodeNpy(tensor);
+        const header = new TextDecoder().decode(bytes.subarray(10, 128));
+        assert.deepEqual(Array.from(bytes.subarray(0, 10)), [0x93, 78, 85, 77, 80, 89, 1, 0, 118, 0]);
+        assert.match(header, /^\{'descr': '<i4', 'fortran_order': False, 'shape': \(2, 3\), \} +\n$/);
+        assert.deepEqual(Array.from(new Int32Array(bytes.buffer.slice(128))), [1, 2, 3, 4, 5, 6]);
+        tensor.dispose();
+    });
+
+    it('round-trips shape and dtype through .npy', () => {
+        const tensors = [
+            tf.tensor([0.1, -2.5, 3e30]),
+            tf.tensor([[1, 2]], null, 'int32'),
+            tf.tensor([[[true]], [[false]]]),
+            tf.scalar(-7, 'int32'),
+            tf.zeros([0, 3])
+        ];
+        tensors.forEach(tensor => {
+            const parsed = ExportUtils.parseNpy(ExportUtils.encodeNpy(tensor));
+            assert.equal(parsed.dtype, tensor.dtype);
+            assert.deepEqual(parsed.shape, tensor.shape);
+            assert.deepEqual(parsed.dataSync(), tensor.dataSync());
+            parsed.dispose();
+        });
+        TensorUtils.safeDispose(...tensors);
+    });
+
+    it('writes one-dimensional shapes with a trailing comma', () => {
+        const tensor = tf.tensor([1, 2]);
+        assert.match(new TextDecoder().decode(ExportUtils.encodeNpy(tensor)), /'shape': \(2,\)/);
+        tensor.dispose();
+    });
+
+    it('rejects dtypes NumPy files cannot hold here', () => {
+        const tensor = tf.complex([1], [2]);
+        assert.throws(() => ExportUtils.encodeNpy(tensor), /Cannot save complex64 tensors as \.npy \(supported: float32, int32, bool\)/);
+        tensor.dispose();
+    });
+
+    it('exports .npy and .npz files through the writer', () => {
+        const tensor = tf.tensor([1, 2]);
+        assert.equal(ExportUtils.exportTensorNpy(tensor), 'saved:tensor-data.npy');
+        assert.equal(ExportUtils.exportTensorsNpz({ tensor }, 'pair.npz'), 'saved:pair.npz');
+        assert.deepEqual(files.map(file => [file.filename, file.mimeType]),
+            [['tensor-data.npy', 'application/octet-stream'], ['pair.npz', 'application/zip']]);
+        assert.deepEqual(files[0].content, ExportUtils.encodeNpy(tensor));
+        tensor.dispose();
+        assert.throws(() => ExportUtils.encodeNpz({}), /No tensors to save/);
+    });
+
+    it('round-trips .npz archives', async () => {
+        const weights = tf.tensor([[0.5, 1.5], [2.5, 3.5]]);
+        const labels = tf.tensor([3, 1, 2], null, 'int32');
+        const mask = tf.tensor([true, false, true]);
+        const archive = ExportUtils.encodeNpz({ weights, labels, mask });
+        const parsed = await ExportUtils.parseNpz(archive.buffer);
+
+        assert.deepEqual(Object.keys(parsed), ['weights', 'labels', 'mask']);
+        assert.deepEqual(parsed.weights.arraySync(), [[0.5, 1.5], [2.5, 3.5]]);
+        assert.equal(parsed.labels.dtype, 'int32');
+        assert.deepEqual(parsed.mask.arraySync(), [1, 0, 1]);
+        TensorUtils.safeDispose(weights, labels, mask, ...Object.values(parsed));
+    });
+});
+
+describe('ExportUtils.parseNpz', () => {
+    const floats = npy('<f8', [2], 16, (view, offset) => {
+        view.setFloat64(offset, 1.25, true);
+        view.setFloat64(offset + 8, -2, true);
+    });
+    const ints = npy('<i8', [1], 8, (view, offset) => view.setBigInt64(offset, 9n, true));
+
+    it('reads compressed archives with ZIP64 local headers', async () => {
+        const parsed = await ExportUtils.parseNpz(zip([
+            { name: 'x.npy', data: floats },
+            { name: 'y.npy', data: ints, method: 0 }
+        ]));
+        assert.deepEqual(parsed.x.arraySync(), [1.25, -2]);
+        assert.deepEqual(parsed.y.arraySync(), [9]);
+        TensorUtils.safeDispose(...Object.values(parsed));
+    });
+
+    it('rejects invalid archives without leaking tensors', async () => {
+        const before = tf.memory().numTensors;
+        await assert.rejects(ExportUtils.parseNpz(new Uint8Array(10)), /Not a \.npz file/);
+        await assert.rejects(ExportUtils.parseNpz(zip([{ name: 'x.npy', data: floats }, { name: 'y.npy', data: floats, crc: 1 }])),
+            /"y\.npy" is corrupt \(checksum mismatch\)/);
+        await assert.rejects(ExportUtils.parseNpz(zip([{ name: 'x.npy', data: floats }, { name: 'y.npy', data: floats, method: 12 }])),
+            /"y\.npy" uses unsupported compression method 12/);
+        await assert.rejects(ExportUtils.parseNpz(zip([{ name: 'x.npy', data: floats }, { name: 'y.npy', data: floats.subarray(0, 140) }])),
+            /"y\.npy": Truncated \.npy data/);
+        assert.equal(tf.memory().numTensors, before);
+    });
+});
+
+describe('ExportUtils downloads', () => {
+    afterEach(() => {
+        removeDom();
+        delete globalThis.FileReader;
+    });
+
+    it('downloads through a temporary link when there is no writer', () => {
+        const { document, created } = installDom();
+        assert.equal(ExportUtils.saveFile('a,b', 'table.csv', 'text/csv'), 'table.csv');
+        const [link] = created;
+        assert.equal(link.tagName, 'A');
+        assert.equal(link.download, 'table.csv');
+        assert.match(link.href, /^blob:/);
+        assert.equal(link.clicks, 1);
+        assert.equal(document.body.children.length, 0);
+    });
+
+    it('needs a writer without a DOM', () => {
+        assert.throws(() => ExportUtils.exportJSON({}, 'x.json'),
+            /Cannot download "x\.json" without a DOM; set ExportUtils\.writer instead/);
+    });
+
+    it('exports chart images from the chart canvas', () => {
+        const { created } = installDom();
+        let requested;
+        const chart = { canvas: { toDataURL: type => { requested = type; return 'data:image/jpeg;base64,AAAA'; } } };
+        ExportUtils.exportChartImage(chart, 'chart.jpg', 'jpeg');
+        assert.equal(requested, 'image/jpeg');
+        assert.equal(created[0].href, 'data:image/jpeg;base64,AAAA');
+        assert.equal(created[0].download, 'chart.jpg');
+        assert.equal(created[0].clicks, 1);
+    });
+
+    it('reads JSON files and reports invalid ones', async () => {
+        globalThis.FileReader = class {
+            readAsText(file) {
+                file.text().then(text => {
+                    this.result = text;
+                    this.onload();
+                }, () => this.onerror());
+            }
+        };
+        assert.deepEqual(await ExportUtils.readJSONFile(new File(['{"a": 1}'], 'ok.json')), { a: 1 });
+        await assert.rejects(ExportUtils.readJSONFile(new File(['{'], 'bad.json')), /"bad\.json" is not valid JSON/);
+        const unreadable = { name: 'gone.json', text: () => Promise.reject(new Error('gone')) };
+        await assert.rejects(ExportUtils.readJSONFile(unreadable), /Could not read "gone\.json"/);
+    });
+});
@@ -0,0 +1,296 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { tf, installDom, removeDom, stubElement } from './setup.js';
+import { TensorUtils } from '../../js/core/tensor-utils.js';
+import { PerformanceMonitor } from '../../js/utils/performance-monitor.js';
+
+describe('PerformanceMonitor summaries', () => {
+    it('summarizes no metrics as zeros', () => {
+        assert.deepEqual(PerformanceMonitor.summarizeMetrics([]), {
+            totalOperations: 0,
+            averageExecutionTime: 0,
+            totalMemoryUsed: 0,
+            peakMemoryUsage: 0
+        });
+    });
+
+    it('summarizes recorded metrics', () => {
+        const monitor = new PerformanceMonitor();
+        monitor.recordMetric('add', 2, 0, 100);
+        monitor.recordMetric('mul', 4, 100, 80, { kernels: [] });
+        const summary = monitor.getSummary();
+        assert.equal(summary.totalOperations, 2);
+        assert.equal(summary.averageExecutionTime, 3);
+        assert.equal(summary.totalMemoryUsed, 80);
+        assert.equal(summary.peakMemoryUsage, 100);
+        assert.deepEqual(summary.operations.map(({ operation, memoryDelta }) => [operation, memoryDelta]),
+            [['add', 100], ['mul', -20]]);
+    });
+
+    it('groups kernels by name, slowest first', () => {
+        const kernels = PerformanceMonitor.summarizeKernels([
+            { name: 'Add', kernelTimeMs: 1, bytesAdded: 4 },
+            { name: 'MatMul', kernelTimeMs: 3, bytesAdded: 16 },
+            { name: 'Add', kernelTimeMs: 0.5, bytesAdded: 4 },
+            { name: 'Reshape', kernelTimeMs: { error: 'no timer' }, bytesAdded: 0 },
+            { name: 'Cast', kernelTimeMs: { error: 'no timer' }, bytesAdded: 0 },
+            { name: 'Cast', kernelTimeMs: { error: 'no timer' }, bytesAdded: 0 }
+        ]);
+        assert.deepEqual(kernels, [
+            { name: 'MatMul', count: 1, timeMs: 3, bytesAdded: 16 },
+            { name: 'Add', count: 2, timeMs: 1.5, bytesAdded: 8 },
+            { name: 'Cast', count: 2, timeMs: 0, bytesAdded: 0 },
+            { name: 'Reshape', count: 1, timeMs: 0, bytesAdded: 0 }
+        ]);
+    });
+
+    it('keeps the latest metrics and tells listeners about every one', () => {
+        const monitor = new PerformanceMonitor();
+        monitor.maxMetrics = 2;
+        const seen = [];
+        const stop = monitor.onMetric(metric => seen.push(metric.operation));
+        ['a', 'b', 'c'].forEach(name => monitor.recordMetric(name, 1, 0, 0));
+        stop();
+        monitor.recordMetric('d', 1, 0, 0);
+        assert.deepEqual(seen, ['a', 'b', 'c']);
+        assert.deepEqual(monitor.metrics.map(metric => metric.operation), ['c', 'd']);
+    });
+
+    it('collects performance data for export', () => {
+        const monitor = new PerformanceMonitor();
+        monitor.recordMetric('add', 1, 0, 8, { peakBytes: 8 });
+        const data = monitor.getPerformanceData();
+        assert.deepEqual(Object.keys(data), ['summary', 'metrics', 'memoryHistory', 'memoryBudget', 'exportTimestamp']);
+        assert.equal(data.memoryBudget.source, 'default');
+        assert.equal(JSON.parse(monitor.exportData()).metrics[0].peakBytes, 8);
+
+        monitor.clear();
+        assert.equal(monitor.metrics.length, 0);
+        assert.equal(monitor.memoryHistory.length, 1);
+    });
+});
+
+describe('PerformanceMonitor instrumentation', () => {
+    it('profiles an operation and returns its result', async () => {
+        const monitor = new PerformanceMonitor();
+        const a = tf.ones([2, 2]);
+        const result = await monitor.instrument('matMul', () => tf.matMul(a, a));
+        assert.deepEqual(result.arraySync(), [[2, 2], [2, 2]]);
+
+        const [metric] = monitor.metrics;
+        assert.equal(metric.operation, 'matMul');
+        assert.equal(metric.newTensors, 1);
+        assert.deepEqual(metric.kernels.map(kernel => kernel.name), ['BatchMatMul']);
+        assert.equal(metric.memoryDelta, 16);
+        TensorUtils.safeDispose(a, result);
+    });
+
+    it('counts nested operations towards the outer one', async () => {
+        const monitor = new PerformanceMonitor();
+        await monitor.instrument('outer', async () => {
+            const inner = await monitor.instrument('inner', () => 42);
+            assert.equal(inner, 42);
+        });
+        assert.deepEqual(monitor.metrics.map(metric => metric.operation), ['outer']);
+    });
+
+    it('records failed runs and switches profiling off again', async () => {
+        const monitor = new PerformanceMonitor();
+        const a = tf.ones([2]);
+        await assert.rejects(monitor.instrument('broken', () => {
+            tf.add(a, a).dispose();
+            throw new Error('boom');
+        }), /boom/);
+        assert.equal(monitor.activeOperation, null);
+        assert.equal(tf.engine().state.profiling, false);
+
+        const [metric] = monitor.metrics;
+        assert.equal(metric.operation, 'broken');
+        assert.equal(metric.error, 'boom');
+        assert.deepEqual(metric.kernels.map(kernel => kernel.name), ['Add']);
+
+        // Kernels outside instrument are no longer collected into the failed profile
+        const kernels = tf.engine().state.activeProfile.kernels.length;
+        tf.add(a, a).dispose();
+        assert.equal(tf.engine().state.activeProfile.kernels.length, kernels);
+
+        await assert.rejects(monitor.instrument('async', async () => {
+            throw new Error('later');
+        }), /later/);
+        assert.equal(monitor.metrics[1].error, 'later');
+        a.dispose();
+    });
+
+    it('instruments methods of an object', async () => {
+        const monitor = new PerformanceMonitor();
+        const demo = {
+            factor: 3,
+            scale(value) {
+                return value * this.factor;
+            }
+        };
+        monitor.instrumentMethods(demo, ['scale'], (name, args) => `${name}(${args.join(', ')})`);
+        assert.equal(await demo.scale(2), 6);
+        assert.equal(monitor.metrics[0].operation, 'scale(2)');
+    });
+
+    it('reports errors of instrumented methods instead of rejecting', async () => {
+        const monitor = new PerformanceMonitor();
+        const reported = [];
+        const demo = {
+            load(name) {
+                throw new Error(`Unknown sample "${name}"`);
+            }
+        };
+        monitor.instrumentMethods(demo, ['load'], name => name, (error, name, args) => {
+            reported.push([error.message, name, args]);
+            return 'reported';
+        });
+        assert.equal(await demo.load('x'), 'reported');
+        assert.deepEqual(reported, [['Unknown sample "x"', 'load', ['x']]]);
+        assert.equal(monitor.metrics[0].error, 'Unknown sample "x"');
+    });
+});
+
+describe('PerformanceMonitor headless', () => {
+    afterEach(() => TensorUtils.memory.resetBudget());
+
+    it('starts and stops without a DOM', () => {
+        const monitor = new PerformanceMonitor();
+        monitor.start();
+        monitor.start();
+        assert.equal(monitor.isMonitoring, true);
+        assert.equal(monitor.updateInterval.hasRef(), false);
+        monitor.stop();
+        monitor.stop();
+        assert.equal(monitor.isMonitoring, false);
+        assert.equal(monitor.updateInterval, null);
+    });
+
+    it('samples memory without a DOM, keeping the latest samples', () => {
+        const monitor = new PerformanceMonitor();
+        monitor.maxHistory = 2;
+        [1, 2, 3].forEach(() => monitor.updateDisplay());
+        assert.equal(monitor.memoryHistory.length, 2);
+        assert.equal(monitor.memoryHistory[1].numTensors, tf.memory().numTensors);
+    });
+
+    it('alerts once per level and re-arms when usage drops', t => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const error = t.mock.method(console, 'error', () => {});
+        const monitor = new PerformanceMonitor();
+        const budget = { limitBytes: 100, warning: 0.6, critical: 0.8 };
+        const usage = numBytes => ({ numBytes, numTensors: 1 });
+
+        monitor.checkMemoryAlert('warning', usage(70), budget);
+        monitor.checkMemoryAlert('warning', usage(75), budget);
+        monitor.checkMemoryAlert('critical', usage(90), budget);
+        monitor.checkMemoryAlert('normal', usage(10), budget);
+        monitor.checkMemoryAlert('warning', usage(70), budget);
+
+        assert.equal(warn.mock.callCount(), 2);
+        assert.equal(error.mock.callCount(), 1);
+        assert.match(error.mock.calls[0].arguments[0], /^Memory usage critical: .* is 90% of the 0 MB budget \(1 tensors\)$/);
+    });
+
+    it('alerts from updateDisplay when usage crosses the budget', t => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const monitor = new PerformanceMonitor();
+        const tensor = tf.zeros([1024]);
+        monitor.setBudget({ limitBytes: tf.memory().numBytes / 0.7 });
+        assert.equal(monitor.alertLevel, 'warning');
+        assert.equal(warn.mock.callCount(), 1);
+        tensor.dispose();
+    });
+});
+
+describe('PerformanceMonitor display', () => {
+    let elements;
+    let dom;
+    beforeEach(() => {
+        elements = {
+            'memory-usage': stubElement(),
+            'memory-budget': stubElement(),
+            'active-backend': stubElement(),
+            'execution-time': stubElement(),
+            'kernel-breakdown': stubElement(),
+            'memory-chart': stubElement()
+        };
+        dom = installDom(elements);
+    });
+    afterEach(() => {
+        removeDom();
+        delete globalThis.Chart;
+        delete globalThis.window;
+        TensorUtils.memory.resetBudget();
+    });
+
+    it('shows usage, backend, average time and kernels', () => {
+        const monitor = new PerformanceMonitor();
+        monitor.recordMetric('add', 1, 0, 0);
+        monitor.recordMetric('matMul', 3, 0, 0, { kernels: [{ name: 'BatchMatMul', count: 1, timeMs: 0.5 }] });
+        monitor.updateDisplay();
+
+        assert.match(elements['memory-usage'].textContent, /^[\d.]+ KB of 100 MB \([\d.]+%\), \d+ tensors$/);
+        assert.equal(elements['memory-usage'].className, 'small text-success');
+        assert.equal(elements['memory-budget'].placeholder, '100 (default)');
+        assert.equal(elements['active-backend'].textContent, 'cpu');
+        assert.equal(elements['execution-time'].textContent, '2.00ms');
+        assert.equal(elements['kernel-breakdown'].textContent, 'matMul: BatchMatMul x1 (0.50ms)');
+
+        monitor.recordMetric('empty', 1, 0, 0, { kernels: [] });
+        monitor.updateDisplay();
+        assert.equal(elements['kernel-breakdown'].textContent, 'empty: no kernels');
+    });
+
+    it('shows alerts as toasts and dispatches memoryalert events', t => {
+        t.mock.method(console, 'error', () => {});
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const events = [];
+        globalThis.window = { dispatchEvent: event => events.push(event) };
+
+        const monitor = new PerformanceMonitor();
+        monitor.checkMemoryAlert('critical', { numBytes: 90, numTensors: 2 }, { limitBytes: 100, warning: 0.6, critical: 0.8 });
+
+        assert.equal(events[0].type, 'memoryalert');
+        assert.equal(events[0].detail.level, 'critical');
+        assert.equal(events[0].detail.percentage, 90);
+        const [container, toast] = dom.created;
+        assert.equal(container.id, 'memory-alerts');
+        assert.deepEqual(container.children, [toast]);
+        assert.equal(toast.className, 'alert alert-danger shadow-sm mb-2');
+        t.mock.timers.tick(8000);
+        assert.equal(toast.removed, true);
+    });
+
+    it('draws the memory history with threshold lines once usage gets close', () => {
+        const charts = [];
+        globalThis.Chart = class {
+            constructor(canvas, config) {
+                this.data = config.data;
+                this.updates = 0;
+                charts.push(this);
+            }
+            update() {
+                this.updates++;
+            }
+        };
+        const monitor = new PerformanceMonitor();
+        const tensor = tf.zeros([256]);
+        monitor.updateDisplay();
+        monitor.updateDisplay();
+
+        const [chart] = charts;
+        const [bytes, tensors, warning, critical] = chart.data.datasets;
+        assert.equal(charts.length, 1);
+        assert.equal(chart.updates, 2);
+        assert.equal(bytes.data.length, 2);
+        assert.equal(tensors.data[1], tf.memory().numTensors);
+        assert.deepEqual(warning.data, []);
+
+        monitor.setBudget({ limitBytes: tf.memory().numBytes * 2 });
+        assert.equal(warning.data.length, 3);
+        assert.equal(critical.data.length, 3);
+        tensor.dispose();
+    });
+});
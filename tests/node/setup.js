@@ -0,0 +1,105 @@
+/**
+ * Node test setup
+ * Runs the core modules against the locally installed @tensorflow/tfjs on
+ * the CPU backend, with network access disabled and a minimal DOM stub
+ * for the parts that render to or download from the page.
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { setTensorFlow } from '../../js/core/tensorflow.js';
+
+setTensorFlow(tf);
+await tf.setBackend('cpu');
+
+// Everything the utilities need is local; a request means a test is wrong
+globalThis.fetch = async url => {
+    throw new Error(`Network access is disabled in tests (requested ${url})`);
+};
+
+/**
+ * Minimal element: records attributes, children and clicks
+ * @param {string} tagName - Tag name
+ * @returns {Object} Element stub
+ */
+function createElement(tagName) {
+    return {
+        tagName: tagName.toUpperCase(),
+        attributes: {},
+        children: [],
+        style: {},
+        clicks: 0,
+        removed: false,
+        setAttribute(name, value) {
+            this.attributes[name] = String(value);
+        },
+        appendChild(child) {
+            this.children.push(child);
+            return child;
+        },
+        removeChild(child) {
+            this.children = this.children.filter(item => item !== child);
+            return child;
+        },
+        remove() {
+            this.removed = true;
+        },
+        click() {
+            this.clicks++;
+        }
+    };
+}
+
+/**
+ * Install a DOM stub as globalThis.document
+ * @param {Object} elements - Elements returned by getElementById, keyed by id
+ * @returns {Object} { document, elements, created }: created lists every createElement result
+ */
+export function installDom(elements = {}) {
+    const created = [];
+    const document = {
+        body: createElement('body'),
+        getElementById: id => elements[id] || null,
+        createElement: tagName => {
+            const element = createElement(tagName);
+            created.push(element);
+            return element;
+        }
+    };
+    globalThis.document = document;
+    return { document, elements, created };
+}
+
+/**
+ * Remove the DOM stub again
+ */
+export function removeDom() {
+    delete globalThis.document;
+}
+
+/**
+ * Element stub for getElementById
+ * @returns {Object} Element with textContent, className, value and placeholder
+ */
+export function stubElement() {
+    return { ...createElement('div'), textContent: '', className: '', value: '', placeholder: '' };
+}
+
+/**
+ * In-memory replacement for localStorage
+ * @returns {Object} Storage with getItem, setItem, removeItem and its entries in `items`
+ */
+export function memoryStorage() {
+    const items = {};
+    return {
+        items,
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => {
+            items[key] = String(value);
+        },
+        removeItem: key => {
+            delete items[key];
+        }
+    };
+}
+
+export { tf };
@@ -0,0 +1,634 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { tf, memoryStorage } from './setup.js';
+import { TensorUtils } from '../../js/core/tensor-utils.js';
+import { setTensorFlow } from '../../js/core/tensorflow.js';
+
+describe('setTensorFlow', () => {
+    it('rejects anything but the TensorFlow.js namespace', () => {
+        assert.throws(() => setTensorFlow({}), /setTensorFlow expects the TensorFlow.js namespace/);
+        assert.throws(() => setTensorFlow(null), /TensorFlow.js namespace/);
+    });
+});
+
+describe('TensorUtils.createTensorFromInput', () => {
+    it('creates tensors from JSON', () => {
+        const vector = TensorUtils.createTensorFromInput('[1, 2, 3, 4]');
+        const matrix = TensorUtils.createTensorFromInput('[[1, 2], [3, 4]]');
+        assert.deepEqual(vector.shape, [4]);
+        assert.deepEqual(matrix.shape, [2, 2]);
+        assert.deepEqual(matrix.arraySync(), [[1, 2], [3, 4]]);
+        TensorUtils.safeDispose(vector, matrix);
+    });
+
+    it('creates tensors of a given shape', () => {
+        const tensor = TensorUtils.createTensorFromInput('[1, 2, 3, 4, 5, 6]', ' 2, 3 ');
+        assert.deepEqual(tensor.shape, [2, 3]);
+        tensor.dispose();
+    });
+
+    it('creates scalars and booleans', () => {
+        const scalar = TensorUtils.createTensorFromInput('7');
+        const flags = TensorUtils.createTensorFromInput('[true, false]');
+        assert.equal(scalar.rank, 0);
+        assert.equal(flags.dtype, 'bool');
+        TensorUtils.safeDispose(scalar, flags);
+    });
+
+    it('uses the requested dtype', () => {
+        const ints = TensorUtils.createTensorFromInput('[[1, 2], [3, 4]]', null, 'int32');
+        const flags = TensorUtils.createTensorFromInput('[1, 0, 2]', '3', 'bool');
+        assert.equal(ints.dtype, 'int32');
+        assert.deepEqual(ints.shape, [2, 2]);
+        assert.deepEqual(flags.arraySync(), [1, 0, 1]);
+        TensorUtils.safeDispose(ints, flags);
+        assert.throws(() => TensorUtils.createTensorFromInput('[1]', null, 'float16'), /Invalid tensor input: Unknown data type float16/);
+    });
+
+    it('shares its tensor creation with the file importers', () => {
+        const fromArray = TensorUtils.createTensor([1, 2, 3, 4], [2, 2], 'int32');
+        const fromSpec = TensorUtils.createTensor([NaN, 1], '2');
+        assert.deepEqual(fromArray.arraySync(), [[1, 2], [3, 4]]);
+        assert.equal(fromArray.dtype, 'int32');
+        assert.ok(Number.isNaN(fromSpec.dataSync()[0]));
+        TensorUtils.safeDispose(fromArray, fromSpec);
+    });
+
+    it('rejects invalid JSON', () => {
+        assert.throws(() => TensorUtils.createTensorFromInput('[1, 2'), /^Error: Invalid tensor input: /);
+        assert.throws(() => TensorUtils.createTensorFromInput(''), /Invalid tensor input/);
+    });
+
+    it('rejects values that are not arrays or scalars', () => {
+        assert.throws(() => TensorUtils.createTensorFromInput('{"a": 1}'), /Invalid tensor input: values passed to tensor/);
+        assert.throws(() => TensorUtils.createTensorFromInput('null'), /Invalid tensor input/);
+    });
+
+    it('rejects invalid shapes', () => {
+        assert.throws(() => TensorUtils.createTensorFromInput('[1, 2, 3]', '2,x'),
+            /Invalid tensor input: Invalid shape "2,x"/);
+        assert.throws(() => TensorUtils.createTensorFromInput('[1, 2, 3]', '2,2'), /Invalid tensor input/);
+    });
+
+    it('does not leave tensors behind when it fails', () => {
+        const before = tf.memory().numTensors;
+        assert.throws(() => TensorUtils.createTensorFromInput('[1, 2, 3]', '2,2'));
+        assert.equal(tf.memory().numTensors, before);
+    });
+});
+
+describe('TensorUtils shape and info helpers', () => {
+    it('parses shapes', () => {
+        assert.deepEqual(TensorUtils.parseShape('2,2'), [2, 2]);
+        assert.deepEqual(TensorUtils.parseShape(' -1 , 4 '), [-1, 4]);
+        assert.deepEqual(TensorUtils.parseShape(5), [5]);
+        assert.throws(() => TensorUtils.parseShape('a'), /Invalid shape "a"/);
+        assert.throws(() => TensorUtils.parseShape('2,,3'), /Invalid shape/);
+    });
+
+    it('describes tensors', () => {
+        const tensor = tf.zeros([2, 3], 'int32');
+        assert.equal(TensorUtils.getTensorInfo(tensor), 'Shape: [2, 3]\nDtype: int32\nSize: 6\nRank: 2');
+        tensor.dispose();
+    });
+
+    it('disposes tensors safely', () => {
+        const a = tf.ones([2]);
+        const b = tf.ones([2]);
+        b.dispose();
+        TensorUtils.safeDispose(a, b, null, undefined);
+        assert.ok(a.isDisposed);
+    });
+
+    it('computes broadcast shapes', () => {
+        assert.deepEqual(TensorUtils.broadcastShape([2, 3], [3]), [2, 3]);
+        assert.deepEqual(TensorUtils.broadcastShape([4, 1], [1, 5]), [4, 5]);
+        assert.deepEqual(TensorUtils.broadcastShape([], [2]), [2]);
+        assert.equal(TensorUtils.broadcastShape([2, 3], [4]), null);
+    });
+
+    it('unravels flat indices', () => {
+        assert.deepEqual(TensorUtils.unravelIndex(0, [2, 3]), [0, 0]);
+        assert.deepEqual(TensorUtils.unravelIndex(5, [2, 3]), [1, 2]);
+        assert.deepEqual(TensorUtils.unravelIndex(7, [2, 2, 2]), [1, 1, 1]);
+    });
+});
+
+describe('TensorUtils random tensors', () => {
+    afterEach(() => TensorUtils.random.setSeed(null));
+
+    it('samples every distribution with the requested shape', () => {
+        Object.entries(TensorUtils.distributions).forEach(([name, spec]) => {
+            const tensor = TensorUtils.createRandomTensor([4, 5], name, 0, 1, { seed: 1 });
+            assert.deepEqual(tensor.shape, [4, 5], name);
+            assert.equal(tensor.dtype, spec.discrete ? 'int32' : 'float32', name);
+            tensor.dispose();
+        });
+    });
+
+    it('falls back to the normal distribution for unknown names', () => {
+        const a = TensorUtils.createRandomTensor([10], 'nope', 0, 1, { seed: 3 });
+        const b = TensorUtils.createRandomTensor([10], 'normal', 0, 1, { seed: 3 });
+        assert.deepEqual(a.arraySync(), b.arraySync());
+        TensorUtils.safeDispose(a, b);
+    });
+
+    it('keeps uniform samples within bounds', () => {
+        const tensor = TensorUtils.createRandomTensor([1000], 'uniform', -2, 3, { seed: 7 });
+        const values = tensor.dataSync();
+        assert.ok(values.every(value => value >= -2 && value < 3));
+        tensor.dispose();
+    });
+
+    it('keeps discrete samples within their outcomes', () => {
+        const params = { probs: [1, 0, 3], seed: 5 };
+        const categories = TensorUtils.createRandomTensor([500], 'categorical', 0, 1, params);
+        const bernoulli = TensorUtils.createRandomTensor([500], 'bernoulli', 0, 1, { p: 0.3, seed: 5 });
+        assert.ok(categories.dataSync().every(k => k === 0 || k === 2));
+        assert.ok(bernoulli.dataSync().every(k => k === 0 || k === 1));
+        TensorUtils.safeDispose(categories, bernoulli);
+    });
+
+    it('merges distribution parameters with their defaults', () => {
+        const params = TensorUtils.distributionParams('normal', 0, 1, { mean: 2, stdDev: undefined });
+        assert.equal(params.mean, 2);
+        assert.equal(params.stdDev, 1);
+        assert.equal(TensorUtils.distributionParams('random', 5, 9).max, 1);
+        assert.throws(() => TensorUtils.distributionParams('normal', 0, 1, { seed: 1.5 }),
+            /Seed must be an integer, got 1.5/);
+    });
+
+    it('describes the theoretical distributions', () => {
+        const { normal, uniform, random, truncatedNormal, gamma, bernoulli, categorical } = TensorUtils.distributions;
+        const params = name => TensorUtils.distributionParams(name, 2, 6, { probs: [1, 1, 2] });
+        assert.equal(uniform.mean(params('uniform')), 4);
+        assert.equal(uniform.density(3, params('uniform')), 0.25);
+        assert.equal(uniform.density(7, params('uniform')), 0);
+        assert.equal(random.mean(), 0.5);
+        assert.equal(random.density(2), 0);
+        assert.ok(Math.abs(normal.density(0, params('normal')) - 1 / Math.sqrt(2 * Math.PI)) < 1e-12);
+        assert.equal(truncatedNormal.density(3, params('truncatedNormal')), 0);
+        assert.ok(truncatedNormal.variance(params('truncatedNormal')) < 1);
+        assert.equal(gamma.density(-1, params('gamma')), 0);
+        assert.ok(Math.abs(gamma.density(1, params('gamma')) - Math.exp(-1)) < 1e-9);
+        assert.equal(bernoulli.density(1, params('bernoulli')), 0.5);
+        assert.equal(bernoulli.density(2, params('bernoulli')), 0);
+        assert.equal(bernoulli.outcomes(), 2);
+        assert.equal(categorical.outcomes(params('categorical')), 3);
+        assert.equal(categorical.density(2, params('categorical')), 0.5);
+        assert.equal(categorical.mean(params('categorical')), 1.25);
+        assert.equal(categorical.variance(params('categorical')), 0.6875);
+    });
+
+    it('normalizes category probabilities', () => {
+        assert.deepEqual(TensorUtils.normalizeProbs([1, 3]), [0.25, 0.75]);
+        assert.throws(() => TensorUtils.normalizeProbs([0, 0]), /non-negative and not all zero/);
+        assert.throws(() => TensorUtils.normalizeProbs([2, -1]), /non-negative/);
+    });
+
+    it('computes log-gamma', () => {
+        assert.ok(Math.abs(TensorUtils.logGamma(5) - Math.log(24)) < 1e-10);
+        assert.ok(Math.abs(TensorUtils.logGamma(0.5) - Math.log(Math.sqrt(Math.PI))) < 1e-10);
+        assert.ok(Math.abs(TensorUtils.logGamma(0.25) - 1.2880225246980774) < 1e-10);
+    });
+
+    it('repeats the same samples for the same global seed', () => {
+        TensorUtils.random.setSeed(42);
+        const first = [TensorUtils.random.normal([5]), TensorUtils.createRandomTensor([5], 'uniform')];
+        TensorUtils.random.reset();
+        const second = [TensorUtils.random.normal([5]), TensorUtils.createRandomTensor([5], 'uniform')];
+        first.forEach((tensor, i) => assert.deepEqual(tensor.arraySync(), second[i].arraySync()));
+        TensorUtils.safeDispose(...first, ...second);
+    });
+
+    it('hands out consecutive seeds', () => {
+        assert.equal(TensorUtils.random.nextSeed(), undefined);
+        TensorUtils.random.setSeed(10);
+        assert.equal(TensorUtils.random.nextSeed(), 10);
+        assert.equal(TensorUtils.random.nextSeed(), 11);
+        TensorUtils.random.reset();
+        assert.equal(TensorUtils.random.nextSeed(), 10);
+        assert.throws(() => TensorUtils.random.setSeed('x'), /Seed must be an integer/);
+        TensorUtils.random.setSeed(undefined);
+        assert.equal(TensorUtils.random.seed, null);
+    });
+
+    it('samples seeded uniform values within bounds', () => {
+        TensorUtils.random.setSeed(1);
+        const tensor = TensorUtils.random.uniform([100], 2, 3);
+        assert.ok(tensor.dataSync().every(value => value >= 2 && value < 3));
+        tensor.dispose();
+    });
+});
+
+describe('TensorUtils.compareTensors', () => {
+    it('reports identical tensors as close', () => {
+        const a = tf.tensor([1, 2, 3]);
+        const result = TensorUtils.compareTensors(a, a);
+        assert.equal(result.comparable, true);
+        assert.equal(result.allClose, true);
+        assert.equal(result.meanSquaredError, 0);
+        assert.ok(Math.abs(result.cosineSimilarity - 1) < 1e-6);
+        a.dispose();
+    });
+
+    it('lists failing elements with their indices', () => {
+        const a = tf.tensor([[1, 2], [3, 4]]);
+        const b = tf.tensor([[1, 2.5], [3, 5]]);
+        const result = TensorUtils.compareTensors(a, b, { maxFailures: 1 });
+        assert.equal(result.allClose, false);
+        assert.equal(result.failureCount, 2);
+        assert.deepEqual(result.failures, [{ index: [0, 1], actual: 2, expected: 2.5, difference: 0.5 }]);
+        assert.equal(result.maxDifference, 1);
+        TensorUtils.safeDispose(a, b);
+    });
+
+    it('applies rtol and atol', () => {
+        const a = tf.tensor([100, 0]);
+        const b = tf.tensor([101, 0.001]);
+        assert.equal(TensorUtils.compareTensors(a, b).allClose, false);
+        assert.equal(TensorUtils.compareTensors(a, b, { rtol: 0.01, atol: 0.001 }).allClose, true);
+        TensorUtils.safeDispose(a, b);
+    });
+
+    it('broadcasts before comparing', () => {
+        const a = tf.tensor([[1, 1], [1, 1]]);
+        const b = tf.tensor([1]);
+        const result = TensorUtils.compareTensors(a, b);
+        assert.equal(result.shapesMatch, false);
+        assert.deepEqual(result.shape, [2, 2]);
+        assert.equal(result.allClose, true);
+        TensorUtils.safeDispose(a, b);
+    });
+
+    it('reports shapes that cannot be broadcast', () => {
+        const a = tf.ones([2, 3]);
+        const b = tf.ones([4]);
+        const result = TensorUtils.compareTensors(a, b);
+        assert.equal(result.comparable, false);
+        assert.match(result.message, /cannot be broadcast together/);
+        TensorUtils.safeDispose(a, b);
+    });
+
+    it('treats NaN as never close and zero vectors as undefined similarity', () => {
+        const a = tf.tensor([NaN, 0]);
+        const b = tf.tensor([NaN, 0]);
+        const zeros = tf.zeros([2]);
+        assert.equal(TensorUtils.compareTensors(a, b).allClose, false);
+        assert.ok(Number.isNaN(TensorUtils.compareTensors(zeros, zeros).cosineSimilarity));
+        TensorUtils.safeDispose(a, b, zeros);
+    });
+
+    it('describes comparisons in the results text format', () => {
+        const a = tf.tensor([[1, 2], [3, 4]]);
+        const b = tf.tensor([1, 2.5]);
+        const zeros = tf.zeros([3]);
+        const other = tf.zeros([2]);
+
+        assert.equal(TensorUtils.describeComparison(TensorUtils.compareTensors(a, b, { maxFailures: 1 })),
+            'Shapes differ; compared after broadcasting to [2, 2]\n\n' +
+            'MSE: 1.625000\nMAE: 1.000000\nMax Diff: 2.000000\nCosine Similarity: 0.910980\n\n' +
+            'allclose (rtol 0.00001, atol 1e-8): false\n' +
+            '3 element(s) outside tolerance (first 1 shown):\n' +
+            '  [0, 1]: A = 2, B = 2.5, |A - B| = 0.5');
+        assert.match(TensorUtils.describeComparison(TensorUtils.compareTensors(zeros, zeros)),
+            /Cosine Similarity: undefined \(a tensor is all zeros or contains NaN\)\n\nallclose \(rtol 0\.00001, atol 1e-8\): true$/);
+        assert.equal(TensorUtils.describeComparison(TensorUtils.compareTensors(zeros, other)),
+            'Cannot compare: Shapes [3] and [2] cannot be broadcast together');
+        TensorUtils.safeDispose(a, b, zeros, other);
+    });
+
+    it('does not leak tensors', () => {
+        const a = tf.tensor([1, 2]);
+        const b = tf.tensor([2, 1]);
+        const before = tf.memory().numTensors;
+        TensorUtils.compareTensors(a, b);
+        assert.equal(tf.memory().numTensors, before);
+        TensorUtils.safeDispose(a, b);
+    });
+});
+
+describe('TensorUtils chart data', () => {
+    it('turns vectors into line charts', () => {
+        const tensor = tf.tensor([3, 4]);
+        assert.deepEqual(TensorUtils.tensorToChartData(tensor), { labels: ['Index 0', 'Index 1'], data: [3, 4], type: 'line' });
+        tensor.dispose();
+    });
+
+    it('turns matrices into bar charts with a dataset per row', () => {
+        const tensor = tf.tensor([[1, 2], [3, 4]]);
+        const chart = TensorUtils.tensorToChartData(tensor);
+        assert.equal(chart.type, 'bar');
+        assert.deepEqual(chart.labels, ['Col 0', 'Col 1']);
+        assert.deepEqual(chart.datasets.map(dataset => dataset.data), [[1, 2], [3, 4]]);
+        tensor.dispose();
+    });
+
+    it('turns higher ranks into histograms', () => {
+        const tensor = tf.range(0, 8).reshape([2, 2, 2]);
+        const chart = TensorUtils.tensorToChartData(tensor);
+        assert.equal(chart.labels.length, 20);
+        assert.equal(chart.datasets[0].data.reduce((a, b) => a + b, 0), 8);
+        tensor.dispose();
+    });
+
+    it('counts values in equal-width bins, skipping non-finite values', () => {
+        const tensor = tf.tensor([0, 1, 2, 3, Infinity, NaN]);
+        const { edges, counts, min, max } = TensorUtils.histogram(tensor, 3);
+        assert.deepEqual(edges, [0, 1, 2, 3]);
+        assert.deepEqual(counts, [1, 1, 2]);
+        assert.equal(min, 0);
+        assert.equal(max, 3);
+        tensor.dispose();
+    });
+
+    it('handles constant and empty input', () => {
+        const constant = tf.fill([4], 5);
+        const empty = tf.tensor([NaN]);
+        assert.deepEqual(TensorUtils.histogram(constant, 2).counts, [4, 0]);
+        assert.deepEqual(TensorUtils.histogram(empty, 2), { edges: [0, 1, 2], counts: [0, 0], min: 0, max: 0 });
+        TensorUtils.safeDispose(constant, empty);
+    });
+});
+
+describe('TensorUtils.slice2D', () => {
+    it('extracts a slice along two axes', () => {
+        const tensor = tf.range(0, 24).reshape([2, 3, 4]);
+        assert.deepEqual(TensorUtils.slice2D(tensor, 1, 2, [1]).arraySync(),
+            [[12, 13, 14, 15], [16, 17, 18, 19], [20, 21, 22, 23]]);
+        assert.deepEqual(TensorUtils.slice2D(tensor, 2, 0, [0, 2]).shape, [4, 2]);
+        assert.deepEqual(TensorUtils.slice2D(tensor, 0, 1, [0, 0, 99]).arraySync(), [[3, 7, 11], [15, 19, 23]]);
+        tensor.dispose();
+    });
+
+    it('rejects invalid ranks and axes', () => {
+        const vector = tf.ones([3]);
+        const matrix = tf.ones([2, 2]);
+        assert.throws(() => TensorUtils.slice2D(vector, 0, 1), /rank 2 or more/);
+        assert.throws(() => TensorUtils.slice2D(matrix, 0, 0), /Invalid axes 0 and 0 for rank 2/);
+        assert.throws(() => TensorUtils.slice2D(matrix, 0, 2), /Invalid axes/);
+        TensorUtils.safeDispose(vector, matrix);
+    });
+});
+
+describe('TensorUtils.backends', () => {
+    it('lists cpu and reports the active backend', async () => {
+        assert.ok(TensorUtils.backends.available().includes('cpu'));
+        assert.equal(await TensorUtils.backends.active(), 'cpu');
+        assert.equal(await TensorUtils.backends.use('cpu'), 'cpu');
+    });
+
+    it('rejects backends that are not registered', async () => {
+        await assert.rejects(TensorUtils.backends.use('nope'), /Backend "nope" is not available/);
+    });
+});
+
+describe('TensorUtils.memory', () => {
+    const memory = TensorUtils.memory;
+
+    it('reports usage', () => {
+        assert.equal(memory.getUsage().numTensors, tf.memory().numTensors);
+        assert.ok(memory.getUsagePercentage() >= 0);
+    });
+
+    it('keeps returned, kept and variable tensors in withScope', () => {
+        let exit;
+        let kept;
+        let variable;
+        const result = memory.withScope(() => {
+            tf.ones([2]);
+            kept = tf.keep(tf.ones([3]));
+            variable = tf.variable(tf.zeros([1]));
+            return tf.ones([4]);
+        }, { name: 'test', onExit: report => { exit = report; } });
+
+        assert.equal(exit.name, 'test');
+        assert.deepEqual(exit.survivors.map(survivor => survivor.reason).sort(), ['kept', 'returned', 'variable']);
+        assert.equal(exit.disposed, exit.created - 3);
+        TensorUtils.safeDispose(result, kept, variable);
+    });
+
+    it('stops tracking when withScope throws', () => {
+        assert.throws(() => memory.withScope(() => {
+            throw new Error('boom');
+        }), /boom/);
+        assert.equal(memory.creationListeners.size, 0);
+    });
+
+    it('calls creation listeners until they are removed', () => {
+        const seen = [];
+        const stop = memory.onTensorCreated(tensor => seen.push(tensor.id));
+        const tensor = tf.ones([1]);
+        stop();
+        tf.ones([1]).dispose();
+        assert.deepEqual(seen, [tensor.id]);
+        assert.equal(memory.creationListeners.size, 0);
+        tensor.dispose();
+    });
+
+    it('rolls back to checkpoints, keeping tf.keep tensors', () => {
+        const before = tf.memory().numTensors;
+        memory.checkpoint('outer');
+        tf.ones([2]);
+        const kept = tf.keep(tf.ones([2]));
+        memory.checkpoint('inner');
+        tf.ones([2]);
+
+        const report = memory.rollback('outer');
+        assert.equal(report.disposed.length, 2);
+        assert.equal(report.kept.length, 1);
+        assert.equal(memory.checkpoints.length, 1);
+        assert.throws(() => memory.checkpointIndex('inner'), /Unknown checkpoint "inner"/);
+
+        memory.release('outer');
+        assert.equal(memory.checkpoints.length, 0);
+        kept.dispose();
+        assert.equal(tf.memory().numTensors, before);
+    });
+
+    it('validates checkpoint names', () => {
+        assert.throws(() => memory.checkpoint(''), /non-empty string/);
+        memory.checkpoint('twice');
+        assert.throws(() => memory.checkpoint('twice'), /Checkpoint "twice" already exists/);
+        memory.release('twice');
+    });
+
+    it('clears to the first checkpoint and disposes variables', () => {
+        assert.equal(memory.clear(), null);
+        memory.checkpoint('first');
+        tf.variable(tf.zeros([2]));
+        const leaked = tf.ones([2]);
+        const report = memory.clear();
+        assert.ok(leaked.isDisposed);
+        assert.equal(report.name, 'first');
+        assert.equal(memory.checkpoints.length, 0);
+    });
+
+    it('detects leaked tensors with the code that created them', async () => {
+        memory.checkpoint('leaks');
+        const report = await memory.detectLeaks(function createLeak() {
+            tf.ones([2]);
+            return tf.ones([3]);
+        });
+        assert.equal(report.passed, false);
+        assert.equal(report.leakedCount, 1);
+        assert.deepEqual(report.leaks[0].shape, [2]);
+        assert.match(report.leaks[0].createdAt, /createLeak/);
+        assert.match(memory.describeLeaks(report), /Leaked tensors: 1\n  #\d+ float32 \[2\] created at/);
+        memory.rollback('leaks');
+        memory.release('leaks');
+    });
+
+    it('passes clean functions and keeps their errors', async () => {
+        const clean = await memory.detectLeaks(() => tf.tidy(() => tf.ones([2]).add(1)));
+        assert.equal(clean.passed, true);
+        assert.match(memory.describeLeaks(clean), /No leaked tensors$/);
+        clean.result.dispose();
+
+        const failed = await memory.detectLeaks(async () => {
+            throw new Error('expected');
+        });
+        assert.equal(failed.error.message, 'expected');
+        assert.match(memory.describeLeaks(failed), /Function threw: expected/);
+    });
+
+    it('throws with failOnLeak', async () => {
+        let leaked;
+        await assert.rejects(memory.detectLeaks(() => {
+            leaked = tf.ones([1]);
+        }, { failOnLeak: true }), error => error.report.leakedCount === 1 && /1 tensor\(s\) leaked/.test(error.message));
+        leaked.dispose();
+    });
+
+    it('collects tensors one level deep', () => {
+        const a = tf.ones([1]);
+        const b = tf.ones([1]);
+        assert.deepEqual(memory.collectTensors(a), [a]);
+        assert.deepEqual(memory.collectTensors([a, 1, b]), [a, b]);
+        assert.deepEqual(memory.collectTensors({ a, nested: { b } }), [a]);
+        assert.deepEqual(memory.collectTensors(3), []);
+        TensorUtils.safeDispose(a, b);
+    });
+
+    it('captures stacks without its own frames', () => {
+        const stack = memory.captureStack(2);
+        assert.ok(stack.length <= 2);
+    });
+
+    it('describes tensors for reports', () => {
+        const tensor = tf.ones([2, 2], 'int32');
+        assert.deepEqual(memory.tensorSummary(tensor), { id: tensor.id, shape: [2, 2], dtype: 'int32', size: 4 });
+        tensor.dispose();
+    });
+});
+
+describe('TensorUtils.memory budget', () => {
+    const memory = TensorUtils.memory;
+    afterEach(() => {
+        delete globalThis.localStorage;
+        memory.resetBudget();
+    });
+
+    it('uses the default budget on the CPU backend', () => {
+        assert.deepEqual(memory.getBudget(), { ...memory.defaultBudget, source: 'default' });
+        assert.equal(memory.webglLimitBytes(), null);
+    });
+
+    it('uses the default budget when the WebGL flags cannot be read', () => {
+        const env = flags => () => ({
+            getNumber: name => {
+                if (!(name in flags)) throw new Error(`Cannot evaluate flag '${name}'`);
+                return flags[name];
+            },
+            getBool: name => Boolean(flags[name])
+        });
+        try {
+            setTensorFlow({ ...tf, getBackend: () => 'webgl', env: undefined });
+            assert.equal(memory.webglLimitBytes(), null);
+            assert.deepEqual(memory.getBudget(), { ...memory.defaultBudget, source: 'default' });
+
+            setTensorFlow({ ...tf, getBackend: () => 'webgl', env: env({}) });
+            assert.equal(memory.webglLimitBytes(), null);
+            assert.equal(memory.getBudget().source, 'default');
+
+            setTensorFlow({ ...tf, getBackend: () => 'webgl', env: env({ WEBGL_DELETE_TEXTURE_THRESHOLD: -1, WEBGL_MAX_TEXTURE_SIZE: 1024 }) });
+            assert.equal(memory.webglLimitBytes(), 1024 * 1024 * 4 * 2);
+            assert.equal(memory.getBudget().source, 'webgl');
+        } finally {
+            setTensorFlow(tf);
+        }
+    });
+
+    it('keeps a budget in memory without localStorage', () => {
+        const budget = memory.setBudget({ limitBytes: 1024, warning: 0.5 });
+        assert.equal(budget.source, 'saved');
+        assert.equal(budget.limitBytes, 1024);
+        assert.equal(memory.getBudget().warning, 0.5);
+        assert.equal(memory.setBudget({ limitBytes: null }).source, 'default');
+        assert.equal(memory.resetBudget().warning, memory.defaultBudget.warning);
+    });
+
+    it('saves the budget in localStorage and ignores unreadable entries', () => {
+        const storage = memoryStorage();
+        globalThis.localStorage = storage;
+        memory.setBudget({ limitBytes: 2048 });
+        assert.deepEqual(JSON.parse(storage.items[memory.budgetStorageKey]), { limitBytes: 2048 });
+        assert.equal(memory.getBudget().limitBytes, 2048);
+
+        storage.items[memory.budgetStorageKey] = 'not json{';
+        assert.deepEqual(memory.loadBudget(), {});
+        memory.resetBudget();
+        assert.equal(storage.items[memory.budgetStorageKey], undefined);
+    });
+
+    it('validates budgets', () => {
+        assert.throws(() => memory.setBudget({ limitBytes: -1 }), /positive number of bytes, got -1/);
+        assert.throws(() => memory.setBudget({ limitBytes: Infinity }), /positive number of bytes/);
+        assert.throws(() => memory.setBudget({ warning: 0.9 }), /0 < warning < critical <= 1, got 0.9 and 0.8/);
+        assert.throws(() => memory.setBudget({ critical: 1.5 }), /Thresholds/);
+    });
+
+    it('classifies usage', () => {
+        const budget = { limitBytes: 100, warning: 0.6, critical: 0.8 };
+        assert.equal(memory.usageLevel(59, budget), 'normal');
+        assert.equal(memory.usageLevel(60, budget), 'warning');
+        assert.equal(memory.usageLevel(80, budget), 'critical');
+        assert.equal(memory.usageLevel(0), 'normal');
+    });
+});
+
+describe('TensorUtils.performance', () => {
+    it('measures a function', () => {
+        let calls = 0;
+        const result = TensorUtils.performance.measureTime(() => ++calls, 3);
+        assert.equal(result.iterations, 3);
+        assert.deepEqual(result.results, [1, 2, 3]);
+        assert.ok(result.averageTime >= 0 && result.totalTime >= result.averageTime);
+    });
+
+    it('benchmarks synchronous operations', () => {
+        const result = TensorUtils.performance.benchmark(() => tf.tidy(() => tf.ones([10]).sum()).dispose(), 4);
+        assert.equal(result.times.length, 4);
+        assert.ok(result.minTime <= result.averageTime && result.averageTime <= result.maxTime);
+        assert.equal(result.memoryDelta, 0);
+    });
+
+    it('benchmarks asynchronously and disposes every output', async () => {
+        const before = tf.memory().numTensors;
+        const result = await TensorUtils.performance.benchmarkAsync(() => [tf.ones([4]), tf.zeros([4])],
+            { iterations: 5, warmup: 2 });
+        assert.equal(result.times.length, 5);
+        assert.equal(result.warmup, 2);
+        assert.equal(result.backend, 'cpu');
+        assert.equal(tf.memory().numTensors, before);
+    });
+
+    it('summarizes timing samples', () => {
+        const summary = TensorUtils.performance.summarize([4, 1, 3, 2]);
+        assert.deepEqual({ ...summary, stdDev: undefined }, { mean: 2.5, median: 2.5, p95: 4, stdDev: undefined, min: 1, max: 4 });
+        assert.ok(Math.abs(summary.stdDev - Math.sqrt(5 / 3)) < 1e-12);
+        assert.equal(TensorUtils.performance.summarize([7]).median, 7);
+        assert.equal(TensorUtils.performance.summarize([7]).stdDev, 0);
+        assert.ok(Number.isNaN(TensorUtils.performance.summarize([]).mean));
+    });
+});